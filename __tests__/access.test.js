@@ -0,0 +1,121 @@
+/**
+ * Tests for HTTP client tokens, tool allowlists and rate limits (lib/access.js)
+ */
+import { createHash } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigError } from '../lib/config.js';
+import { TOOL_PROFILES } from '../lib/profiles.js';
+import { loadAccessClients, authenticateRequest, takeRequest, isToolAllowed } from '../lib/access.js';
+
+const SENTIMENT_TOKEN = 'sentiment-token-0123456789';
+const SUPERVISOR_TOKEN = 'supervisor-token-0123456789';
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'insightsentry-access-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const writeFile = (name, content) => {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+const tokenFile = () => writeFile('tokens.yaml', [
+  'clients:',
+  '  - name: sentiment-agent',
+  `    token: ${SENTIMENT_TOKEN}`,
+  '    profile: sentiment',
+  '    tools: [get_session_information]',
+  '    requestsPerMinute: 2',
+  '  - name: supervisor',
+  `    tokenSha256: ${createHash('sha256').update(SUPERVISOR_TOKEN).digest('hex')}`
+].join('\n'));
+
+describe('loadAccessClients', () => {
+  it('reads clients with their allowlists and limits', () => {
+    const [sentiment, supervisor] = loadAccessClients(tokenFile());
+
+    expect(sentiment).toMatchObject({ name: 'sentiment-agent', requestsPerMinute: 2 });
+    expect(sentiment.toolNames).toEqual(expect.arrayContaining([...TOOL_PROFILES.sentiment.tools, 'get_session_information']));
+    expect(supervisor).toMatchObject({ name: 'supervisor', toolNames: null, requestsPerMinute: null });
+  });
+
+  it('lists every problem in the file', () => {
+    const file = writeFile('tokens.json', JSON.stringify({
+      clients: [
+        { name: 'short', token: 'abc' },
+        { name: 'both', token: SENTIMENT_TOKEN, tokenSha256: 'f'.repeat(64) },
+        { name: 'typo', token: SUPERVISOR_TOKEN, tool: ['search_stocks'] }
+      ]
+    }));
+
+    let error;
+    try {
+      loadAccessClients(file);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual([
+      'clients.0.token: Tokens must be at least 16 characters',
+      'clients.1: Set exactly one of token and tokenSha256',
+      "clients.2: Unrecognized key(s) in object: 'tool'"
+    ]);
+  });
+
+  it('rejects unknown tools and duplicate names', () => {
+    const file = writeFile('tokens.json', JSON.stringify({
+      clients: [
+        { name: 'agent', token: SENTIMENT_TOKEN, tools: ['fetch_gossip'] },
+        { name: 'agent', token: SUPERVISOR_TOKEN }
+      ]
+    }));
+
+    expect(() => loadAccessClients(file, { toolNames: ['search_stocks'] })).toThrow(
+      `Invalid token file ${file}:\n  - clients.0.tools: unknown tool "fetch_gossip"\n  - clients.1.name: duplicate client "agent"`
+    );
+  });
+});
+
+describe('authenticateRequest', () => {
+  it('accepts bearer tokens and API keys', () => {
+    const clients = loadAccessClients(tokenFile());
+
+    expect(authenticateRequest({ authorization: `Bearer ${SENTIMENT_TOKEN}` }, clients).name).toBe('sentiment-agent');
+    expect(authenticateRequest({ 'x-api-key': SUPERVISOR_TOKEN }, clients).name).toBe('supervisor');
+    expect(authenticateRequest({ authorization: 'Bearer wrong-token' }, clients)).toBeNull();
+    expect(authenticateRequest({}, clients)).toBeNull();
+  });
+});
+
+describe('takeRequest', () => {
+  it('allows requestsPerMinute requests per minute', () => {
+    const [sentiment, supervisor] = loadAccessClients(tokenFile());
+    const now = 1_000_000;
+
+    expect(takeRequest(sentiment, now)).toBe(0);
+    expect(takeRequest(sentiment, now + 10)).toBe(0);
+    expect(takeRequest(sentiment, now + 20_000)).toBe(40_000);
+    expect(takeRequest(sentiment, now + 60_000)).toBe(0);
+    expect(takeRequest(supervisor, now)).toBe(0);
+  });
+});
+
+describe('isToolAllowed', () => {
+  it('applies the client allowlist', () => {
+    const [sentiment, supervisor] = loadAccessClients(tokenFile());
+
+    expect(isToolAllowed(sentiment, 'fetch_sentiment_context')).toBe(true);
+    expect(isToolAllowed(sentiment, 'get_session_information')).toBe(true);
+    expect(isToolAllowed(sentiment, 'fetch_recent_bulk_data_quotes')).toBe(false);
+    expect(isToolAllowed(supervisor, 'fetch_recent_bulk_data_quotes')).toBe(true);
+    expect(isToolAllowed(null, 'fetch_recent_bulk_data_quotes')).toBe(true);
+  });
+});
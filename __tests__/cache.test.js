@@ -0,0 +1,116 @@
+/**
+ * Unit tests for lib/cache.js and its use by the shared client
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  LruCache,
+  resolveEndpoint,
+  getCachedResponse,
+  setCachedResponse,
+  clearResponseCache,
+  getCacheStats
+} from '../lib/cache.js';
+import { insightSentryRequest } from '../lib/client.js';
+import { runWithRequestContext } from '../lib/request-context.js';
+
+const originalEnv = process.env;
+
+global.fetch = jest.fn();
+
+beforeEach(() => {
+  process.env = {
+    ...originalEnv,
+    INSIGHTSENTRY_BASE_URL: 'https://insightsentry.p.rapidapi.com',
+    INSIGHTSENTRY_API_KEY: 'test-api-key'
+  };
+  fetch.mockReset();
+  clearResponseCache();
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('LruCache', () => {
+  it('evicts the least recently used entry', () => {
+    const cache = new LruCache(2);
+    const entry = (value) => ({ value, storedAt: Date.now(), expiresAt: Date.now() + 1000 });
+    cache.set('a', entry(1));
+    cache.set('b', entry(2));
+    cache.get('a');
+    cache.set('c', entry(3));
+
+    expect(cache.get('a').value).toBe(1);
+    expect(cache.get('b')).toBeNull();
+    expect(cache.get('c').value).toBe(3);
+  });
+
+  it('drops expired entries', () => {
+    const cache = new LruCache(2);
+    cache.set('a', { value: 1, storedAt: 0, expiresAt: Date.now() - 1 });
+    expect(cache.get('a')).toBeNull();
+    expect(cache.size).toBe(0);
+  });
+});
+
+describe('resolveEndpoint', () => {
+  it('uses long TTLs for slow-moving data and short TTLs for quotes', () => {
+    expect(resolveEndpoint('/v2/symbols/NASDAQ:AAPL/session').endpoint).toBe('session');
+    expect(resolveEndpoint('/v2/symbols/NASDAQ:AAPL/financials').ttlMs)
+      .toBeGreaterThan(resolveEndpoint('/v2/symbols/NASDAQ:AAPL/quote').ttlMs);
+    expect(resolveEndpoint('/v2/symbols/quotes').endpoint).toBe('quote');
+  });
+
+  it('never caches news', () => {
+    expect(resolveEndpoint('/v2/newsfeed/latest').ttlMs).toBe(0);
+  });
+});
+
+describe('response caching through the client', () => {
+  const okResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+  it('serves repeated session requests from the cache and reports hits', async () => {
+    fetch.mockResolvedValueOnce(okResponse({ code: 'NASDAQ:AAPL', timezone: 'America/New_York' }));
+
+    const first = { toolName: 'get_market_status' };
+    const second = { toolName: 'get_trading_calendar' };
+    await runWithRequestContext(first, () => insightSentryRequest('/v2/symbols/NASDAQ:AAPL/session'));
+    const data = await runWithRequestContext(second, () => insightSentryRequest('/v2/symbols/NASDAQ:AAPL/session'));
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(data).toEqual({ code: 'NASDAQ:AAPL', timezone: 'America/New_York' });
+    expect(first.cache).toEqual([expect.objectContaining({ endpoint: 'session', hit: false })]);
+    expect(second.cache).toEqual([expect.objectContaining({ endpoint: 'session', hit: true })]);
+    expect(getCacheStats()).toEqual({ entries: 1, hits: 1, misses: 1 });
+  });
+
+  it('does not cache uncached endpoints or when disabled', async () => {
+    fetch.mockResolvedValue(okResponse({ data: [] }));
+
+    await insightSentryRequest('/v2/newsfeed/latest');
+    await insightSentryRequest('/v2/newsfeed/latest');
+    process.env.INSIGHTSENTRY_CACHE = 'off';
+    await insightSentryRequest('/v2/exchanges');
+    await insightSentryRequest('/v2/exchanges');
+
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+
+  it('persists entries to disk and restores them after a restart', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'insightsentry-cache-'));
+    process.env.INSIGHTSENTRY_CACHE_DIR = dir;
+
+    try {
+      await setCachedResponse('https://example.com/v2/exchanges', { exchanges: ['NASDAQ'] }, 60000);
+      clearResponseCache();
+
+      const restored = await getCachedResponse('https://example.com/v2/exchanges');
+      expect(restored.value).toEqual({ exchanges: ['NASDAQ'] });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
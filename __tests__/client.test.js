@@ -0,0 +1,319 @@
+/**
+ * Unit tests for lib/client.js
+ */
+import { jest } from '@jest/globals';
+import { insightSentryRequest, getInFlightCount, buildUrl, parseRetryAfter } from '../lib/client.js';
+import { valuationRatiosTool, balanceSheetHealthTool } from '../tools/insightsentry/insight-sentry/financial-data.js';
+import { financialHealthFlagsTool } from '../tools/insightsentry/insight-sentry/financial-derived-tools.js';
+import { clearResponseCache } from '../lib/cache.js';
+import { runWithRequestContext } from '../lib/request-context.js';
+import {
+  AuthenticationError,
+  CancelledError,
+  RateLimitError,
+  SymbolNotFoundError,
+  TimeoutError,
+  UpstreamError
+} from '../lib/errors.js';
+
+const originalEnv = process.env;
+
+// A fetch that only settles when its signal aborts
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => {
+    const error = new Error('aborted');
+    error.name = 'AbortError';
+    reject(error);
+  });
+});
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  json: async () => body
+});
+
+global.fetch = jest.fn();
+
+beforeEach(() => {
+  process.env = {
+    ...originalEnv,
+    INSIGHTSENTRY_BASE_URL: 'https://insightsentry.p.rapidapi.com',
+    INSIGHTSENTRY_API_KEY: 'test-api-key'
+  };
+  fetch.mockReset();
+  clearResponseCache();
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('insightSentryRequest', () => {
+  it('sends consistent headers and query parameters', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+    const result = await insightSentryRequest('/v2/symbols/search', {
+      params: { query: 'apple', type: 'stocks', keywords: undefined }
+    });
+
+    expect(result).toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledWith(
+      'https://insightsentry.p.rapidapi.com/v2/symbols/search?query=apple&type=stocks',
+      expect.objectContaining({
+        method: 'GET',
+        headers: {
+          'x-rapidapi-key': 'test-api-key',
+          'x-rapidapi-host': 'insightsentry.p.rapidapi.com',
+          'Accept': 'application/json'
+        },
+        signal: expect.anything()
+      })
+    );
+  });
+
+  it('authenticates with a Bearer token against the direct API in direct auth mode', async () => {
+    process.env.INSIGHTSENTRY_AUTH_MODE = 'direct';
+    delete process.env.INSIGHTSENTRY_BASE_URL;
+    fetch.mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+    await insightSentryRequest('/v2/symbols/NASDAQ:AAPL/info');
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://api.insightsentry.com/v2/symbols/NASDAQ:AAPL/info',
+      expect.objectContaining({
+        headers: { 'Authorization': 'Bearer test-api-key', 'Accept': 'application/json' }
+      })
+    );
+  });
+
+  it('defaults to the RapidAPI host when no base URL is set', async () => {
+    delete process.env.INSIGHTSENTRY_BASE_URL;
+    fetch.mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+    await insightSentryRequest('/v2/exchanges');
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://insightsentry.p.rapidapi.com/v2/exchanges',
+      expect.objectContaining({
+        headers: expect.objectContaining({ 'x-rapidapi-host': 'insightsentry.p.rapidapi.com' })
+      })
+    );
+  });
+
+  it('retries on 429 honouring Retry-After', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(429, { message: 'Too many requests' }, { 'retry-after': '0' }))
+      .mockResolvedValueOnce(jsonResponse(200, { code: 'NASDAQ:AAPL' }));
+
+    const result = await insightSentryRequest('/v2/symbols/NASDAQ:AAPL/quote');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({ code: 'NASDAQ:AAPL' });
+  });
+
+  it('fails at once when Retry-After asks for more than the maximum backoff', async () => {
+    fetch.mockResolvedValue(jsonResponse(429, { message: 'Too many requests' }, { 'retry-after': '120' }));
+
+    const error = await insightSentryRequest('/v2/symbols/NASDAQ:AAPL/quote').catch((e) => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.toJSON().retry_after_ms).toBe(120000);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries on 5xx and gives up after maxRetries', async () => {
+    fetch.mockResolvedValue(jsonResponse(503, { message: 'Unavailable' }, { 'retry-after': '0' }));
+
+    await expect(insightSentryRequest('/v2/exchanges', { maxRetries: 2 }))
+      .rejects.toBeInstanceOf(UpstreamError);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors and reports the upstream message', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(404, { message: 'Symbol not found' }));
+
+    const call = insightSentryRequest('/v2/symbols/NASDAQ:NOPE/info');
+
+    await expect(call).rejects.toBeInstanceOf(SymbolNotFoundError);
+    await expect(call).rejects.toMatchObject({
+      status: 404,
+      upstreamMessage: 'Symbol not found',
+      symbol: 'NASDAQ:NOPE'
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a malformed symbol segment as is in symbol errors', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(404, { message: 'Symbol not found' }));
+
+    await expect(insightSentryRequest('/v2/symbols/NASDAQ:100%/info')).rejects.toMatchObject({
+      name: 'SymbolNotFoundError',
+      symbol: 'NASDAQ:100%'
+    });
+  });
+
+  it('reports auth failures and exhausted rate limits with their own types', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(403, { message: 'You are not subscribed to this API.' }));
+    await expect(insightSentryRequest('/v2/exchanges')).rejects.toBeInstanceOf(AuthenticationError);
+
+    fetch.mockResolvedValueOnce(jsonResponse(429, { message: 'Quota exceeded' }, { 'retry-after': '30' }));
+    const error = await insightSentryRequest('/v2/exchanges', { maxRetries: 0 }).catch((e) => e);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.toJSON()).toEqual({
+      type: 'rate_limited',
+      message: expect.stringContaining('Quota exceeded'),
+      status: 429,
+      upstream_message: 'Quota exceeded',
+      retryable: true,
+      retry_after_ms: 30000
+    });
+  });
+
+  it('retries network errors', async () => {
+    fetch
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce(jsonResponse(200, { data: [] }));
+
+    const result = await insightSentryRequest('/v2/newsfeed', { params: { limit: 20 } });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({ data: [] });
+  });
+
+  it('aborts requests that exceed the timeout', async () => {
+    fetch.mockImplementation(hangingFetch);
+
+    await expect(insightSentryRequest('/v2/exchanges', { timeoutMs: 10, maxRetries: 0 }))
+      .rejects.toBeInstanceOf(TimeoutError);
+  });
+});
+
+describe('cancellation', () => {
+  it('aborts the upstream request when the call is cancelled', async () => {
+    fetch.mockImplementation(hangingFetch);
+    const controller = new AbortController();
+
+    const call = runWithRequestContext({ signal: controller.signal }, () => insightSentryRequest('/v2/symbols/NASDAQ:AAPL/financials'));
+    await new Promise((resolve) => setImmediate(resolve));
+    controller.abort();
+
+    await expect(call).rejects.toThrow(new CancelledError('Request to /v2/symbols/NASDAQ:AAPL/financials was cancelled'));
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(getInFlightCount()).toBe(0);
+  });
+
+  it('stops retrying once cancelled', async () => {
+    fetch.mockResolvedValue(jsonResponse(503, { message: 'busy' }));
+    const controller = new AbortController();
+
+    const call = runWithRequestContext({ signal: controller.signal }, () => insightSentryRequest('/v2/exchanges', { maxRetries: 3 }));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    controller.abort();
+
+    await expect(call).rejects.toBeInstanceOf(CancelledError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a shared request going until every caller has cancelled', async () => {
+    process.env.INSIGHTSENTRY_CACHE = 'off';
+    fetch.mockImplementation(hangingFetch);
+    const first = new AbortController();
+    const second = new AbortController();
+    const request = (signal) => runWithRequestContext({ signal }, () => insightSentryRequest('/v2/exchanges/NASDAQ/quotes'));
+
+    const calls = [request(first.signal), request(second.signal)];
+    await new Promise((resolve) => setImmediate(resolve));
+    first.abort();
+    await expect(calls[0]).rejects.toBeInstanceOf(CancelledError);
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(false);
+
+    second.abort();
+    await expect(calls[1]).rejects.toBeInstanceOf(CancelledError);
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('download progress', () => {
+  it('reports the bytes received against Content-Length', async () => {
+    const body = JSON.stringify({ code: 'NASDAQ:AAPL', data: { items: 'x'.repeat(5000) } });
+    fetch.mockResolvedValue(new Response(body, { headers: { 'content-length': String(body.length) } }));
+    const updates = [];
+
+    const result = await runWithRequestContext({ onProgress: (update) => updates.push(update) }, () =>
+      insightSentryRequest('/v2/symbols/NASDAQ:AAPL/financials')
+    );
+
+    expect(result.data.items).toHaveLength(5000);
+    expect(updates.at(-1)).toEqual({ progress: body.length, total: body.length, message: 'Downloading /v2/symbols/NASDAQ:AAPL/financials' });
+  });
+});
+
+describe('request coalescing', () => {
+  it('shares one upstream fetch between concurrent identical requests', async () => {
+    process.env.INSIGHTSENTRY_CACHE = 'off';
+    let resolveFetch;
+    fetch.mockImplementationOnce(() => new Promise((resolve) => { resolveFetch = resolve; }));
+
+    const calls = [
+      insightSentryRequest('/v2/symbols/NASDAQ:AAPL/financials'),
+      insightSentryRequest('/v2/symbols/NASDAQ:AAPL/financials'),
+      insightSentryRequest('/v2/symbols/NASDAQ:AAPL/financials')
+    ];
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(getInFlightCount()).toBe(1);
+    resolveFetch(jsonResponse(200, { code: 'NASDAQ:AAPL', data: {} }));
+
+    const results = await Promise.all(calls);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(results[0]).toBe(results[1]);
+    expect(results[1]).toBe(results[2]);
+    expect(getInFlightCount()).toBe(0);
+  });
+
+  it('shares failures and does not coalesce later requests', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(404, { message: 'Symbol not found' }))
+      .mockResolvedValueOnce(jsonResponse(200, { code: 'NASDAQ:AAPL' }));
+
+    const results = await Promise.allSettled([
+      insightSentryRequest('/v2/symbols/NASDAQ:AAPL/info'),
+      insightSentryRequest('/v2/symbols/NASDAQ:AAPL/info')
+    ]);
+    expect(results.map((r) => r.status)).toEqual(['rejected', 'rejected']);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await expect(insightSentryRequest('/v2/symbols/NASDAQ:AAPL/info')).resolves.toEqual({ code: 'NASDAQ:AAPL' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('downloads financials once when derived tools fan out for the same symbol', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, { code: 'NASDAQ:AAPL', last_update: 1, data: {} }));
+
+    await Promise.all([
+      valuationRatiosTool.function({ symbol: 'NASDAQ:AAPL' }),
+      balanceSheetHealthTool.function({ symbol: 'NASDAQ:AAPL' }),
+      financialHealthFlagsTool.function({ symbol: 'NASDAQ:AAPL' })
+    ]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('helpers', () => {
+  it('buildUrl joins array parameters and skips empty ones', () => {
+    expect(buildUrl('https://api.example.com', '/v2/symbols/quotes', { codes: ['A', 'B'], page: null }))
+      .toBe('https://api.example.com/v2/symbols/quotes?codes=A%2CB');
+  });
+
+  it('parseRetryAfter handles seconds, dates and garbage', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter(new Date(Date.now() - 1000).toUTCString())).toBe(0);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for the validated configuration module
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, getConfig, resetConfig, isToolEnabled, validateStartupConfig, ConfigError } from '../lib/config.js';
+import { discoverTools } from '../lib/tools.js';
+import { TOOL_PROFILES } from '../lib/profiles.js';
+
+const originalEnv = process.env;
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'insightsentry-config-'));
+  resetConfig();
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.env = originalEnv;
+  resetConfig();
+});
+
+const writeFile = (name, content) => {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+describe('loadConfig', () => {
+  it('applies defaults when nothing is set', () => {
+    const config = loadConfig({ env: {} });
+    expect(config.api).toEqual({
+      authMode: 'rapidapi', keyRotation: 'round-robin', keyQuarantineMs: 300000, timeoutMs: 15000, maxRetries: 3, mode: 'live'
+    });
+    expect(config.cache).toEqual({ enabled: true, maxEntries: 500 });
+    expect(config.server).toEqual({ port: 3001, streamingPort: 3002, sessionIdleMs: 1800000 });
+    expect(config.responses).toEqual({ maxBytes: 50000, cursorTtlMs: 900000 });
+    expect(config.symbols).toEqual({ resolve: true, aliases: {} });
+    expect(config.websocket.liveUrl).toBe('wss://realtime.insightsentry.com/live');
+    expect(config.tools).toEqual({ profile: 'all', disabled: [] });
+    expect(config.logging).toEqual({ level: 'info' });
+  });
+
+  it('coerces environment variables', () => {
+    const config = loadConfig({
+      env: {
+        INSIGHTSENTRY_TIMEOUT_MS: '2500',
+        INSIGHTSENTRY_CACHE: 'off',
+        INSIGHTSENTRY_DISABLED_TOOLS: 'get_news_feed, search_symbols',
+        STREAMING_PORT: '4000',
+        INSIGHTSENTRY_MAX_RETRIES: ''
+      }
+    });
+    expect(config.api.timeoutMs).toBe(2500);
+    expect(config.api.maxRetries).toBe(3);
+    expect(config.cache.enabled).toBe(false);
+    expect(config.tools.disabled).toEqual(['get_news_feed', 'search_symbols']);
+    expect(config.server.streamingPort).toBe(4000);
+  });
+
+  it('reads a YAML file and lets the environment override it', () => {
+    const file = writeFile('config.yaml', [
+      'api:',
+      '  baseUrl: https://insightsentry.p.rapidapi.com',
+      '  timeoutMs: 5000',
+      'websocket:',
+      '  staleDataMs: 20000',
+      'tools:',
+      '  enabled: [get_quote]'
+    ].join('\n'));
+
+    const config = loadConfig({ env: { INSIGHTSENTRY_CONFIG: file, INSIGHTSENTRY_TIMEOUT_MS: '7000' } });
+    expect(config.api).toMatchObject({ baseUrl: 'https://insightsentry.p.rapidapi.com', timeoutMs: 7000 });
+    expect(config.websocket.staleDataMs).toBe(20000);
+    expect(config.tools.enabled).toEqual(['get_quote']);
+  });
+
+  it('reads a JSON file', () => {
+    const file = writeFile('config.json', JSON.stringify({ server: { port: 8080 } }));
+    expect(loadConfig({ env: {}, file }).server.port).toBe(8080);
+  });
+
+  it('lists every invalid setting with its source', () => {
+    const file = writeFile('config.json', JSON.stringify({ api: { mode: 'replya' }, cahce: {} }));
+    let error;
+    try {
+      loadConfig({ env: { INSIGHTSENTRY_CONFIG: file, PORT: 'abc', INSIGHTSENTRY_WS_LIVE_URL: 'https://example.com' } });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toHaveLength(4);
+    expect(error.message).toContain('server.port (env PORT)');
+    expect(error.message).toContain('websocket.liveUrl (env INSIGHTSENTRY_WS_LIVE_URL): Must be a ws:// or wss:// URL');
+    expect(error.message).toContain(`api.mode (file ${file})`);
+    expect(error.message).toContain('cahce');
+  });
+
+  it('reports unreadable and malformed files', () => {
+    expect(() => loadConfig({ env: {}, file: path.join(tmpDir, 'missing.yaml') })).toThrow(/Cannot read configuration file/);
+    const file = writeFile('broken.json', '{ not json');
+    expect(() => loadConfig({ env: {}, file })).toThrow(/Cannot parse configuration file/);
+  });
+});
+
+describe('getConfig', () => {
+  it('rebuilds when the environment changes', () => {
+    process.env = { ...originalEnv, INSIGHTSENTRY_MAX_RETRIES: '1' };
+    expect(getConfig().api.maxRetries).toBe(1);
+    process.env.INSIGHTSENTRY_MAX_RETRIES = '5';
+    expect(getConfig().api.maxRetries).toBe(5);
+  });
+});
+
+describe('startup validation', () => {
+  it('requires credentials outside replay mode', () => {
+    process.env = { ...originalEnv, INSIGHTSENTRY_BASE_URL: '', INSIGHTSENTRY_API_KEY: '', INSIGHTSENTRY_CONFIG: '' };
+    expect(() => validateStartupConfig()).toThrow('api.apiKey: set INSIGHTSENTRY_API_KEY (or INSIGHTSENTRY_API_KEYS) to your RapidAPI key');
+
+    process.env.INSIGHTSENTRY_AUTH_MODE = 'direct';
+    expect(() => validateStartupConfig()).toThrow('to your InsightSentry API key');
+
+    process.env.INSIGHTSENTRY_MODE = 'replay';
+    expect(validateStartupConfig().api.mode).toBe('replay');
+  });
+
+  it('flags unknown tool names and filters tools', () => {
+    process.env = {
+      ...originalEnv,
+      INSIGHTSENTRY_MODE: 'replay',
+      INSIGHTSENTRY_CONFIG: '',
+      INSIGHTSENTRY_ENABLED_TOOLS: 'get_quote,get_news_feed',
+      INSIGHTSENTRY_DISABLED_TOOLS: 'get_news_feed'
+    };
+    expect(() => validateStartupConfig({ toolNames: ['get_news_feed'] })).toThrow('tools.enabled: unknown tool "get_quote"');
+
+    const config = validateStartupConfig({ toolNames: ['get_quote', 'get_news_feed'] });
+    expect(isToolEnabled('get_quote', config)).toBe(true);
+    expect(isToolEnabled('get_news_feed', config)).toBe(false);
+    expect(isToolEnabled('search_symbols', config)).toBe(false);
+  });
+
+  it('restricts tools to the selected profile', () => {
+    process.env = { ...originalEnv, INSIGHTSENTRY_MODE: 'replay', INSIGHTSENTRY_CONFIG: '', INSIGHTSENTRY_TOOL_PROFILE: 'orb' };
+    const config = getConfig();
+    expect(isToolEnabled('fetch_breakout_analysis', config)).toBe(true);
+    expect(isToolEnabled('search_stocks', config)).toBe(true);
+    expect(isToolEnabled('fetch_pead_essentials', config)).toBe(false);
+
+    process.env.INSIGHTSENTRY_DISABLED_TOOLS = 'fetch_breakout_analysis';
+    expect(isToolEnabled('fetch_breakout_analysis', getConfig())).toBe(false);
+
+    process.env.INSIGHTSENTRY_TOOL_PROFILE = 'scalping';
+    expect(() => getConfig()).toThrow(/tools\.profile \(env INSIGHTSENTRY_TOOL_PROFILE\)/);
+  });
+
+  it('only lists discovered tools in profiles', async () => {
+    const toolNames = (await discoverTools({ toolsDir: path.resolve('tools') })).map((tool) => tool.definition.function.name);
+    process.env = { ...originalEnv, INSIGHTSENTRY_MODE: 'replay', INSIGHTSENTRY_CONFIG: '' };
+
+    for (const profile of Object.keys(TOOL_PROFILES)) {
+      process.env.INSIGHTSENTRY_TOOL_PROFILE = profile;
+      expect(() => validateStartupConfig({ toolNames })).not.toThrow();
+    }
+  });
+});
@@ -3,11 +3,14 @@
  */
 import { jest } from '@jest/globals';
 import { apiTool } from '../tools/insightsentry/insight-sentry/financial-data.js';
+import { SymbolNotFoundError, UpstreamError } from '../lib/errors.js';
+import { clearResponseCache } from '../lib/cache.js';
 
 // Mock environment variables
 const originalEnv = process.env;
 beforeEach(() => {
   jest.resetModules();
+  clearResponseCache();
   process.env = { 
     ...originalEnv,
     INSIGHTSENTRY_BASE_URL: 'https://api.insightsentry.com',
@@ -98,12 +101,13 @@ describe('Financial Data API Tool', () => {
     // Check that fetch was called with the correct parameters
     expect(fetch).toHaveBeenCalledWith(
       'https://api.insightsentry.com/v2/symbols/AAPL/financials',
-      {
+      expect.objectContaining({
         method: 'GET',
-        headers: {
-          'x-rapidapi-key': 'test-api-key'
-        }
-      }
+        headers: expect.objectContaining({
+          'x-rapidapi-key': 'test-api-key',
+          'x-rapidapi-host': 'api.insightsentry.com'
+        })
+      })
     );
 
     // Verify the result
@@ -113,6 +117,20 @@ describe('Financial Data API Tool', () => {
     expectValidResponseSchema(result);
   });
 
+  it('should encode the symbol in the request path', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ code: 'NYSE:BRK.B', data: {} })
+    });
+
+    await apiTool.function({ symbol: 'NYSE:BRK.B' });
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://api.insightsentry.com/v2/symbols/NYSE%3ABRK.B/financials',
+      expect.anything()
+    );
+  });
+
   it('should handle API error responses properly', async () => {
     // Mock error response
     const errorData = { 
@@ -122,25 +140,32 @@ describe('Financial Data API Tool', () => {
     
     fetch.mockResolvedValueOnce({
       ok: false,
+      status: 404,
       json: async () => errorData
     });
 
     // Call the function
-    const result = await apiTool.function({ symbol: 'INVALID' });
+    const call = apiTool.function({ symbol: 'INVALID' });
+    await expect(call).rejects.toBeInstanceOf(SymbolNotFoundError);
 
     // Check that fetch was called with the correct parameters
     expect(fetch).toHaveBeenCalledWith(
       'https://api.insightsentry.com/v2/symbols/INVALID/financials',
-      {
+      expect.objectContaining({
         method: 'GET',
-        headers: {
-          'x-rapidapi-key': 'test-api-key'
-        }
-      }
+        headers: expect.objectContaining({
+          'x-rapidapi-key': 'test-api-key',
+          'x-rapidapi-host': 'api.insightsentry.com'
+        })
+      })
     );
 
-    // Verify the error response
-    expect(result).toEqual({ error: 'An error occurred while fetching financial data.' });
+    // Verify the error carries the status and upstream message
+    await call.catch((error) => {
+      expect(error.status).toBe(404);
+      expect(error.upstreamMessage).toBe('Symbol not found');
+      expect(error.symbol).toBe('INVALID');
+    });
   });
 
   it('should handle fetch exceptions properly', async () => {
@@ -148,10 +173,11 @@ describe('Financial Data API Tool', () => {
     fetch.mockRejectedValueOnce(new Error('Network error'));
 
     // Call the function
-    const result = await apiTool.function({ symbol: 'AAPL' });
+    const call = apiTool.function({ symbol: 'AAPL' });
 
-    // Verify the error response
-    expect(result).toEqual({ error: 'An error occurred while fetching financial data.' });
+    // Verify the error is reported as an upstream failure
+    await expect(call).rejects.toBeInstanceOf(UpstreamError);
+    await expect(call).rejects.toThrow('Network error');
   });
 });
 
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for lib/fixtures.js and record/replay mode in the shared client
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fixtureKey, fixtureLocation, saveFixture } from '../lib/fixtures.js';
+import { insightSentryRequest } from '../lib/client.js';
+import { clearResponseCache } from '../lib/cache.js';
+import { FixtureNotFoundError, SymbolNotFoundError } from '../lib/errors.js';
+import { apiTool as symbolInfoTool } from '../tools/insightsentry/insight-sentry/symbol-information.js';
+
+const originalEnv = process.env;
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: { get: () => null },
+  json: async () => body
+});
+
+global.fetch = jest.fn();
+
+let fixturesDir;
+
+beforeEach(() => {
+  fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'insightsentry-fixtures-'));
+  process.env = {
+    ...originalEnv,
+    INSIGHTSENTRY_BASE_URL: 'https://insightsentry.p.rapidapi.com',
+    INSIGHTSENTRY_API_KEY: 'test-api-key',
+    INSIGHTSENTRY_USAGE_FILE: 'off',
+    INSIGHTSENTRY_FIXTURES_DIR: fixturesDir
+  };
+  fetch.mockReset();
+  clearResponseCache();
+});
+
+afterEach(() => {
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('fixture keys', () => {
+  it('ignore parameter order, empty values and symbol encoding', () => {
+    expect(fixtureKey('/v2/symbols/NASDAQ%3AAAPL/series', { bar_type: 'day', dp: 10, extended: undefined }))
+      .toBe(fixtureKey('/v2/symbols/NASDAQ:AAPL/series', { dp: 10, bar_type: 'day' }));
+    expect(fixtureLocation('/v2/symbols/NASDAQ:AAPL/series', { dp: 10 }).file)
+      .not.toBe(fixtureLocation('/v2/symbols/NASDAQ:AAPL/series', { dp: 20 }).file);
+  });
+
+  it('group fixture files by endpoint', () => {
+    expect(fixtureLocation('/v2/symbols/NASDAQ:AAPL/session').file)
+      .toBe(path.join(fixturesDir, 'session', 'v2_symbols_NASDAQ_AAPL_session.json'));
+  });
+});
+
+describe('record mode', () => {
+  it('saves successful and failed responses as fixtures', async () => {
+    process.env.INSIGHTSENTRY_MODE = 'record';
+    fetch
+      .mockResolvedValueOnce(jsonResponse(200, { data: [{ title: 'Headline' }] }))
+      .mockResolvedValueOnce(jsonResponse(404, { message: 'Symbol not found' }));
+
+    await insightSentryRequest('/v2/newsfeed', { params: { limit: 20 } });
+    await insightSentryRequest('/v2/symbols/NASDAQ:NOPE/info').catch(() => null);
+
+    const recorded = JSON.parse(fs.readFileSync(fixtureLocation('/v2/newsfeed', { limit: 20 }).file, 'utf8'));
+    expect(recorded).toMatchObject({ key: '/v2/newsfeed?limit=20', status: 200, body: { data: [{ title: 'Headline' }] } });
+    expect(fs.existsSync(fixtureLocation('/v2/symbols/NASDAQ:NOPE/info').file)).toBe(true);
+  });
+});
+
+describe('replay mode', () => {
+  beforeEach(() => {
+    process.env.INSIGHTSENTRY_MODE = 'replay';
+    delete process.env.INSIGHTSENTRY_API_KEY;
+    delete process.env.INSIGHTSENTRY_BASE_URL;
+  });
+
+  it('serves tools from fixtures without touching the network', async () => {
+    await saveFixture('/v2/symbols/NASDAQ:AAPL/info', {}, {
+      status: 200,
+      body: { code: 'NASDAQ:AAPL', type: 'STOCK', description: 'Apple Inc.' }
+    });
+
+    const result = await symbolInfoTool.function({ symbol: 'NASDAQ:AAPL' });
+
+    expect(result).toMatchObject({ code: 'NASDAQ:AAPL', description: 'Apple Inc.' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('replays recorded errors with their taxonomy type', async () => {
+    await saveFixture('/v2/symbols/NASDAQ:NOPE/info', {}, { status: 404, body: { message: 'Symbol not found' } });
+
+    await expect(insightSentryRequest('/v2/symbols/NASDAQ:NOPE/info')).rejects.toBeInstanceOf(SymbolNotFoundError);
+  });
+
+  it('reports missing fixtures', async () => {
+    const error = await insightSentryRequest('/v2/exchanges').catch((e) => e);
+
+    expect(error).toBeInstanceOf(FixtureNotFoundError);
+    expect(error.toJSON()).toMatchObject({
+      type: 'fixture_missing',
+      fixture: path.join(fixturesDir, 'exchange_list', 'v2_exchanges.json')
+    });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
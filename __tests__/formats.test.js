@@ -0,0 +1,98 @@
+/**
+ * Tests for result formats (lib/formats.js)
+ */
+import { findTable, renderResult, withFormatParameter } from '../lib/formats.js';
+import { validateToolArguments } from '../lib/validation.js';
+import { applyResponseBudget } from '../lib/response-budget.js';
+import { apiTool as seriesTool } from '../tools/insightsentry/insight-sentry/ohlcv-time-series.js';
+
+const series = {
+  code: 'NASDAQ:AAPL',
+  bar_type: '1D',
+  series: [
+    { time: 1748563200, open: 199.37, high: 201.96, low: 196.78, close: 200.85, volume: 70753100 },
+    { time: 1748822400, open: 200.28, high: 202.13, low: 200.12, close: 201.7, volume: 35423300 }
+  ]
+};
+
+describe('renderResult', () => {
+  it('renders indented or compact JSON', () => {
+    expect(renderResult(series)).toBe(JSON.stringify(series, null, 2));
+    expect(renderResult(series, 'json_compact')).toBe(JSON.stringify(series));
+  });
+
+  it('renders the main table as CSV with the other fields above it', () => {
+    expect(renderResult(series, 'csv')).toBe([
+      '# code: NASDAQ:AAPL',
+      '# bar_type: 1D',
+      'time,open,high,low,close,volume',
+      '1748563200,199.37,201.96,196.78,200.85,70753100',
+      '1748822400,200.28,202.13,200.12,201.7,35423300'
+    ].join('\n'));
+  });
+
+  it('renders a Markdown table, escaping cells and listing nested siblings', () => {
+    const metrics = {
+      exchange: 'NASDAQ',
+      result: {
+        total: 2,
+        rows: [
+          { code: 'NASDAQ:AAPL', name: 'Apple | Inc.', tags: ['tech'] },
+          { code: 'NASDAQ:MSFT', market_cap: null }
+        ]
+      }
+    };
+
+    expect(renderResult(metrics, 'markdown')).toBe([
+      '**exchange**: NASDAQ',
+      '**result.total**: 2',
+      '',
+      '| code | name | tags | market_cap |',
+      '| --- | --- | --- | --- |',
+      '| NASDAQ:AAPL | Apple \\| Inc. | ["tech"] |  |',
+      '| NASDAQ:MSFT |  |  |  |'
+    ].join('\n'));
+  });
+
+  it('quotes CSV cells containing separators', () => {
+    expect(renderResult([{ title: 'Apple, Inc. "beats"', n: 1 }], 'csv')).toBe('title,n\n"Apple, Inc. ""beats""",1');
+  });
+
+  it('falls back to compact JSON without a table', () => {
+    const quote = { code: 'NASDAQ:AAPL', last_price: 201.5 };
+    expect(renderResult(quote, 'csv')).toBe(JSON.stringify(quote));
+    expect(renderResult({ symbols: [] }, 'markdown')).toBe('{"symbols":[]}');
+  });
+});
+
+describe('findTable', () => {
+  it('picks the longest array of objects', () => {
+    const result = { data: [{ a: 1 }], nested: { rows: [{ a: 1 }, { a: 2 }] }, numbers: [1, 2, 3] };
+    expect(findTable(result)).toEqual({ path: ['nested', 'rows'], rows: result.nested.rows });
+  });
+});
+
+describe('format argument', () => {
+  it('is accepted by every tool schema and defaults to json', () => {
+    const definition = { ...seriesTool.definition.function, parameters: withFormatParameter(seriesTool.definition.function.parameters) };
+
+    expect(seriesTool.definition.function.parameters.properties.format).toBeUndefined();
+    expect(validateToolArguments(definition, { symbol: 'NASDAQ:AAPL' })).toEqual({ symbol: 'NASDAQ:AAPL', format: 'json' });
+    expect(() => validateToolArguments(definition, { symbol: 'NASDAQ:AAPL', format: 'xml' }))
+      .toThrow('format must be one of "json", "json_compact", "csv", "markdown" (got "xml")');
+  });
+
+  it('sizes the response budget in the requested format', () => {
+    const bars = {
+      code: 'NASDAQ:AAPL',
+      series: Array.from({ length: 400 }, (_, i) => ({ time: 1748563200 + i * 60, open: 200, high: 201, low: 199, close: 200.5, volume: 1000 }))
+    };
+    const render = (value) => renderResult(value, 'csv');
+
+    const asJson = applyResponseBudget(bars, { maxBytes: 8000 });
+    const asCsv = applyResponseBudget(bars, { maxBytes: 8000, render });
+
+    expect(Buffer.byteLength(render(asCsv.value))).toBeLessThanOrEqual(8000);
+    expect(asCsv.value.series.length).toBeGreaterThan(2 * asJson.value.series.length);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for the readiness checks and the health and metrics endpoints (lib/health.js)
+ */
+import http from 'http';
+import net from 'net';
+import { ConfigError } from '../lib/config.js';
+import { checkReachable, checkReadiness, handleMonitoringRequest } from '../lib/health.js';
+
+let upstream;
+let upstreamUrl;
+
+beforeAll(async () => {
+  upstream = net.createServer((socket) => socket.end());
+  await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+  upstreamUrl = `wss://127.0.0.1:${upstream.address().port}/live`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => upstream.close(resolve));
+});
+
+// A port nothing listens on: bind one, then release it
+const closedPortUrl = async () => {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return `https://127.0.0.1:${port}`;
+};
+
+describe('checkReachable', () => {
+  it('reports whether the host accepts connections', async () => {
+    expect(await checkReachable(upstreamUrl)).toEqual({ url: upstreamUrl, ok: true });
+
+    const closed = await closedPortUrl();
+    expect(await checkReachable(closed)).toEqual({ url: closed, ok: false, error: expect.stringMatching(/ECONNREFUSED/) });
+  });
+});
+
+describe('checkReadiness', () => {
+  it('is ready when the configuration is valid and every upstream is reachable', async () => {
+    const result = await checkReadiness({ checkConfig: () => ({ urls: [upstreamUrl] }), upstreamUrls: ({ urls }) => urls });
+    expect(result).toEqual({ ready: true, checks: { config: { ok: true }, upstream: [{ url: upstreamUrl, ok: true }] } });
+  });
+
+  it('is not ready with an invalid configuration or an unreachable upstream', async () => {
+    const invalid = await checkReadiness({
+      checkConfig: () => {
+        throw new ConfigError('Invalid InsightSentry configuration:', ['api.apiKey: set INSIGHTSENTRY_API_KEY']);
+      },
+      upstreamUrls: () => [upstreamUrl]
+    });
+    expect(invalid.ready).toBe(false);
+    expect(invalid.checks.config).toEqual({ ok: false, error: expect.stringContaining('api.apiKey') });
+
+    const closed = await closedPortUrl();
+    const unreachable = await checkReadiness({ checkConfig: () => ({}), upstreamUrls: () => [upstreamUrl, closed] });
+    expect(unreachable.ready).toBe(false);
+    expect(unreachable.checks.upstream.map(({ ok }) => ok)).toEqual([true, false]);
+  });
+});
+
+describe('handleMonitoringRequest', () => {
+  let server;
+  let url;
+  let readiness;
+
+  beforeAll(async () => {
+    server = http.createServer(async (req, res) => {
+      if (!(await handleMonitoringRequest(req, res, readiness))) {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('serves /healthz, /readyz and /metrics', async () => {
+    readiness = { checkConfig: () => ({}), upstreamUrls: () => [upstreamUrl] };
+
+    expect(await (await fetch(`${url}/healthz`)).json()).toEqual({ status: 'ok' });
+    const ready = await fetch(`${url}/readyz`);
+    expect(ready.status).toBe(200);
+    expect((await ready.json()).status).toBe('ready');
+
+    const metrics = await fetch(`${url}/metrics`);
+    expect(metrics.headers.get('content-type')).toMatch(/^text\/plain; version=0\.0\.4/);
+    expect(await metrics.text()).toContain('# TYPE insightsentry_tool_calls_total counter');
+
+    expect((await fetch(`${url}/other`)).status).toBe(404);
+  });
+
+  it('answers 503 while not ready', async () => {
+    const closed = await closedPortUrl();
+    readiness = { checkConfig: () => ({}), upstreamUrls: () => [closed] };
+
+    const response = await fetch(`${url}/readyz`);
+    expect(response.status).toBe(503);
+    expect((await response.json()).status).toBe('not_ready');
+  });
+});
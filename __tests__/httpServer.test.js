@@ -0,0 +1,220 @@
+/**
+ * Tests for the HTTP transports (lib/http-server.js): Streamable HTTP sessions on /mcp,
+ * resumable streams, the legacy SSE endpoints and the health and metrics endpoints
+ */
+import { createHash } from 'crypto';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startHttpServer } from '../lib/http-server.js';
+import { SessionEventStore } from '../lib/event-store.js';
+
+const SESSION_IDLE_MS = 60000;
+let httpServer;
+let closedServers;
+let serverClients;
+
+const createServer = (client) => {
+  serverClients.push(client);
+  const server = new Server({ name: 'test-server', version: '0.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: 'ping', inputSchema: { type: 'object' } }]
+  }));
+  server.onclose = () => {
+    closedServers += 1;
+  };
+  return server;
+};
+
+beforeEach(async () => {
+  closedServers = 0;
+  serverClients = [];
+  httpServer = await startHttpServer({ createServer, sessionIdleMs: SESSION_IDLE_MS, host: '127.0.0.1' });
+});
+
+afterEach(async () => {
+  await httpServer.close();
+});
+
+const connect = async (transport) => {
+  const client = new Client({ name: 'test-client', version: '0.0.0' });
+  await client.connect(transport);
+  return client;
+};
+
+const post = (body, headers = {}) =>
+  fetch(`${httpServer.url}/mcp`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream', ...headers },
+    body: JSON.stringify(body)
+  });
+
+describe('Streamable HTTP', () => {
+  it('serves a session on /mcp and ends it on DELETE', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${httpServer.url}/mcp`));
+    const client = await connect(transport);
+
+    expect(transport.sessionId).toEqual(expect.any(String));
+    expect([...httpServer.sessions.keys()]).toEqual([transport.sessionId]);
+    expect((await client.listTools()).tools.map(({ name }) => name)).toEqual(['ping']);
+
+    await transport.terminateSession();
+    expect(httpServer.sessions.size).toBe(0);
+    expect(closedServers).toBe(1);
+    await client.close();
+  });
+
+  it('keeps sessions apart', async () => {
+    const first = new StreamableHTTPClientTransport(new URL(`${httpServer.url}/mcp`));
+    const second = new StreamableHTTPClientTransport(new URL(`${httpServer.url}/mcp`));
+    const clients = [await connect(first), await connect(second)];
+
+    expect(first.sessionId).not.toBe(second.sessionId);
+    expect(httpServer.sessions.size).toBe(2);
+    await Promise.all(clients.map((client) => client.close()));
+  });
+
+  it('asks for an initialize request without a session and rejects unknown sessions', async () => {
+    const request = { jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} };
+
+    const missing = await post(request);
+    expect(missing.status).toBe(400);
+
+    const unknown = await post(request, { 'mcp-session-id': 'no-such-session' });
+    expect(unknown.status).toBe(404);
+    expect(await unknown.json()).toEqual({ jsonrpc: '2.0', error: { code: -32001, message: 'Session not found' }, id: null });
+  });
+
+  it('closes idle sessions', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${httpServer.url}/mcp`));
+    const client = await connect(transport);
+
+    expect(await httpServer.sweepIdleSessions()).toBe(0);
+    expect(await httpServer.sweepIdleSessions(Date.now() + SESSION_IDLE_MS)).toBe(1);
+    expect(httpServer.sessions.size).toBe(0);
+    expect(closedServers).toBe(1);
+
+    await expect(client.listTools()).rejects.toThrow(/404|Session not found/);
+    await client.close();
+  });
+});
+
+describe('health and metrics', () => {
+  it('serves /healthz, /readyz and /metrics with the open sessions', async () => {
+    const client = await connect(new SSEClientTransport(new URL(`${httpServer.url}/sse`)));
+
+    expect(await (await fetch(`${httpServer.url}/healthz`)).json()).toEqual({ status: 'ok' });
+    expect((await fetch(`${httpServer.url}/readyz`)).status).toBe(200);
+    const metrics = await (await fetch(`${httpServer.url}/metrics`)).text();
+    expect(metrics).toContain('insightsentry_mcp_sessions{transport="sse"} 1');
+    expect(metrics).toContain('insightsentry_mcp_sessions{transport="streamable_http"} 0');
+    await client.close();
+  });
+});
+
+describe('legacy SSE', () => {
+  it('serves older clients on /sse and /messages', async () => {
+    const client = await connect(new SSEClientTransport(new URL(`${httpServer.url}/sse`)));
+
+    expect((await client.listTools()).tools.map(({ name }) => name)).toEqual(['ping']);
+    expect(httpServer.sessions.size).toBe(1);
+    // The open stream keeps the session alive however long it is quiet
+    expect(await httpServer.sweepIdleSessions(Date.now() + SESSION_IDLE_MS)).toBe(0);
+    await client.close();
+  });
+});
+
+describe('token authentication', () => {
+  const clients = [
+    { name: 'sentiment-agent', digest: createHash('sha256').update('sentiment-token').digest(), toolNames: ['ping'], requestsPerMinute: 3, window: { startedAt: 0, count: 0 } },
+    { name: 'supervisor', digest: createHash('sha256').update('supervisor-token').digest(), toolNames: null, requestsPerMinute: null, window: { startedAt: 0, count: 0 } }
+  ];
+  let authServer;
+
+  beforeEach(async () => {
+    for (const client of clients) client.window = { startedAt: 0, count: 0 };
+    authServer = await startHttpServer({ createServer, sessionIdleMs: SESSION_IDLE_MS, clients, host: '127.0.0.1' });
+  });
+
+  afterEach(async () => {
+    await authServer.close();
+  });
+
+  const transportFor = (token) =>
+    new StreamableHTTPClientTransport(new URL(`${authServer.url}/mcp`), { requestInit: { headers: { authorization: `Bearer ${token}` } } });
+
+  it('refuses requests without a valid token', async () => {
+    for (const headers of [{}, { authorization: 'Bearer wrong-token' }]) {
+      const response = await fetch(`${authServer.url}/mcp`, { method: 'POST', headers });
+      expect(response.status).toBe(401);
+      expect(response.headers.get('www-authenticate')).toBe('Bearer');
+    }
+    expect((await fetch(`${authServer.url}/sse`)).status).toBe(401);
+  });
+
+  it('builds each session for its client and keeps it from other clients', async () => {
+    const transport = transportFor('supervisor-token');
+    const client = await connect(transport);
+    expect(serverClients.map((serverClient) => serverClient.name)).toEqual(['supervisor']);
+
+    const hijack = await fetch(`${authServer.url}/mcp`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        accept: 'application/json, text/event-stream',
+        'x-api-key': 'sentiment-token',
+        'mcp-session-id': transport.sessionId
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+    });
+    expect(hijack.status).toBe(404);
+    await client.close();
+  });
+
+  it('leaves the health and metrics endpoints open', async () => {
+    for (const endpoint of ['healthz', 'readyz', 'metrics']) {
+      expect((await fetch(`${authServer.url}/${endpoint}`)).status).toBe(200);
+    }
+  });
+
+  it('limits requests per minute', async () => {
+    const request = () => fetch(`${authServer.url}/mcp`, { method: 'POST', headers: { 'x-api-key': 'sentiment-token' } });
+    for (let count = 0; count < 3; count += 1) {
+      expect((await request()).status).toBe(400);
+    }
+
+    const response = await request();
+    expect(response.status).toBe(429);
+    expect(Number(response.headers.get('retry-after'))).toBeGreaterThan(0);
+    // Other clients keep their own allowance
+    expect((await fetch(`${authServer.url}/mcp`, { method: 'POST', headers: { 'x-api-key': 'supervisor-token' } })).status).toBe(400);
+  });
+});
+
+describe('SessionEventStore', () => {
+  it('replays the events sent on the same stream after the last one received', async () => {
+    const store = new SessionEventStore();
+    const first = await store.storeEvent('stream-a', { n: 1 });
+    await store.storeEvent('stream-b', { n: 2 });
+    await store.storeEvent('stream-a', { n: 3 });
+
+    const replayed = [];
+    const streamId = await store.replayEventsAfter(first, { send: async (eventId, message) => replayed.push([eventId, message]) });
+
+    expect(streamId).toBe('stream-a');
+    expect(replayed).toEqual([['3', { n: 3 }]]);
+    expect(await store.getStreamIdForEventId('2')).toBe('stream-b');
+  });
+
+  it('keeps only the most recent events', async () => {
+    const store = new SessionEventStore(2);
+    const first = await store.storeEvent('stream', { n: 1 });
+    await store.storeEvent('stream', { n: 2 });
+    await store.storeEvent('stream', { n: 3 });
+
+    expect(await store.getStreamIdForEventId(first)).toBeUndefined();
+    expect(await store.replayEventsAfter(first, { send: async () => {} })).toBe('');
+  });
+});
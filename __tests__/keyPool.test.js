@@ -0,0 +1,132 @@
+/**
+ * Tests for API key rotation and quarantine (lib/key-pool.js)
+ */
+import { jest } from '@jest/globals';
+import { insightSentryRequest } from '../lib/client.js';
+import { acquireApiKey, resetKeyPool } from '../lib/key-pool.js';
+import { clearResponseCache } from '../lib/cache.js';
+import { getUsageSnapshot, resetUsage } from '../lib/usage.js';
+import { AuthenticationError, RateLimitError } from '../lib/errors.js';
+
+const originalEnv = process.env;
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  json: async () => body
+});
+
+const keyUsed = (call) => call[1].headers['x-rapidapi-key'];
+
+global.fetch = jest.fn();
+
+beforeEach(() => {
+  process.env = {
+    ...originalEnv,
+    INSIGHTSENTRY_BASE_URL: 'https://insightsentry.p.rapidapi.com',
+    INSIGHTSENTRY_API_KEY: '',
+    INSIGHTSENTRY_API_KEYS: 'alpha-0001,bravo-0002,charlie-0003',
+    INSIGHTSENTRY_USAGE_FILE: 'off',
+    INSIGHTSENTRY_MAX_RETRIES: '0',
+    INSIGHTSENTRY_CACHE: 'off'
+  };
+  fetch.mockReset();
+  clearResponseCache();
+  resetUsage();
+  resetKeyPool();
+  jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterEach(() => {
+  process.stderr.write.mockRestore();
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('key rotation', () => {
+  it('rotates round-robin and reports usage per key without revealing it', async () => {
+    fetch.mockImplementation(async () => jsonResponse(200, {}, { 'x-ratelimit-requests-limit': '100', 'x-ratelimit-requests-remaining': '90' }));
+
+    for (let i = 0; i < 4; i++) {
+      await insightSentryRequest(`/v2/symbols/NASDAQ:AAPL/quote?n=${i}`);
+    }
+
+    expect(fetch.mock.calls.map(keyUsed)).toEqual(['alpha-0001', 'bravo-0002', 'charlie-0003', 'alpha-0001']);
+    const usage = getUsageSnapshot();
+    expect(Object.keys(usage.keys)).toEqual(['key1…0001', 'key2…0002', 'key3…0003']);
+    expect(usage.keys['key1…0001'].requests).toBe(2);
+    expect(usage.quota).toMatchObject({ limit: 300, remaining: 270 });
+    expect(JSON.stringify(usage)).not.toContain('alpha');
+  });
+
+  it('prefers the key with the most remaining quota', async () => {
+    process.env.INSIGHTSENTRY_KEY_ROTATION = 'quota';
+    const remaining = { 'alpha-0001': '5', 'bravo-0002': '50', 'charlie-0003': '20' };
+    fetch.mockImplementation(async (url, { headers }) =>
+      jsonResponse(200, {}, { 'x-ratelimit-requests-remaining': remaining[headers['x-rapidapi-key']] }));
+
+    for (let i = 0; i < 5; i++) {
+      await insightSentryRequest(`/v2/exchanges?n=${i}`);
+    }
+
+    // Each key is tried once to learn its quota, then the fullest one wins
+    expect(fetch.mock.calls.map(keyUsed).slice(3)).toEqual(['bravo-0002', 'bravo-0002']);
+  });
+});
+
+describe('key quarantine', () => {
+  it('moves to the next key after an authentication failure and keeps the bad key out', async () => {
+    fetch.mockImplementation(async (url, { headers }) =>
+      headers['x-rapidapi-key'] === 'alpha-0001' ? jsonResponse(403, { message: 'Forbidden' }) : jsonResponse(200, { ok: true }));
+
+    await expect(insightSentryRequest('/v2/exchanges')).resolves.toEqual({ ok: true });
+    await insightSentryRequest('/v2/exchanges?again=1');
+    await insightSentryRequest('/v2/exchanges?again=2');
+
+    expect(fetch.mock.calls.map(keyUsed)).toEqual(['alpha-0001', 'bravo-0002', 'charlie-0003', 'bravo-0002']);
+    expect(getUsageSnapshot().keys['key1…0001']).toMatchObject({ errors: 1, quarantine_reason: 'authentication' });
+  });
+
+  it('quarantines a throttled key until Retry-After', async () => {
+    jest.useFakeTimers({ now: 0, doNotFake: ['setTimeout', 'clearTimeout'] });
+    try {
+      fetch.mockResolvedValueOnce(jsonResponse(429, {}, { 'retry-after': '30' }));
+      fetch.mockResolvedValue(jsonResponse(200, { ok: true }));
+
+      await insightSentryRequest('/v2/exchanges');
+      expect(getUsageSnapshot().keys['key1…0001'].quarantined_until).toBe(new Date(30000).toISOString());
+
+      jest.setSystemTime(31000);
+      const { label } = [acquireApiKey(), acquireApiKey(), acquireApiKey()].find((entry) => entry.label === 'key1…0001');
+      expect(label).toBe('key1…0001');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('fails with the right error once every key is out of rotation', async () => {
+    fetch.mockResolvedValue(jsonResponse(401, { message: 'Invalid API key' }));
+    await expect(insightSentryRequest('/v2/exchanges')).rejects.toBeInstanceOf(AuthenticationError);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    await expect(insightSentryRequest('/v2/exchanges?later=1')).rejects.toThrow('every key failed authentication');
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    resetKeyPool();
+    fetch.mockResolvedValue(jsonResponse(429, { message: 'Too many requests' }, { 'retry-after': '60' }));
+    await expect(insightSentryRequest('/v2/exchanges?throttled=1')).rejects.toBeInstanceOf(RateLimitError);
+    await expect(insightSentryRequest('/v2/exchanges?throttled=2')).rejects.toMatchObject({ retryAfterMs: expect.any(Number) });
+  });
+
+  it('leaves a single key in place after failures', async () => {
+    process.env.INSIGHTSENTRY_API_KEYS = '';
+    process.env.INSIGHTSENTRY_API_KEY = 'solo-0009';
+    fetch.mockResolvedValueOnce(jsonResponse(401, {})).mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+    await expect(insightSentryRequest('/v2/exchanges')).rejects.toBeInstanceOf(AuthenticationError);
+    await expect(insightSentryRequest('/v2/exchanges?again=1')).resolves.toEqual({ ok: true });
+  });
+});
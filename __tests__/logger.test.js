@@ -0,0 +1,136 @@
+/**
+ * Tests for leveled logging, redaction and log sinks (lib/logger.js)
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { resetConfig } from '../lib/config.js';
+import { runWithRequestContext } from '../lib/request-context.js';
+import { createLogger, redact, isLevelEnabled, addLogSink, removeLogSink } from '../lib/logger.js';
+
+const originalEnv = process.env;
+let stderr;
+let tmpDir;
+
+beforeEach(() => {
+  process.env = { ...originalEnv, INSIGHTSENTRY_API_KEY: 'rapid-key-0123456789', INSIGHTSENTRY_WS_API_KEY: 'ws-key-0123456789' };
+  delete process.env.INSIGHTSENTRY_LOG_LEVEL;
+  delete process.env.INSIGHTSENTRY_LOG_FILE;
+  delete process.env.INSIGHTSENTRY_CONFIG;
+  resetConfig();
+  stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'insightsentry-logger-'));
+});
+
+afterEach(() => {
+  stderr.mockRestore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+const written = () => stderr.mock.calls.map(([line]) => line);
+
+describe('createLogger', () => {
+  it('writes messages at or above logging.level to stderr', () => {
+    const logger = createLogger('QuoteStream');
+    logger.debug('Quote', { last_price: 1 });
+    logger.warning('Could not reopen the real-time stream', new Error('socket hang up'));
+
+    expect(written()).toHaveLength(1);
+    expect(written()[0]).toMatch(/^\S+Z WARNING \[QuoteStream\] Could not reopen the real-time stream Error: socket hang up\n/);
+
+    process.env.INSIGHTSENTRY_LOG_LEVEL = 'debug';
+    logger.debug('Quote', { last_price: 1 });
+    expect(written()[1]).toMatch(/DEBUG \[QuoteStream\] Quote {"last_price":1}\n$/);
+  });
+
+  it('appends to logging.file as well', () => {
+    const file = path.join(tmpDir, 'server.log');
+    process.env.INSIGHTSENTRY_LOG_FILE = file;
+    createLogger('Keys').warning('Quarantined key #1 (rate-limited)');
+    createLogger('Keys').info('Key #1 is back');
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    expect(lines).toEqual([expect.stringMatching(/WARNING \[Keys\] Quarantined key #1/), expect.stringMatching(/INFO \[Keys\] Key #1 is back/)]);
+    expect(written()).toEqual(lines.map((line) => `${line}\n`));
+  });
+
+  it('reads logging settings once per configuration', () => {
+    const file = path.join(tmpDir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ logging: { level: 'error' } }));
+    process.env.INSIGHTSENTRY_CONFIG = file;
+    const logger = createLogger('Keys');
+    logger.warning('Quarantined key #1 (rate-limited)');
+
+    fs.writeFileSync(file, JSON.stringify({ logging: { level: 'debug' } }));
+    logger.warning('Quarantined key #2 (rate-limited)');
+    expect(written()).toEqual([]);
+
+    resetConfig();
+    logger.warning('Quarantined key #3 (rate-limited)');
+    expect(written()).toEqual([expect.stringMatching(/WARNING \[Keys\] Quarantined key #3/)]);
+  });
+
+  it('keeps logging when the configuration is invalid', () => {
+    process.env.INSIGHTSENTRY_TIMEOUT_MS = 'soon';
+    createLogger('Config').error('Invalid InsightSentry configuration');
+    expect(written()[0]).toMatch(/ERROR \[Config\] Invalid InsightSentry configuration/);
+  });
+});
+
+describe('redact', () => {
+  it('hides configured API keys, bearer tokens and key fields', () => {
+    expect(redact('GET /v3/symbols with rapid-key-0123456789')).toBe('GET /v3/symbols with [REDACTED]');
+    expect(redact('Authorization: Bearer abc.def')).toBe('Authorization: Bearer [REDACTED]');
+    expect(redact({ api_key: 'unknown-key', subscriptions: [{ code: 'NASDAQ:AAPL' }], headers: { 'x-rapidapi-key': 'k' } })).toEqual({
+      api_key: '[REDACTED]',
+      subscriptions: [{ code: 'NASDAQ:AAPL' }],
+      headers: { 'x-rapidapi-key': '[REDACTED]' }
+    });
+    expect(redact(new Error('ws-key-0123456789 rejected'))).toEqual({ name: 'Error', message: '[REDACTED] rejected' });
+  });
+
+  it('redacts what is written', () => {
+    createLogger('RealTimeDataTool').info('Subscriptions message sent', { api_key: 'ws-key-0123456789', subscriptions: [] });
+    expect(written()[0]).not.toContain('ws-key-0123456789');
+    expect(written()[0]).toContain('{"api_key":"[REDACTED]","subscriptions":[]}');
+  });
+});
+
+describe('log sinks', () => {
+  it('receive every level outside requests and only their own messages inside one', () => {
+    const background = [];
+    const session = [];
+    const backgroundSink = (entry) => background.push(entry);
+    const sessionSink = (entry) => session.push(entry);
+    addLogSink(backgroundSink);
+    try {
+      const logger = createLogger('QuoteStream');
+      logger.debug('Quote', { code: 'NASDAQ:AAPL' });
+      runWithRequestContext({ logSink: sessionSink }, () => logger.warning('Tool get_quotes failed (rate_limit)', 'slow down'));
+
+      // Sessions that did not register see their own requests' messages only
+      expect(background).toEqual([{ level: 'debug', logger: 'QuoteStream', data: { message: 'Quote', data: { code: 'NASDAQ:AAPL' } } }]);
+      expect(session).toEqual([
+        { level: 'warning', logger: 'QuoteStream', data: { message: 'Tool get_quotes failed (rate_limit)', data: 'slow down' } }
+      ]);
+    } finally {
+      removeLogSink(backgroundSink);
+    }
+
+    createLogger('QuoteStream').error('Real-time stream failed');
+    expect(background).toHaveLength(1);
+  });
+});
+
+describe('isLevelEnabled', () => {
+  it('orders levels by severity', () => {
+    expect(isLevelEnabled('error', 'warning')).toBe(true);
+    expect(isLevelEnabled('info', 'notice')).toBe(false);
+    expect(isLevelEnabled('emergency', 'emergency')).toBe(true);
+  });
+});
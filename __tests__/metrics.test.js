@@ -0,0 +1,82 @@
+/**
+ * Tests for the Prometheus metrics (lib/metrics.js)
+ */
+import { clearResponseCache } from '../lib/cache.js';
+import { RateLimitError } from '../lib/errors.js';
+import { recordToolCall, trackUpstreamSocket, registerGauge, renderMetrics, resetMetrics } from '../lib/metrics.js';
+
+beforeEach(() => {
+  resetMetrics();
+  clearResponseCache();
+});
+
+const metricLines = (prefix) => renderMetrics().split('\n').filter((line) => line.startsWith(prefix));
+
+describe('recordToolCall', () => {
+  it('counts calls by outcome and errors by type', () => {
+    recordToolCall('get_latest_quote', 120);
+    recordToolCall('get_latest_quote', 80, new RateLimitError('Too many requests'));
+    recordToolCall('get_latest_quote', 30, new TypeError('undefined is not a function'));
+
+    expect(metricLines('insightsentry_tool_calls_total')).toEqual([
+      'insightsentry_tool_calls_total{tool="get_latest_quote",outcome="success"} 1',
+      'insightsentry_tool_calls_total{tool="get_latest_quote",outcome="error"} 2'
+    ]);
+    expect(metricLines('insightsentry_tool_errors_total')).toEqual([
+      'insightsentry_tool_errors_total{tool="get_latest_quote",type="rate_limited"} 1',
+      'insightsentry_tool_errors_total{tool="get_latest_quote",type="internal"} 1'
+    ]);
+  });
+
+  it('keeps a latency histogram per tool', () => {
+    recordToolCall('fetch_financials', 40);
+    recordToolCall('fetch_financials', 3000);
+
+    const lines = metricLines('insightsentry_tool_call_duration_seconds');
+    expect(lines).toContain('insightsentry_tool_call_duration_seconds_bucket{tool="fetch_financials",le="0.05"} 1');
+    expect(lines).toContain('insightsentry_tool_call_duration_seconds_bucket{tool="fetch_financials",le="2.5"} 1');
+    expect(lines).toContain('insightsentry_tool_call_duration_seconds_bucket{tool="fetch_financials",le="5"} 2');
+    expect(lines).toContain('insightsentry_tool_call_duration_seconds_bucket{tool="fetch_financials",le="+Inf"} 2');
+    expect(lines).toContain('insightsentry_tool_call_duration_seconds_sum{tool="fetch_financials"} 3.04');
+    expect(lines).toContain('insightsentry_tool_call_duration_seconds_count{tool="fetch_financials"} 2');
+  });
+});
+
+describe('renderMetrics', () => {
+  it('describes every metric and reports the cache', () => {
+    const text = renderMetrics();
+    expect(text).toContain('# TYPE insightsentry_tool_calls_total counter');
+    expect(text).toContain('# TYPE insightsentry_tool_call_duration_seconds histogram');
+    expect(text).toContain('insightsentry_cache_hit_ratio 0');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  it('lists registered gauges until they are unregistered', () => {
+    const stopFirst = registerGauge('insightsentry_mcp_sessions', 'Open MCP sessions by transport', () => [{ labels: { transport: 'sse' }, value: 2 }]);
+    const stopSecond = registerGauge('insightsentry_mcp_sessions', 'Open MCP sessions by transport', () => [{ labels: { transport: 'sse' }, value: 1 }]);
+
+    expect(metricLines('# TYPE insightsentry_mcp_sessions')).toHaveLength(1);
+    expect(metricLines('insightsentry_mcp_sessions')).toEqual([
+      'insightsentry_mcp_sessions{transport="sse"} 2',
+      'insightsentry_mcp_sessions{transport="sse"} 1'
+    ]);
+
+    stopFirst();
+    stopSecond();
+    expect(renderMetrics()).not.toContain('insightsentry_mcp_sessions');
+  });
+});
+
+describe('trackUpstreamSocket', () => {
+  it('counts a socket from open to close', () => {
+    const listeners = {};
+    const socket = { addEventListener: (type, listener) => { listeners[type] = listener; } };
+    trackUpstreamSocket(socket, 'live');
+    expect(metricLines('insightsentry_websocket_upstream_connections{')).toEqual([]);
+
+    listeners.open();
+    expect(metricLines('insightsentry_websocket_upstream_connections{')).toEqual(['insightsentry_websocket_upstream_connections{feed="live"} 1']);
+    listeners.close();
+    expect(metricLines('insightsentry_websocket_upstream_connections{')).toEqual(['insightsentry_websocket_upstream_connections{feed="live"} 0']);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for progress reporting (lib/progress.js)
+ */
+import { jest } from '@jest/globals';
+import { runWithRequestContext } from '../lib/request-context.js';
+import { reportProgress, createProgressReporter } from '../lib/progress.js';
+
+describe('createProgressReporter', () => {
+  it('only sends increasing progress', () => {
+    const send = jest.fn(async () => {});
+    const report = createProgressReporter(send, { minIntervalMs: 0 });
+
+    report({ progress: 1, total: 3 });
+    report({ progress: 1, total: 3 });
+    report({ progress: 2, total: 3, message: 'halfway' });
+
+    expect(send.mock.calls.map(([update]) => update)).toEqual([
+      { progress: 1, total: 3 },
+      { progress: 2, total: 3, message: 'halfway' }
+    ]);
+  });
+
+  it('throttles updates but always sends the one completing the total', () => {
+    const send = jest.fn(async () => {});
+    const report = createProgressReporter(send, { minIntervalMs: 60000 });
+
+    for (let progress = 1; progress <= 10; progress += 1) report({ progress, total: 10 });
+
+    expect(send.mock.calls.map(([update]) => update.progress)).toEqual([1, 10]);
+  });
+});
+
+describe('reportProgress', () => {
+  it('reports to the reporter of the current call, if any', () => {
+    const onProgress = jest.fn();
+
+    runWithRequestContext({ onProgress }, () => reportProgress({ progress: 5 }));
+    reportProgress({ progress: 6 });
+
+    expect(onProgress).toHaveBeenCalledTimes(1);
+    expect(onProgress).toHaveBeenCalledWith({ progress: 5 });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for workflow prompts (lib/prompts.js), prefilled from the local stand-in server
+ */
+import path from 'path';
+import { createStandInServer } from '../lib/stand-in/server.js';
+import { clearResponseCache } from '../lib/cache.js';
+import { clearSymbolResolutions } from '../lib/symbols.js';
+import { discoverTools } from '../lib/tools.js';
+import { InvalidParamsError } from '../lib/errors.js';
+import { WORKFLOW_PROMPTS, listPrompts, getPrompt } from '../lib/prompts.js';
+
+const originalEnv = process.env;
+let standIn;
+let tools;
+
+beforeAll(async () => {
+  standIn = await createStandInServer({ dataDir: path.resolve('data'), streamIntervalMs: 20 });
+  tools = await discoverTools({ toolsDir: path.resolve('tools') });
+});
+
+afterAll(async () => {
+  await standIn.close();
+  process.env = originalEnv;
+});
+
+beforeEach(() => {
+  process.env = {
+    ...originalEnv,
+    INSIGHTSENTRY_BASE_URL: standIn.url,
+    INSIGHTSENTRY_API_KEY: 'stand-in-key',
+    INSIGHTSENTRY_CONFIG: '',
+    INSIGHTSENTRY_USAGE_FILE: 'off'
+  };
+  clearResponseCache();
+  clearSymbolResolutions();
+});
+
+describe('listPrompts', () => {
+  it('lists the documented workflows with their arguments', () => {
+    const prompts = listPrompts();
+
+    expect(prompts.map(({ name }) => name)).toEqual([
+      'pead_workflow',
+      'sentiment_pullback_workflow',
+      'orb_workflow',
+      'supervisor_risk_review'
+    ]);
+    for (const prompt of prompts) {
+      expect(prompt.arguments.map(({ name, required }) => [name, required])).toEqual([
+        ['symbol', true],
+        ['date', false],
+        ['risk_budget', false]
+      ]);
+    }
+  });
+
+  it('only prefills tools that exist', () => {
+    const names = new Set(tools.map((tool) => tool.definition.function.name));
+    for (const { steps } of WORKFLOW_PROMPTS) {
+      expect(steps.filter(({ tool }) => !names.has(tool))).toEqual([]);
+    }
+  });
+});
+
+describe('getPrompt', () => {
+  it('resolves the symbol and prefills the workflow tool results', async () => {
+    const { description, messages } = await getPrompt('orb_workflow', { symbol: 'AAPL', date: '2026-10-16', risk_budget: '1%' }, tools);
+
+    expect(description).toBe('Opening range breakout for NASDAQ:AAPL');
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toEqual({ role: 'user', content: { type: 'text', text: expect.stringContaining('for NASDAQ:AAPL for the session of 2026-10-16') } });
+    expect(messages[0].content.text).toContain('fetched now, not as of 2026-10-16');
+    expect(messages[0].content.text).toContain('loses at most 1% of equity');
+
+    const results = messages[1].content.text;
+    for (const tool of ['get_market_status', 'fetch_breakout_analysis', 'fetch_trading_essentials', 'get_ohlcv_time_series', 'get_execution_timing']) {
+      expect(results).toContain(`${tool} {"symbol":"NASDAQ:AAPL"`);
+    }
+    expect(results).not.toContain('failed');
+  });
+
+  it('shares the response budget between the steps', async () => {
+    process.env.INSIGHTSENTRY_MAX_RESPONSE_BYTES = '6000';
+
+    const { messages } = await getPrompt('orb_workflow', { symbol: 'NASDAQ:AAPL' }, tools);
+    const results = messages[1].content.text.split('\n');
+    // The compact JSON line after each "<tool> {args}:" heading
+    const values = results.filter((line, index) => index > 0 && results[index - 1].endsWith('}:'));
+
+    expect(values).toHaveLength(5);
+    expect(values.reduce((total, line) => total + Buffer.byteLength(line, 'utf8'), 0)).toBeLessThanOrEqual(6000);
+    expect(messages[1].content.text).toContain('Response truncated to fit the 1200-byte response budget');
+  });
+
+  it('reports disabled tools in place of their results', async () => {
+    process.env.INSIGHTSENTRY_DISABLED_TOOLS = 'fetch_news_impact_analysis';
+
+    const { messages } = await getPrompt('sentiment_pullback_workflow', { symbol: 'NASDAQ:MSFT' }, tools);
+    expect(messages[1].content.text).toContain('fetch_news_impact_analysis {"symbol":"NASDAQ:MSFT"}: not run, the tool is disabled on this server.');
+    expect(messages[0].content.text).toContain('No risk budget was given');
+  });
+
+  it('skips tools outside the tools profile or the client allowlist', async () => {
+    process.env.INSIGHTSENTRY_TOOL_PROFILE = 'sentiment';
+    const client = { name: 'sentiment-agent', toolNames: ['fetch_sentiment_context', 'fetch_news_impact_analysis'] };
+
+    const { messages } = await getPrompt('sentiment_pullback_workflow', { symbol: 'NASDAQ:MSFT' }, tools, { client });
+    const results = messages[1].content.text;
+    expect(results).toContain('fetch_sentiment_context {"symbol":"NASDAQ:MSFT"}:\n{');
+    expect(results).toContain('fetch_valuation_ratios {"symbol":"NASDAQ:MSFT"}: not run, this client is not allowed to call the tool.');
+
+    const { messages: orb } = await getPrompt('orb_workflow', { symbol: 'NASDAQ:MSFT' }, tools);
+    expect(orb[1].content.text).toContain('fetch_breakout_analysis {"symbol":"NASDAQ:MSFT"}: not run, the tool is disabled on this server.');
+  });
+
+  it('rejects unknown prompts and invalid arguments', async () => {
+    await expect(getPrompt('yolo_workflow', { symbol: 'AAPL' }, tools)).rejects.toThrow('Unknown prompt "yolo_workflow"');
+    await expect(getPrompt('pead_workflow', {}, tools)).rejects.toThrow('symbol is required');
+    await expect(getPrompt('pead_workflow', { symbol: 'AAPL', date: '16/10/2026', risk_budget: 'lots' }, tools)).rejects.toThrow(
+      new InvalidParamsError(
+        'Invalid arguments for prompt pead_workflow: date must be YYYY-MM-DD (got "16/10/2026"); risk_budget must be an amount (500) or a percentage (1%) (got "lots")'
+      )
+    );
+  });
+});
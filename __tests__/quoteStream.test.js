@@ -0,0 +1,149 @@
+/**
+ * Tests for live quote resource subscriptions (lib/quote-stream.js) against the stand-in streams
+ */
+import path from 'path';
+import { createStandInServer } from '../lib/stand-in/server.js';
+import { clearResponseCache } from '../lib/cache.js';
+import { clearSymbolResolutions } from '../lib/symbols.js';
+import { discoverTools } from '../lib/tools.js';
+import { AuthenticationError, InvalidParamsError } from '../lib/errors.js';
+import { readResource, subscribeResource, unsubscribeResource } from '../lib/resources.js';
+import { unsubscribeAllQuotes, getStreamedCodes, closeQuoteStreams } from '../lib/quote-stream.js';
+
+const originalEnv = process.env;
+let standIn;
+let tools;
+let updates;
+const listener = (uri) => updates.push(uri);
+
+beforeAll(async () => {
+  standIn = await createStandInServer({ dataDir: path.resolve('data'), streamIntervalMs: 20 });
+  tools = await discoverTools({ toolsDir: path.resolve('tools') });
+});
+
+afterAll(async () => {
+  closeQuoteStreams();
+  await standIn.close();
+  process.env = originalEnv;
+});
+
+beforeEach(() => {
+  process.env = {
+    ...originalEnv,
+    INSIGHTSENTRY_BASE_URL: standIn.url,
+    INSIGHTSENTRY_API_KEY: 'stand-in-key',
+    INSIGHTSENTRY_WS_LIVE_URL: `${standIn.wsUrl}/live`,
+    INSIGHTSENTRY_WS_API_KEY: 'stand-in-websocket-key',
+    INSIGHTSENTRY_CONFIG: '',
+    INSIGHTSENTRY_USAGE_FILE: 'off'
+  };
+  clearResponseCache();
+  clearSymbolResolutions();
+  updates = [];
+});
+
+afterEach(() => {
+  closeQuoteStreams();
+});
+
+const waitFor = async (condition, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const readQuote = async (uri) => JSON.parse((await readResource(uri, tools)).contents[0].text);
+
+describe('quote subscriptions', () => {
+  it('reads the REST quote when not subscribed', async () => {
+    expect(await readQuote('insightsentry://quotes/NASDAQ:AAPL')).toMatchObject({
+      code: 'NASDAQ:AAPL',
+      source: 'rest',
+      quote: { code: 'NASDAQ:AAPL', last_price: expect.any(Number) },
+      bar: null
+    });
+  });
+
+  it('notifies subscribers as streamed quotes and bars arrive', async () => {
+    await subscribeResource('insightsentry://quotes/AAPL', tools, listener);
+    expect(getStreamedCodes()).toEqual(['NASDAQ:AAPL']);
+
+    await waitFor(() => updates.length > 0);
+    expect(updates[0]).toBe('insightsentry://quotes/AAPL');
+
+    const snapshot = await readQuote('insightsentry://quotes/AAPL');
+    expect(snapshot).toMatchObject({ code: 'NASDAQ:AAPL', source: 'stream', quote: { last_price: expect.any(Number) } });
+    await waitFor(() => updates.length > 1);
+    expect((await readQuote('insightsentry://quotes/NASDAQ:AAPL')).bar).toMatchObject({ close: expect.any(Number) });
+  });
+
+  it('keeps one upstream subscription per code until no one listens', async () => {
+    await subscribeResource('insightsentry://quotes/NASDAQ:AAPL', tools, listener);
+    await subscribeResource('insightsentry://quotes/AAPL', tools, listener);
+    await subscribeResource('insightsentry://quotes/NASDAQ:MSFT', tools, listener);
+    expect(getStreamedCodes()).toEqual(['NASDAQ:AAPL', 'NASDAQ:MSFT']);
+    await waitFor(() => standIn.wss.clients.size === 1);
+
+    await unsubscribeResource('insightsentry://quotes/NASDAQ:MSFT', listener);
+    await unsubscribeResource('insightsentry://quotes/AAPL', listener);
+    expect(getStreamedCodes()).toEqual(['NASDAQ:AAPL']);
+
+    await unsubscribeResource('insightsentry://quotes/NASDAQ:AAPL', listener);
+    expect(getStreamedCodes()).toEqual([]);
+    await waitFor(() => standIn.wss.clients.size === 0);
+  });
+
+  it('shares the stream between sessions and drops a session with all its subscriptions', async () => {
+    const otherUpdates = [];
+    const other = (uri) => otherUpdates.push(uri);
+    await subscribeResource('insightsentry://quotes/NASDAQ:AAPL', tools, listener);
+    await subscribeResource('insightsentry://quotes/NASDAQ:AAPL', tools, other);
+    await subscribeResource('insightsentry://quotes/NASDAQ:MSFT', tools, other);
+    await waitFor(() => updates.length > 0 && otherUpdates.length > 0);
+
+    await unsubscribeAllQuotes(other);
+    expect(getStreamedCodes()).toEqual(['NASDAQ:AAPL']);
+
+    otherUpdates.length = 0;
+    const seen = updates.length;
+    await waitFor(() => updates.length > seen);
+    expect(otherUpdates).toEqual([]);
+  });
+
+  it('forgets a stream that dies and opens a new one on the next subscription', async () => {
+    await subscribeResource('insightsentry://quotes/NASDAQ:AAPL', tools, listener);
+    await waitFor(() => updates.length > 0);
+
+    // The upstream refuses the stream for good, e.g. once the key is revoked
+    for (const client of standIn.wss.clients) client.close(4001, 'Unauthorized');
+    await waitFor(() => getStreamedCodes().length === 0);
+    expect((await readQuote('insightsentry://quotes/NASDAQ:AAPL')).source).toBe('rest');
+
+    await subscribeResource('insightsentry://quotes/NASDAQ:MSFT', tools, listener);
+    expect(getStreamedCodes()).toEqual(['NASDAQ:AAPL', 'NASDAQ:MSFT']);
+    await waitFor(() => standIn.wss.clients.size === 1);
+  });
+
+  it('forgets a stream the upstream refuses', async () => {
+    process.env.INSIGHTSENTRY_WS_API_KEY = 'revoked-websocket-key';
+
+    await subscribeResource('insightsentry://quotes/NASDAQ:AAPL', tools, listener);
+    await waitFor(() => getStreamedCodes().length === 0);
+    expect(updates).toEqual([]);
+  });
+
+  it('rejects subscriptions to other resources', async () => {
+    await expect(subscribeResource('insightsentry://exchanges', tools, listener)).rejects.toThrow(InvalidParamsError);
+    await expect(subscribeResource('insightsentry://quotes/NASDAQ%3AAA%PL', tools, listener)).rejects.toThrow(InvalidParamsError);
+    expect(getStreamedCodes()).toEqual([]);
+  });
+
+  it('needs a WebSocket key', async () => {
+    delete process.env.INSIGHTSENTRY_WS_API_KEY;
+
+    await expect(subscribeResource('insightsentry://quotes/NASDAQ:AAPL', tools, listener)).rejects.toThrow(AuthenticationError);
+    expect(getStreamedCodes()).toEqual([]);
+  });
+});
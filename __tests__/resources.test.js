@@ -0,0 +1,90 @@
+/**
+ * Tests for MCP resources (lib/resources.js), read from the local stand-in server
+ */
+import path from 'path';
+import { createStandInServer } from '../lib/stand-in/server.js';
+import { clearResponseCache } from '../lib/cache.js';
+import { clearSymbolResolutions } from '../lib/symbols.js';
+import { discoverTools } from '../lib/tools.js';
+import { InvalidParamsError } from '../lib/errors.js';
+import { listResources, listResourceTemplates, readResource } from '../lib/resources.js';
+
+const originalEnv = process.env;
+let standIn;
+let tools;
+
+beforeAll(async () => {
+  standIn = await createStandInServer({ dataDir: path.resolve('data'), streamIntervalMs: 20 });
+  tools = await discoverTools({ toolsDir: path.resolve('tools') });
+});
+
+afterAll(async () => {
+  await standIn.close();
+  process.env = originalEnv;
+});
+
+beforeEach(() => {
+  process.env = {
+    ...originalEnv,
+    INSIGHTSENTRY_BASE_URL: standIn.url,
+    INSIGHTSENTRY_API_KEY: 'stand-in-key',
+    INSIGHTSENTRY_CONFIG: '',
+    INSIGHTSENTRY_USAGE_FILE: 'off'
+  };
+  clearResponseCache();
+  clearSymbolResolutions();
+});
+
+const readJson = async (uri) => {
+  const { contents } = await readResource(uri, tools);
+  expect(contents).toEqual([{ uri, mimeType: 'application/json', text: expect.any(String) }]);
+  return JSON.parse(contents[0].text);
+};
+
+describe('resource listing', () => {
+  it('lists the static resources and the symbol and quote templates', () => {
+    expect(listResources(tools).map(({ uri }) => uri)).toEqual(['insightsentry://exchanges', 'insightsentry://economy/weekly']);
+    expect(listResourceTemplates(tools).map(({ uriTemplate }) => uriTemplate)).toEqual([
+      'insightsentry://symbols/{code}/info',
+      'insightsentry://symbols/{code}/session',
+      'insightsentry://symbols/{code}/financials/{section}',
+      'insightsentry://quotes/{code}'
+    ]);
+  });
+
+  it('withdraws resources whose tool is disabled, but not those outside the profile', () => {
+    process.env.INSIGHTSENTRY_DISABLED_TOOLS = 'get_available_exchanges';
+    process.env.INSIGHTSENTRY_TOOL_PROFILE = 'orb';
+
+    expect(listResources(tools).map(({ uri }) => uri)).toEqual(['insightsentry://economy/weekly']);
+    expect(listResourceTemplates(tools)).toHaveLength(4);
+  });
+});
+
+describe('readResource', () => {
+  it('reads symbol info and sessions, resolving bare tickers', async () => {
+    expect(await readJson('insightsentry://symbols/NASDAQ:AAPL/info')).toMatchObject({ code: 'NASDAQ:AAPL' });
+
+    const { _meta } = await readResource('insightsentry://symbols/AAPL/session', tools);
+    expect(_meta.symbols).toEqual([{ input: 'AAPL', code: 'NASDAQ:AAPL', via: 'search' }]);
+    expect(await readJson('insightsentry://symbols/NASDAQ%3AAAPL/session')).toMatchObject({ code: 'NASDAQ:AAPL', timezone: expect.any(String) });
+  });
+
+  it('reads one financials section', async () => {
+    const financials = await readJson('insightsentry://symbols/NASDAQ:AAPL/financials/balance_sheet');
+    expect(Object.keys(financials.data)).toEqual(['balance_sheet']);
+  });
+
+  it('reads the exchange list and the weekly economic calendar', async () => {
+    expect(await readJson('insightsentry://exchanges')).toBeDefined();
+    expect(await readJson('insightsentry://economy/weekly')).toBeDefined();
+  });
+
+  it('rejects unknown URIs and sections', async () => {
+    await expect(readResource('insightsentry://symbols/NASDAQ:AAPL/quote', tools)).rejects.toThrow(InvalidParamsError);
+    await expect(readResource('insightsentry://symbols/NASDAQ:AAPL/financials/gossip', tools))
+      .rejects.toThrow('Unknown financials section "gossip"');
+    await expect(readResource('insightsentry://symbols/NASDAQ%3AAA%PL/info', tools))
+      .rejects.toThrow(new InvalidParamsError('Resource "insightsentry://symbols/NASDAQ%3AAA%PL/info" is not valid percent-encoding'));
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for the response size budget (lib/response-budget.js)
+ */
+import fs from 'fs';
+import path from 'path';
+import {
+  applyResponseBudget,
+  continueResponse,
+  describeContinuation,
+  clearContinuations,
+  continuationTool
+} from '../lib/response-budget.js';
+import { InvalidParamsError } from '../lib/errors.js';
+import { renderResult } from '../lib/formats.js';
+
+const readSample = (name) => JSON.parse(fs.readFileSync(path.resolve('data', name), 'utf8'));
+const sizeOf = (value) => Buffer.byteLength(JSON.stringify(value, null, 2), 'utf8');
+
+/**
+ * Resolve a slice path ('data.cash_flow.x_fq_h', 'option_info[0].series[2].strikes') in a document.
+ */
+const arrayAt = (document, slicePath) =>
+  slicePath.split(/\.|(?=\[)/).reduce((node, segment) => {
+    const index = /^\[(\d+)\]$/.exec(segment);
+    return index ? node[Number(index[1])] : node[segment];
+  }, document);
+
+/**
+ * Follow the cursors to the end, merging every slice back into the first page.
+ */
+const reassemble = (first, maxBytes) => {
+  const document = structuredClone(first.value);
+  const pages = [];
+  let cursor = first.continuation?.cursor ?? null;
+  while (cursor) {
+    const page = continueResponse(cursor, { maxBytes });
+    pages.push(page);
+    for (const { path: slicePath, offset, items } of page.slices) {
+      const target = arrayAt(document, slicePath);
+      expect(target).toHaveLength(offset);
+      target.push(...items);
+    }
+    cursor = page.next_cursor;
+  }
+  return { document, pages };
+};
+
+beforeEach(() => {
+  clearContinuations();
+});
+
+describe('applyResponseBudget', () => {
+  it('returns results within the budget unchanged', () => {
+    const result = { code: 'NASDAQ:AAPL', series: [{ time: 1, close: 2 }] };
+    expect(applyResponseBudget(result, { maxBytes: 1000 })).toEqual({ value: result, continuation: null });
+    expect(applyResponseBudget(readSample('financial_example.json'), { maxBytes: 0 }).continuation).toBeNull();
+  });
+
+  it('cuts arrays to fit and serves the rest through cursors', () => {
+    const financials = readSample('financial_example.json');
+    const maxBytes = 60000;
+    const first = applyResponseBudget(financials, { maxBytes });
+
+    expect(sizeOf(first.value)).toBeLessThanOrEqual(maxBytes);
+    expect(Object.keys(first.value.data)).toEqual(Object.keys(financials.data));
+    expect(first.continuation).toMatchObject({ cursor: expect.any(String), truncated_arrays: expect.any(Number) });
+    expect(first.continuation.largest[0]).toEqual({ path: expect.stringMatching(/^data\./), returned: expect.any(Number), total: 32 });
+
+    const { document, pages } = reassemble(first, maxBytes);
+    expect(document).toEqual(financials);
+    expect(pages.length).toBeGreaterThan(1);
+    for (const page of pages) {
+      expect(sizeOf(page)).toBeLessThanOrEqual(maxBytes);
+    }
+  });
+
+  it('counts the structuredContent copy against the budget in every format', () => {
+    const series = {
+      code: 'NASDAQ:AAPL',
+      bar_type: '1m',
+      series: Array.from({ length: 3000 }, (_, index) => ({
+        time: 1760000000 + index * 60,
+        open: 201.25,
+        high: 201.75,
+        low: 200.5,
+        close: 201.5,
+        volume: 120000 + index
+      }))
+    };
+    const maxBytes = 50000;
+
+    for (const format of ['json', 'csv', 'markdown']) {
+      const render = (value) => renderResult(value, format);
+      const { value, continuation } = applyResponseBudget(series, { maxBytes, render, structured: true });
+      const total = Buffer.byteLength(render(value), 'utf8') + Buffer.byteLength(JSON.stringify(value), 'utf8');
+
+      expect(total).toBeLessThanOrEqual(maxBytes);
+      expect(continuation.largest[0]).toEqual({ path: 'series', returned: value.series.length, total: 3000 });
+      expect(value.series.length).toBeGreaterThan(0);
+    }
+  });
+
+  it('continues nested arrays such as the option strike ladder', () => {
+    const info = readSample('symbol_info.json');
+    const first = applyResponseBudget(info, { maxBytes: 3000 });
+
+    expect(first.value.option_info[0].series.length).toBeLessThan(info.option_info[0].series.length);
+    expect(reassemble(first, 3000).document).toEqual(info);
+  });
+});
+
+describe('continueResponse', () => {
+  it('returns the same page for the same cursor', () => {
+    const series = { code: 'NASDAQ:AAPL', series: Array.from({ length: 500 }, (_, time) => ({ time, close: 100 + time })) };
+    const { continuation } = applyResponseBudget(series, { maxBytes: 5000 });
+
+    const page = continueResponse(continuation.cursor, { maxBytes: 5000 });
+    expect(page.slices).toEqual([expect.objectContaining({ path: 'series', offset: continuation.largest[0].returned, total: 500 })]);
+    expect(continueResponse(continuation.cursor, { maxBytes: 5000 })).toEqual(page);
+  });
+
+  it('rejects unknown cursors', async () => {
+    expect(() => continueResponse('nope', { maxBytes: 5000 })).toThrow(InvalidParamsError);
+    await expect(continuationTool.function({ cursor: 'nope' })).rejects.toThrow(/Unknown or expired cursor "nope"/);
+  });
+
+  it('tells the agent how to continue', () => {
+    const { continuation } = applyResponseBudget({ bars: Array(100).fill(1) }, { maxBytes: 200 });
+    expect(describeContinuation(continuation, 200)).toBe(
+      `Response truncated to fit the 200-byte response budget: 1 array(s) shortened, largest bars (${continuation.largest[0].returned} of 100). ` +
+      `Call continue_response with {"cursor": "${continuation.cursor}"} for the remaining items.`
+    );
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * End-to-end tests running the tools against the local stand-in server
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { createStandInServer } from '../lib/stand-in/server.js';
+import { saveFixture } from '../lib/fixtures.js';
+import { clearResponseCache } from '../lib/cache.js';
+import { getUsageSnapshot, resetUsage } from '../lib/usage.js';
+import { SymbolNotFoundError, InvalidParamsError } from '../lib/errors.js';
+import { checkToolResult } from '../lib/validation.js';
+import { discoverTools } from '../lib/tools.js';
+import { apiTool as quoteTool } from '../tools/insightsentry/insight-sentry/l-1-quote.js';
+import { apiTool as bulkQuotesTool } from '../tools/insightsentry/insight-sentry/bulk-l-1-quotes.js';
+import { apiTool as seriesTool } from '../tools/insightsentry/insight-sentry/ohlcv-time-series.js';
+import { apiTool as searchTool } from '../tools/insightsentry/insight-sentry/search.js';
+import { apiTool as newsTool } from '../tools/insightsentry/insight-sentry/last-24-hours.js';
+import { apiTool as symbolInfoTool } from '../tools/insightsentry/insight-sentry/symbol-information.js';
+import { apiTool as sessionTool } from '../tools/insightsentry/insight-sentry/session-infomation.js';
+import {
+  apiTool as financialsTool,
+  peadEssentialsTool,
+  valuationRatiosTool,
+  balanceSheetHealthTool,
+  companyInfoTool
+} from '../tools/insightsentry/insight-sentry/financial-data.js';
+import { marketStatusTool } from '../tools/insightsentry/insight-sentry/session-derived-tools.js';
+import { getWebSocketKey } from '../tools/insightsentry/insight-sentry/get-websocket-key.js';
+
+const originalEnv = process.env;
+let standIn;
+let fixturesDir;
+
+beforeAll(async () => {
+  fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'insightsentry-stand-in-'));
+  standIn = await createStandInServer({
+    dataDir: path.resolve('data'),
+    fixturesDir,
+    quota: 500,
+    streamIntervalMs: 20
+  });
+});
+
+afterAll(async () => {
+  await standIn.close();
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+  process.env = originalEnv;
+});
+
+beforeEach(() => {
+  process.env = {
+    ...originalEnv,
+    INSIGHTSENTRY_BASE_URL: standIn.url,
+    INSIGHTSENTRY_API_KEY: 'stand-in-key',
+    INSIGHTSENTRY_USAGE_FILE: 'off'
+  };
+  clearResponseCache();
+  resetUsage();
+});
+
+/**
+ * Open a stream, send the handshake messages and collect JSON messages until `count` arrive.
+ */
+const collectMessages = (url, handshake, count) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(url);
+  const messages = [];
+  ws.on('open', () => handshake.forEach((message) => ws.send(JSON.stringify(message))));
+  ws.on('message', (raw) => {
+    messages.push(JSON.parse(raw.toString()));
+    if (messages.length === count) {
+      ws.close();
+      resolve(messages);
+    }
+  });
+  ws.on('error', reject);
+});
+
+describe('REST routes', () => {
+  it('serves market data tools from synthetic generators', async () => {
+    const quote = await quoteTool.function({ symbol: 'NASDAQ:MSFT' });
+    expect(quote).toMatchObject({ code: 'NASDAQ:MSFT', last_price: expect.any(Number) });
+
+    const bulk = await bulkQuotesTool.function({ codes: ['NASDAQ:AAPL', 'NYSE:JPM'] });
+    expect(bulk.data.map((q) => q.code)).toEqual(['NASDAQ:AAPL', 'NYSE:JPM']);
+
+    const series = await seriesTool.function({ symbol: 'NASDAQ:AAPL', bar_type: 'minute', bar_interval: 5 });
+    expect(series.bar_type).toBe('5m');
+    expect(series.series[1].time - series.series[0].time).toBe(300);
+
+    const search = await searchTool.function({ query: 'apple' });
+    expect(search.symbols[0].code).toBe('NASDAQ:AAPL');
+
+    const news = await newsTool.function({ limit: 10 });
+    expect(news.data).toHaveLength(10);
+  });
+
+  it('templates symbol, session and financial payloads from the bundled samples', async () => {
+    const info = await symbolInfoTool.function({ symbol: 'NASDAQ:NVDA' });
+    expect(info).toMatchObject({ code: 'NASDAQ:NVDA', description: 'NVIDIA Corporation', type: 'STOCK' });
+
+    const status = await marketStatusTool.function({ symbol: 'NASDAQ:AAPL' });
+    expect(status.market_status).toHaveProperty('timezone', 'America/New_York');
+
+    const pead = await peadEssentialsTool.function({ symbol: 'NASDAQ:AAPL' });
+    expect(pead.symbol).toBe('NASDAQ:AAPL');
+  });
+
+  it('returns results matching the declared output schemas', async () => {
+    const calls = [
+      [quoteTool, { symbol: 'NASDAQ:MSFT' }],
+      [bulkQuotesTool, { codes: ['NASDAQ:MSFT', 'NYSE:JPM'] }],
+      [seriesTool, { symbol: 'NASDAQ:MSFT', bar_type: 'day' }],
+      [sessionTool, { symbol: 'NASDAQ:MSFT' }],
+      [sessionTool, { symbol: 'NASDAQ:MSFT', optimize: true }],
+      [financialsTool, { symbol: 'NASDAQ:MSFT', optimize: true }],
+      [peadEssentialsTool, { symbol: 'NASDAQ:MSFT' }],
+      [valuationRatiosTool, { symbol: 'NASDAQ:MSFT' }],
+      [balanceSheetHealthTool, { symbol: 'NASDAQ:MSFT' }],
+      [companyInfoTool, { symbol: 'NASDAQ:MSFT', include_business_description: true }],
+      [symbolInfoTool, { symbol: 'NASDAQ:MSFT', optimize: true }],
+      [symbolInfoTool, { symbol: 'NASDAQ:MSFT', minimal: true }],
+      [symbolInfoTool, { symbol: 'NASDAQ:MSFT', sections: ['trading_context', 'extremes'] }]
+    ];
+
+    for (const [tool, args] of calls) {
+      const definition = tool.definition.function;
+      // Round-trip through JSON, as the result reaches clients
+      const result = JSON.parse(JSON.stringify(await tool.function(args)));
+      expect({ tool: definition.name, violations: checkToolResult(definition, result) })
+        .toEqual({ tool: definition.name, violations: [] });
+    }
+  });
+
+  it('returns results matching the output schema of every served tool', async () => {
+    const requiredArgs = { symbol: 'NASDAQ:MSFT', codes: ['NASDAQ:MSFT'], exchange: 'NASDAQ', id: 'US:GDP', query: 'micro' };
+    const tools = await discoverTools({ toolsDir: path.resolve('tools') });
+
+    for (const tool of tools.filter((candidate) => candidate.definition.function.outputSchema)) {
+      const definition = tool.definition.function;
+      const args = Object.fromEntries((definition.parameters.required ?? []).map((name) => [name, requiredArgs[name]]));
+      const result = JSON.parse(JSON.stringify(await tool.function(args)));
+      expect({ tool: definition.name, violations: checkToolResult(definition, result) })
+        .toEqual({ tool: definition.name, violations: [] });
+    }
+  });
+
+  it('reports unknown symbols, bad parameters and quota headers', async () => {
+    await expect(quoteTool.function({ symbol: 'NOT_A_CODE' })).rejects.toBeInstanceOf(SymbolNotFoundError);
+    await expect(searchTool.function({ query: 'x' })).resolves.toHaveProperty('symbols');
+
+    process.env.INSIGHTSENTRY_MAX_RETRIES = '0';
+    const response = await fetch(`${standIn.url}/v2/symbols/quotes?codes=`, { headers: { 'x-rapidapi-key': 'k' } });
+    expect(response.status).toBe(400);
+    await expect(bulkQuotesTool.function({ codes: Array(11).fill('NASDAQ:AAPL') }))
+      .rejects.toBeInstanceOf(InvalidParamsError);
+
+    expect(getUsageSnapshot().quota).toMatchObject({ limit: 500, remaining: expect.any(Number) });
+  });
+
+  it('prefers recorded fixtures over generated data', async () => {
+    const recorded = { code: 'NASDAQ:AAPL', last_price: 123.45 };
+    await saveFixture('/v2/symbols/NASDAQ:AAPL/quote', {}, { status: 200, body: recorded }, fixturesDir);
+    await saveFixture('/v2/newsfeed', { limit: 5, page: 1 }, { status: 200, body: { data: [{ id: 'recorded' }] } }, fixturesDir);
+
+    await expect(quoteTool.function({ symbol: 'NASDAQ:AAPL' })).resolves.toEqual(recorded);
+    await expect(newsTool.function({ limit: 5 })).resolves.toEqual({ data: [{ id: 'recorded' }] });
+  });
+
+  it('issues WebSocket keys', async () => {
+    await expect(getWebSocketKey({ restApiKey: 'stand-in-key', baseUrl: standIn.url }))
+      .resolves.toBe('stand-in-websocket-key');
+  });
+});
+
+describe('WebSocket streams', () => {
+  it('streams quotes and bars on the live protocol', async () => {
+    const apiKey = 'stand-in-websocket-key';
+    const messages = await collectMessages(`${standIn.wsUrl}/live`, [
+      { type: 'auth', api_key: apiKey },
+      {
+        api_key: apiKey,
+        subscriptions: [
+          { code: 'NASDAQ:AAPL', type: 'series', bar_type: 'minute', bar_interval: 1, recent_bars: true },
+          { code: 'NASDAQ:TSLA', type: 'quote' }
+        ]
+      }
+    ], 3);
+
+    expect(messages[0].series).toHaveLength(15);
+    expect(messages.slice(1)).toEqual(expect.arrayContaining([
+      expect.objectContaining({ code: 'NASDAQ:TSLA', last_price: expect.any(Number) }),
+      expect.objectContaining({ code: 'NASDAQ:AAPL', series: [expect.objectContaining({ close: expect.any(Number) })] })
+    ]));
+  });
+
+  it('streams filtered news on the newsfeed protocol', async () => {
+    const messages = await collectMessages(`${standIn.wsUrl}/newsfeed`, [
+      { api_key: 'stand-in-websocket-key' },
+      { type: 'filter_symbols', symbols: ['NASDAQ:TSLA'] }
+    ], 2);
+
+    expect(messages.every((item) => item.symbols.includes('NASDAQ:TSLA'))).toBe(true);
+  });
+
+  it('rejects an invalid WebSocket key', async () => {
+    const [message] = await collectMessages(`${standIn.wsUrl}/live`, [{ type: 'auth', api_key: 'wrong' }], 1);
+    expect(message).toHaveProperty('error');
+  });
+});
@@ -32,6 +32,12 @@ describe('streamingServer', () => {
     expect(json).toHaveProperty('status', 'ok');
   });
 
+  it('serves /healthz and /metrics', async () => {
+    expect(await (await fetch('http://localhost:3002/healthz')).json()).toEqual({ status: 'ok' });
+    const metrics = await (await fetch('http://localhost:3002/metrics')).text();
+    expect(metrics).toMatch(/^insightsentry_websocket_clients \d+$/m);
+  });
+
   it('rejects unknown tool', (done) => {
     const ws = new WebSocket('ws://localhost:3002/unknown_tool');
     ws.on('message', (msg) => {
@@ -0,0 +1,182 @@
+/**
+ * Tests for symbol resolution (lib/symbols.js)
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { resolveSymbol, resolveSymbolArguments, clearSymbolResolutions } from '../lib/symbols.js';
+import { clearResponseCache } from '../lib/cache.js';
+import { AmbiguousSymbolError, SymbolNotFoundError } from '../lib/errors.js';
+import { validateToolArguments } from '../lib/validation.js';
+import * as financialTools from '../tools/insightsentry/insight-sentry/financial-data.js';
+import * as financialDerivedTools from '../tools/insightsentry/insight-sentry/financial-derived-tools.js';
+import { apiTool as quoteTool } from '../tools/insightsentry/insight-sentry/l-1-quote.js';
+import { apiTool as bulkQuotesTool } from '../tools/insightsentry/insight-sentry/bulk-l-1-quotes.js';
+
+const originalEnv = process.env;
+
+const searchResults = {
+  AAPL: [
+    { code: 'NASDAQ:AAPL', name: 'Apple Inc.', exchange: 'NASDAQ' },
+    { code: 'XETR:APC', name: 'Apple Inc.', exchange: 'XETR' }
+  ],
+  Apple: [
+    { code: 'NASDAQ:AAPL', name: 'Apple Inc.', exchange: 'NASDAQ' },
+    { code: 'NASDAQ:APLE', name: 'Apple Hospitality REIT, Inc.', exchange: 'NASDAQ' }
+  ],
+  MSFT: [{ code: 'NASDAQ:MSFT', name: 'Microsoft Corporation', exchange: 'NASDAQ' }],
+  Bank: [
+    { code: 'NYSE:BAC', name: 'Bank of America Corporation', exchange: 'NYSE' },
+    { code: 'NYSE:BK', name: 'Bank of New York Mellon Corporation', exchange: 'NYSE' }
+  ]
+};
+
+global.fetch = jest.fn();
+
+// The search matches case-insensitively
+const searchQuery = (url) => {
+  const query = new URL(url).searchParams.get('query').toUpperCase();
+  return Object.keys(searchResults).find((key) => key.toUpperCase() === query);
+};
+
+beforeEach(() => {
+  process.env = {
+    ...originalEnv,
+    INSIGHTSENTRY_BASE_URL: 'https://insightsentry.p.rapidapi.com',
+    INSIGHTSENTRY_API_KEY: 'test-api-key',
+    INSIGHTSENTRY_CONFIG: '',
+    INSIGHTSENTRY_USAGE_FILE: 'off'
+  };
+  fetch.mockReset();
+  fetch.mockImplementation(async (url) => ({
+    ok: true,
+    status: 200,
+    statusText: '',
+    headers: { get: () => null },
+    json: async () => ({ symbols: searchResults[searchQuery(url)] ?? [] })
+  }));
+  clearResponseCache();
+  clearSymbolResolutions();
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('resolveSymbol', () => {
+  it('resolves a bare ticker to its primary listing and caches it', async () => {
+    expect(await resolveSymbol('aapl')).toEqual({ code: 'NASDAQ:AAPL', via: 'search' });
+    expect(await resolveSymbol('AAPL')).toEqual({ code: 'NASDAQ:AAPL', via: 'cache' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('resolves a company name, preferring the exact name over prefixes', async () => {
+    expect(await resolveSymbol('Apple')).toEqual({ code: 'NASDAQ:AAPL', via: 'search' });
+  });
+
+  it('passes codes through in upper case without searching', async () => {
+    expect(await resolveSymbol('nasdaq:aapl')).toEqual({ code: 'NASDAQ:AAPL', via: 'code' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('maps aliases, with configured aliases taking precedence', async () => {
+    expect(await resolveSymbol('Google')).toEqual({ code: 'NASDAQ:GOOGL', via: 'alias' });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'insightsentry-symbols-'));
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ symbols: { aliases: { google: 'NASDAQ:GOOG', 'Big Blue': 'NYSE:IBM' } } }));
+    process.env.INSIGHTSENTRY_CONFIG = file;
+    try {
+      expect(await resolveSymbol('GOOGLE')).toEqual({ code: 'NASDAQ:GOOG', via: 'alias' });
+      expect(await resolveSymbol('big  blue')).toEqual({ code: 'NYSE:IBM', via: 'alias' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('reports ambiguous names with their candidates', async () => {
+    const error = await resolveSymbol('Bank').catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(AmbiguousSymbolError);
+    expect(error.message).toBe(
+      'Ambiguous symbol "Bank": matches NYSE:BAC (Bank of America Corporation), NYSE:BK (Bank of New York Mellon Corporation); pass the EXCHANGE:TICKER code'
+    );
+    expect(error.toJSON()).toMatchObject({ type: 'ambiguous_symbol', symbol: 'Bank', candidates: [{ code: 'NYSE:BAC' }, { code: 'NYSE:BK' }] });
+  });
+
+  it('reports unknown symbols', async () => {
+    await expect(resolveSymbol('ZZZZ')).rejects.toThrow(SymbolNotFoundError);
+  });
+});
+
+describe('resolveSymbolArguments', () => {
+  it('resolves the symbol argument and lists what changed', async () => {
+    const { args, resolved } = await resolveSymbolArguments(quoteTool.definition.function.parameters, { symbol: 'Apple' });
+
+    expect(args).toEqual({ symbol: 'NASDAQ:AAPL' });
+    expect(resolved).toEqual([{ input: 'Apple', code: 'NASDAQ:AAPL', via: 'search' }]);
+  });
+
+  it('resolves every entry of a codes argument in order', async () => {
+    const { args, resolved } = await resolveSymbolArguments(bulkQuotesTool.definition.function.parameters, {
+      codes: ['MSFT', 'NYSE:IBM', 'bitcoin']
+    });
+
+    expect(args.codes).toEqual(['NASDAQ:MSFT', 'NYSE:IBM', 'BINANCE:BTCUSDT']);
+    expect(resolved.map(({ input }) => input)).toEqual(['MSFT', 'bitcoin']);
+  });
+
+  it('leaves lists over maxItems to validation without searching', async () => {
+    const codes = Array.from({ length: 200 }, (_, index) => `TICK${index}`);
+    const { args, resolved } = await resolveSymbolArguments(bulkQuotesTool.definition.function.parameters, { codes });
+
+    expect(args.codes).toEqual(codes);
+    expect(resolved).toEqual([]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('runs at most a few searches at once', async () => {
+    let inFlight = 0;
+    let mostInFlight = 0;
+    fetch.mockImplementation(async (url) => {
+      inFlight += 1;
+      mostInFlight = Math.max(mostInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight -= 1;
+      const query = new URL(url).searchParams.get('query');
+      return { ok: true, status: 200, statusText: '', headers: { get: () => null }, json: async () => ({ symbols: [{ code: `NASDAQ:${query}` }] }) };
+    });
+
+    const codes = ['AAPL', 'MSFT', 'NVDA', 'TSLA', 'AMZN', 'META', 'NFLX', 'AMD', 'INTC', 'QCOM'];
+    const { args } = await resolveSymbolArguments(bulkQuotesTool.definition.function.parameters, { codes });
+
+    expect(args.codes).toEqual(codes.map((code) => `NASDAQ:${code}`));
+    expect(fetch).toHaveBeenCalledTimes(10);
+    expect(mostInFlight).toBe(4);
+  });
+
+  it('resolves aliases to codes the financial tools accept', async () => {
+    const definitions = [...Object.values(financialTools), ...Object.values(financialDerivedTools)]
+      .map((tool) => tool?.definition?.function)
+      .filter((definition) => definition?.parameters.properties.symbol?.pattern);
+    expect(definitions.length).toBeGreaterThan(0);
+
+    for (const definition of definitions) {
+      const { args } = await resolveSymbolArguments(definition.parameters, { symbol: 'Berkshire Hathaway' });
+      expect(args.symbol).toBe('NYSE:BRK.B');
+      expect(validateToolArguments(definition, args).symbol).toBe('NYSE:BRK.B');
+    }
+  });
+
+  it('leaves arguments alone when resolution is off or the tool takes no symbol', async () => {
+    expect(await resolveSymbolArguments({ type: 'object', properties: { query: { type: 'string' } } }, { query: 'AAPL', symbol: 'AAPL' }))
+      .toEqual({ args: { query: 'AAPL', symbol: 'AAPL' }, resolved: [] });
+
+    process.env.INSIGHTSENTRY_RESOLVE_SYMBOLS = 'off';
+    expect(await resolveSymbolArguments(quoteTool.definition.function.parameters, { symbol: 'AAPL' }))
+      .toEqual({ args: { symbol: 'AAPL' }, resolved: [] });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for convention-based tool discovery (lib/tools.js)
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scanTools, discoverTools } from '../lib/tools.js';
+
+const toolSource = (exportName, name) => `
+export const ${exportName} = {
+  function: async () => ({}),
+  definition: { type: 'function', function: { name: '${name}', parameters: { type: 'object', properties: {} } } }
+};
+`;
+
+describe('scanTools', () => {
+  let toolsDir;
+
+  beforeEach(() => {
+    toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'insightsentry-tools-'));
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(toolsDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(toolsDir, file), content);
+    };
+
+    write('acme/widgets/list-widgets.js', toolSource('apiTool', 'list_widgets'));
+    write('acme/widgets/widget-extras.js', `${toolSource('countTool', 'count_widgets')}\nexport const helper = () => 1;\nexport { countTool as alias };`);
+    write('acme/widgets/widgets-copy.js', toolSource('apiTool', 'list_widgets'));
+    write('acme/widgets/broken.js', 'throw new Error("boom");');
+    write('acme/widgets/__tests__/list-widgets.test.js', toolSource('apiTool', 'from_tests'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(toolsDir, { recursive: true, force: true });
+  });
+
+  it('registers every exported tool object and reports problems', async () => {
+    const { tools, problems } = await scanTools({ toolsDir });
+
+    expect(tools.map((tool) => [tool.definition.function.name, tool.path])).toEqual([
+      ['list_widgets', 'acme/widgets/list-widgets.js'],
+      ['count_widgets', expect.stringMatching(/^acme\/widgets\/widget-extras\.js\/(countTool|alias)$/)]
+    ]);
+    expect(problems).toEqual([
+      expect.stringMatching(/^acme\/widgets\/broken\.js: failed to load \(.*boom/),
+      'acme/widgets/widgets-copy.js: duplicate tool name "list_widgets" (already defined by acme/widgets/list-widgets.js)'
+    ]);
+  });
+
+  it('summarises problems in a single warning', async () => {
+    const warn = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    try {
+      const tools = await discoverTools({ toolsDir });
+      expect(tools).toHaveLength(2);
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toMatch(/WARNING \[Tools\] Loaded 2 tools with 2 problem\(s\)/);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe('discoverTools', () => {
+  it('finds the derived and strategy tools in the repository without problems', async () => {
+    const warn = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    try {
+      const names = (await discoverTools({ toolsDir: path.resolve('tools') })).map((tool) => tool.definition.function.name);
+
+      expect(warn).not.toHaveBeenCalled();
+      expect(names).toEqual(expect.arrayContaining([
+        'get_latest_quote',
+        'fetch_pead_essentials',
+        'fetch_earnings_surprise_data',
+        'get_market_status',
+        'fetch_breakout_analysis',
+        'fetch_trading_essentials',
+        'fetch_earnings_timing'
+      ]));
+      expect(new Set(names).size).toBe(names.length);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for lib/usage.js and quota enforcement in the shared client
+ */
+import { jest } from '@jest/globals';
+import { insightSentryRequest } from '../lib/client.js';
+import { clearResponseCache } from '../lib/cache.js';
+import { getUsageSnapshot, resetUsage } from '../lib/usage.js';
+import { runWithRequestContext } from '../lib/request-context.js';
+import { QuotaSoftLimitError } from '../lib/errors.js';
+import { apiTool as apiUsageTool } from '../tools/insightsentry/insight-sentry/api-usage.js';
+
+const originalEnv = process.env;
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  json: async () => body
+});
+
+const quotaHeaders = (remaining, limit = 1000) => ({
+  'x-ratelimit-requests-limit': String(limit),
+  'x-ratelimit-requests-remaining': String(remaining),
+  'x-ratelimit-requests-reset': '3600'
+});
+
+global.fetch = jest.fn();
+
+beforeEach(() => {
+  process.env = {
+    ...originalEnv,
+    INSIGHTSENTRY_BASE_URL: 'https://insightsentry.p.rapidapi.com',
+    INSIGHTSENTRY_API_KEY: 'test-api-key',
+    INSIGHTSENTRY_USAGE_FILE: 'off'
+  };
+  fetch.mockReset();
+  clearResponseCache();
+  resetUsage();
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('usage tracking', () => {
+  it('captures rate-limit headers and counts requests per endpoint and tool', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(200, { code: 'NASDAQ:AAPL' }, quotaHeaders(742)))
+      .mockResolvedValueOnce(jsonResponse(404, { message: 'Symbol not found' }, quotaHeaders(741)));
+
+    await runWithRequestContext({ toolName: 'get_market_status' }, async () => {
+      await insightSentryRequest('/v2/symbols/NASDAQ:AAPL/session');
+      await insightSentryRequest('/v2/symbols/NASDAQ:AAPL/session');
+    });
+    await runWithRequestContext({ toolName: 'get_symbol_info' }, () =>
+      insightSentryRequest('/v2/symbols/NASDAQ:NOPE/info').catch(() => null)
+    );
+
+    const usage = getUsageSnapshot();
+    expect(usage.quota).toMatchObject({ limit: 1000, remaining: 741, reset_at: expect.any(String) });
+    expect(usage.totals).toEqual({ requests: 2, errors: 1, cache_hits: 1, coalesced: 0 });
+    expect(usage.endpoints.session).toEqual({ requests: 1, errors: 0, cache_hits: 1, coalesced: 0 });
+    expect(usage.tools.get_symbol_info).toEqual({ requests: 1, errors: 1, cache_hits: 0, coalesced: 0 });
+  });
+
+  it('reports usage through the get_api_usage tool without calling upstream', async () => {
+    const result = await apiUsageTool.function();
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ totals: { requests: 0 }, soft_limit: { threshold: null, reached: false } });
+  });
+});
+
+describe('soft limit', () => {
+  it('refuses low-priority calls once remaining quota reaches the soft limit', async () => {
+    process.env.INSIGHTSENTRY_QUOTA_SOFT_LIMIT = '10%';
+    fetch.mockResolvedValue(jsonResponse(200, { data: [] }, quotaHeaders(100)));
+
+    await insightSentryRequest('/v2/exchanges');
+    expect(getUsageSnapshot().soft_limit).toEqual({ threshold: 100, reached: true });
+
+    const lowPriority = { toolName: 'fetch_recent_bulk_data_quotes', priority: 'low' };
+    const error = await runWithRequestContext(lowPriority, () =>
+      insightSentryRequest('/v2/exchanges/NASDAQ/quotes')
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(QuotaSoftLimitError);
+    expect(error.toJSON()).toMatchObject({ type: 'quota_soft_limit', remaining: 100 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    // Normal-priority calls and cached responses are still served
+    await runWithRequestContext({ toolName: 'get_quote', priority: 'normal' }, () =>
+      insightSentryRequest('/v2/symbols/NASDAQ:AAPL/quote')
+    );
+    await runWithRequestContext(lowPriority, () => insightSentryRequest('/v2/exchanges'));
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('accepts an absolute soft limit', async () => {
+    process.env.INSIGHTSENTRY_QUOTA_SOFT_LIMIT = '50';
+    fetch.mockResolvedValue(jsonResponse(200, { data: [] }, quotaHeaders(51)));
+
+    await insightSentryRequest('/v2/exchanges');
+    expect(getUsageSnapshot().soft_limit).toEqual({ threshold: 50, reached: false });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for tool argument validation (lib/validation.js)
+ */
+import path from 'path';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  validateToolArguments,
+  checkToolResult,
+  outputSchemaFields
+} from '../lib/validation.js';
+import { discoverTools } from '../lib/tools.js';
+import { InvalidParamsError } from '../lib/errors.js';
+import { apiTool as seriesTool } from '../tools/insightsentry/insight-sentry/ohlcv-time-series.js';
+import { apiTool as bulkQuotesTool } from '../tools/insightsentry/insight-sentry/bulk-l-1-quotes.js';
+import { apiTool as quoteTool } from '../tools/insightsentry/insight-sentry/l-1-quote.js';
+import { peadEssentialsTool } from '../tools/insightsentry/insight-sentry/financial-data.js';
+import { earningsSurpriseTool } from '../tools/insightsentry/insight-sentry/financial-derived-tools.js';
+
+const violationsOf = (definition, args) => {
+  try {
+    validateToolArguments(definition, args);
+  } catch (error) {
+    expect(error).toBeInstanceOf(InvalidParamsError);
+    return error.toJSON().violations;
+  }
+  throw new Error('expected the arguments to be rejected');
+};
+
+describe('validateToolArguments', () => {
+  it('lists every violation with the argument it concerns', () => {
+    const violations = violationsOf(seriesTool.definition.function, { bar_type: 'minutes', bar_interval: '5', extended: 'yes' });
+
+    expect(violations).toEqual([
+      { path: 'symbol', message: 'is required' },
+      { path: 'bar_type', message: 'must be one of "second", "minute", "hour", "day", "week", "month" (got "minutes")' },
+      { path: 'bar_interval', message: 'must be an integer (got "5")' },
+      { path: 'extended', message: 'must be of type boolean (got "yes")' }
+    ]);
+  });
+
+  it('checks patterns, array sizes and item types', () => {
+    expect(violationsOf(peadEssentialsTool.definition.function, { symbol: 'aapl' })).toEqual([
+      { path: 'symbol', message: 'must match the pattern ^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$ (got "aapl")' }
+    ]);
+    // Class shares need the dot: a sixth letter is not a share class
+    expect(violationsOf(peadEssentialsTool.definition.function, { symbol: 'NASDAQ:GOOGLE' })).toEqual([
+      { path: 'symbol', message: 'must match the pattern ^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$ (got "NASDAQ:GOOGLE")' }
+    ]);
+    expect(validateToolArguments(peadEssentialsTool.definition.function, { symbol: 'NYSE:BRK.B' }).symbol).toBe('NYSE:BRK.B');
+
+    const codes = [...Array(10).fill('NASDAQ:AAPL'), 42];
+    expect(violationsOf(bulkQuotesTool.definition.function, { codes })).toEqual([
+      { path: 'codes', message: 'must NOT have more than 10 items (got 11)' },
+      { path: 'codes[10]', message: 'must be of type string (got 42)' }
+    ]);
+  });
+
+  it('summarises the violations in the error message', () => {
+    expect(() => validateToolArguments(bulkQuotesTool.definition.function, { codes: 'NASDAQ:AAPL' }))
+      .toThrow('Invalid arguments for bulk_l1_quotes: codes must be of type array (got "NASDAQ:AAPL")');
+  });
+
+  it('applies schema defaults without touching the caller\'s object', () => {
+    const args = { symbol: 'NASDAQ:AAPL' };
+    const validated = validateToolArguments(earningsSurpriseTool.definition.function, args);
+
+    expect(validated).toEqual({ symbol: 'NASDAQ:AAPL', historical_quarters: 8, include_revenue_analysis: true });
+    expect(args).toEqual({ symbol: 'NASDAQ:AAPL' });
+  });
+
+  it('treats missing arguments as an empty object', () => {
+    expect(violationsOf(seriesTool.definition.function, undefined)).toEqual([{ path: 'symbol', message: 'is required' }]);
+    expect(validateToolArguments({ name: 'get_api_usage', parameters: { type: 'object', properties: {} } }, undefined)).toEqual({});
+  });
+
+  it('compiles the schema of every discovered tool', async () => {
+    const tools = await discoverTools({ toolsDir: path.resolve('tools') });
+    for (const tool of tools) {
+      expect(() => validateToolArguments(tool.definition.function, {})).not.toThrow(/schema/i);
+    }
+  });
+});
+
+describe('checkToolResult', () => {
+  const quote = { code: 'NASDAQ:AAPL', last_price: 201.5, change: -1.2, volume: 1200000 };
+
+  it('accepts results with extra upstream fields', () => {
+    expect(checkToolResult(quoteTool.definition.function, { ...quote, new_field: 'x' })).toEqual([]);
+    expect(checkToolResult({ name: 'connect_news_feed' }, 'anything')).toEqual([]);
+  });
+
+  it('reports renamed and retyped fields', () => {
+    const { last_price, ...renamed } = quote;
+    expect(checkToolResult(quoteTool.definition.function, { ...renamed, lastPrice: last_price, volume: '1.2M' })).toEqual([
+      { path: 'last_price', message: 'is required' },
+      { path: 'volume', message: 'must be of type number or null (got "1.2M")' }
+    ]);
+
+    expect(checkToolResult(bulkQuotesTool.definition.function, { data: [quote, { ...quote, code: 42 }] })).toEqual([
+      { path: 'data[1].code', message: 'must be of type string (got 42)' }
+    ]);
+  });
+});
+
+describe('outputSchemaFields', () => {
+  const quote = { code: 'NASDAQ:AAPL', last_price: 201.5, change: -1.2, volume: 1200000 };
+
+  // Serve get_latest_quote the way mcpServer.js does and call it with the SDK client
+  const callQuoteTool = async (value) => {
+    const definition = quoteTool.definition.function;
+    const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: [{ name: definition.name, inputSchema: definition.parameters, outputSchema: definition.outputSchema }]
+    }));
+    server.setRequestHandler(CallToolRequestSchema, async () => {
+      const { structuredContent, isError, notice, schemaViolations } =
+        outputSchemaFields(definition, value, checkToolResult(definition, value));
+      return {
+        content: [{ type: 'text', text: JSON.stringify(value) }, ...(notice ? [{ type: 'text', text: notice }] : [])],
+        ...(structuredContent && { structuredContent }),
+        ...(isError && { isError }),
+        ...(schemaViolations && { _meta: { schema_violations: schemaViolations } })
+      };
+    });
+
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    try {
+      await client.listTools();
+      return await client.callTool({ name: definition.name, arguments: { code: 'NASDAQ:AAPL' } });
+    } finally {
+      await client.close();
+    }
+  };
+
+  it('sends results that match the output schema as structuredContent', async () => {
+    const result = await callQuoteTool(quote);
+    expect(result.structuredContent).toEqual(quote);
+    expect(result.isError).toBeUndefined();
+  });
+
+  it('sends results that do not match as an error carrying the violations', async () => {
+    const { last_price, ...drifted } = quote;
+    const result = await callQuoteTool({ ...drifted, lastPrice: last_price });
+
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent).toBeUndefined();
+    expect(JSON.parse(result.content[0].text)).toEqual({ ...drifted, lastPrice: last_price });
+    expect(result.content[1].text).toContain('get_latest_quote does not match its output schema (last_price is required)');
+    expect(result._meta).toEqual({ schema_violations: ['last_price is required'] });
+
+    const text = await callQuoteTool('NASDAQ:AAPL 201.5');
+    expect(text._meta).toEqual({ schema_violations: ['must be of type object (got "NASDAQ:AAPL 201.5")'] });
+  });
+
+  it('is empty for tools without an output schema', () => {
+    expect(outputSchemaFields({ name: 'connect_news_feed' }, 'anything', [])).toEqual({});
+  });
+
+  it('has an output schema for every served tool', async () => {
+    const tools = await discoverTools({ toolsDir: path.resolve('tools') });
+    const missing = tools
+      .map((tool) => tool.definition.function)
+      .filter((definition) => !definition.name.startsWith('connect_') && !definition.outputSchema)
+      .map((definition) => definition.name);
+    expect(missing).toEqual([]);
+  });
+});
@@ -0,0 +1,62 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getFixturesDir, saveFixture } from "../lib/fixtures.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.resolve(__dirname, "../data");
+
+// Payloads captured from the live API that ship with the repo, and the endpoint each one answers
+const BUNDLED_SAMPLES = [
+  { file: "symbol_info.json", endpoint: (code) => `/v2/symbols/${code}/info` },
+  { file: "session_info.json", endpoint: (code) => `/v2/symbols/${code}/session` },
+  { file: "financial_example.json", endpoint: (code) => `/v2/symbols/${code}/financials` },
+];
+
+const listFixtureFiles = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFixtureFiles(fullPath) : [fullPath];
+    })
+  );
+  return files.flat().filter((file) => file.endsWith(".json"));
+};
+
+export function registerFixturesCommand(program) {
+  const fixtures = program
+    .command("fixtures")
+    .description("Manage recorded API fixtures used by INSIGHTSENTRY_MODE=replay");
+
+  fixtures
+    .command("seed")
+    .description("Copy the sample payloads bundled in data/ into the fixture directory")
+    .action(async () => {
+      for (const sample of BUNDLED_SAMPLES) {
+        const body = JSON.parse(await fs.readFile(path.join(DATA_DIR, sample.file), "utf8"));
+        const file = await saveFixture(sample.endpoint(body.code), {}, { status: 200, body });
+        console.log(`✅ ${sample.file} → ${path.relative(process.cwd(), file)}`);
+      }
+      console.log(`\nFixtures written to ${getFixturesDir()}`);
+    });
+
+  fixtures
+    .command("list")
+    .description("List recorded fixtures")
+    .action(async () => {
+      const files = await listFixtureFiles(getFixturesDir());
+      if (files.length === 0) {
+        console.log(`No fixtures in ${getFixturesDir()}.`);
+        console.log("Run the server with INSIGHTSENTRY_MODE=record, or `node index.js fixtures seed`.\n");
+        return;
+      }
+
+      console.log(`\n📼 Fixtures in ${getFixturesDir()}:\n`);
+      for (const file of files.sort()) {
+        const { key, status, recorded_at } = JSON.parse(await fs.readFile(file, "utf8"));
+        console.log(`   ${status} ${key} (${recorded_at})`);
+      }
+      console.log(`\n📦 Total fixtures: ${files.length}`);
+    });
+}
@@ -1,11 +1,39 @@
-import { getAllTools } from "../lib/tools.js";
+import path from "path";
+import { fileURLToPath } from "url";
+import { discoverTools } from "../lib/tools.js";
+import { PROFILE_NAMES, TOOL_PROFILES, getProfileToolNames } from "../lib/profiles.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TOOLS_DIR = path.resolve(__dirname, "../tools");
 
 export function registerToolsCommand(program) {
   program
     .command("tools")
     .description("List all available API tools including derived strategy-specific tools")
-    .action(async () => {
-      const tools = await getAllTools();
+    .option("--profile <name>", `Only list the tools in a profile (${PROFILE_NAMES.join(", ")})`)
+    .option("--profiles", "List the tool profiles instead of the tools")
+    .action(async (options) => {
+      if (options.profiles) {
+        console.log("\n🎯 Tool profiles (select with --profile or INSIGHTSENTRY_TOOL_PROFILE):\n");
+        console.log("   all: every tool (default)");
+        for (const [name, { description }] of Object.entries(TOOL_PROFILES)) {
+          console.log(`   ${name}: ${description}`);
+          console.log(`      ${getProfileToolNames(name).join(", ")}`);
+        }
+        console.log("");
+        return;
+      }
+
+      if (options.profile && !PROFILE_NAMES.includes(options.profile)) {
+        console.error(`Unknown profile "${options.profile}". Available: ${PROFILE_NAMES.join(", ")}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const profileTools = options.profile ? getProfileToolNames(options.profile) : null;
+      const tools = (await discoverTools({ toolsDir: TOOLS_DIR })).filter(
+        (tool) => !profileTools || profileTools.includes(tool.definition.function.name)
+      );
       if (tools.length === 0) {
         console.log("No tools found. Tools should be organized as:");
         console.log("tools/workspace/collection/request.js\n");
@@ -0,0 +1,73 @@
+import { readPersistedUsage, getUsageFilePath } from "../lib/usage.js";
+
+const printCounters = (title, counters) => {
+  const entries = Object.entries(counters);
+  if (entries.length === 0) return;
+
+  console.log(`${title}:`);
+  entries
+    .sort(([, a], [, b]) => b.requests - a.requests)
+    .forEach(([name, { requests, errors, cache_hits, coalesced }]) => {
+      console.log(
+        `   ${name}: ${requests} requests, ${errors} errors, ${cache_hits} cache hits, ${coalesced} coalesced`
+      );
+    });
+  console.log("");
+};
+
+export function registerUsageCommand(program) {
+  program
+    .command("usage")
+    .description("Show RapidAPI quota and request counters recorded by the running server")
+    .option("--json", "Print the raw usage snapshot as JSON")
+    .action((options) => {
+      const usage = readPersistedUsage();
+      if (!usage) {
+        console.log(`No usage recorded yet (looked in ${getUsageFilePath()}).`);
+        console.log("Usage is written by the MCP server after its first InsightSentry request.\n");
+        return;
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(usage, null, 2));
+        return;
+      }
+
+      const { quota, soft_limit: softLimit, totals } = usage;
+      console.log("\n📈 RapidAPI quota:");
+      if (quota.remaining === null) {
+        console.log("   No rate-limit headers seen yet");
+      } else {
+        console.log(`   Remaining: ${quota.remaining}${quota.limit !== null ? ` of ${quota.limit}` : ""}`);
+        if (quota.reset_at) console.log(`   Resets at: ${quota.reset_at}`);
+      }
+      if (softLimit.threshold !== null) {
+        console.log(
+          `   Soft limit: ${softLimit.threshold}${softLimit.reached ? " (reached - low-priority tools are refused)" : ""}`
+        );
+      }
+      console.log("");
+
+      console.log(`📊 Since ${usage.started_at}:`);
+      console.log(
+        `   ${totals.requests} upstream requests, ${totals.errors} errors, ${totals.cache_hits} cache hits, ${totals.coalesced} coalesced\n`
+      );
+
+      printCounters("🔗 Per endpoint", usage.endpoints);
+      printCounters("🔧 Per tool", usage.tools);
+
+      const keys = Object.entries(usage.keys ?? {});
+      if (keys.length > 1) {
+        console.log("🔑 Per API key:");
+        keys.forEach(([label, key]) => {
+          const remaining = key.quota.remaining !== null ? `, ${key.quota.remaining} remaining` : "";
+          const quarantined = key.quarantined_until
+            ? ` - quarantined (${key.quarantine_reason}) until ${key.quarantined_until}`
+            : "";
+          console.log(`   ${label}: ${key.requests} requests, ${key.errors} errors${remaining}${quarantined}`);
+        });
+        console.log("");
+      }
+      console.log(`Last updated: ${usage.updated_at}`);
+    });
+}
@@ -1,9 +1,13 @@
 import { Command } from "commander";
 import { registerToolsCommand } from "./commands/tools.js";
+import { registerUsageCommand } from "./commands/usage.js";
+import { registerFixturesCommand } from "./commands/fixtures.js";
 
 const program = new Command();
 
 // Register commands
 registerToolsCommand(program);
+registerUsageCommand(program);
+registerFixturesCommand(program);
 
 program.parse(process.argv);
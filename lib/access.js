@@ -0,0 +1,125 @@
+/**
+ * Access control for the HTTP transports.
+ * Clients are listed in a local token file (server.tokensFile, JSON or YAML)
+ * and authenticate with `Authorization: Bearer <token>` or `X-API-Key: <token>`.
+ * Each client may be limited to some tools (a profile and/or tool names) and
+ * to a number of requests per minute. Without a token file the HTTP server
+ * stays open, as it was before.
+ *
+ * Example token file:
+ *
+ *   clients:
+ *     - name: sentiment-agent
+ *       token: 8b1d…            # or tokenSha256: <hex digest of the token>
+ *       profile: sentiment
+ *       tools: [get_session_information]
+ *       requestsPerMinute: 60
+ */
+import { createHash, timingSafeEqual } from 'crypto';
+import { z } from 'zod';
+import { ConfigError, readConfigFile } from './config.js';
+import { PROFILE_NAMES, getProfileToolNames } from './profiles.js';
+
+const RATE_WINDOW_MS = 60000;
+
+const clientSchema = z.object({
+  name: z.string().min(1),
+  token: z.string().min(16, 'Tokens must be at least 16 characters').optional(),
+  tokenSha256: z.string().regex(/^[0-9a-f]{64}$/i, 'Expected a hex SHA-256 digest').optional(),
+  profile: z.enum(PROFILE_NAMES).optional(),
+  tools: z.array(z.string().min(1)).optional(),
+  requestsPerMinute: z.number().int().positive().optional()
+}).strict().refine((client) => Boolean(client.token) !== Boolean(client.tokenSha256), 'Set exactly one of token and tokenSha256');
+
+const tokenFileSchema = z.object({
+  clients: z.array(clientSchema).min(1)
+}).strict();
+
+const sha256 = (value) => createHash('sha256').update(value).digest();
+
+/**
+ * Read and validate the token file.
+ * @param {string} file - Path to the token file
+ * @param {Object} [options]
+ * @param {Array<string>} [options.toolNames] - Names of the discovered tools, to check the allowlists
+ * @returns {Array<Object>} - Clients ({ name, digest, toolNames, requestsPerMinute, window })
+ * @throws {ConfigError} - Listing every problem found
+ */
+const loadAccessClients = (file, { toolNames } = {}) => {
+  const result = tokenFileSchema.safeParse(readConfigFile(file));
+  if (!result.success) {
+    throw new ConfigError(
+      `Invalid token file ${file}:`,
+      result.error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+    );
+  }
+
+  const problems = [];
+  const names = new Set();
+  const clients = result.data.clients.map((client, index) => {
+    if (names.has(client.name)) problems.push(`clients.${index}.name: duplicate client "${client.name}"`);
+    names.add(client.name);
+    for (const name of client.tools ?? []) {
+      if (toolNames && !toolNames.includes(name)) problems.push(`clients.${index}.tools: unknown tool "${name}"`);
+    }
+
+    // A client with neither a profile nor tools (or the 'all' profile) may use every served tool
+    const profileTools = client.profile ? getProfileToolNames(client.profile) : [];
+    const allowed = profileTools && (client.profile || client.tools) ? [...profileTools, ...(client.tools ?? [])] : null;
+    return {
+      name: client.name,
+      digest: client.token ? sha256(client.token) : Buffer.from(client.tokenSha256, 'hex'),
+      toolNames: allowed && [...new Set(allowed)],
+      requestsPerMinute: client.requestsPerMinute ?? null,
+      window: { startedAt: 0, count: 0 }
+    };
+  });
+
+  if (problems.length) throw new ConfigError(`Invalid token file ${file}:`, problems);
+  return clients;
+};
+
+/**
+ * Find the client a request authenticates as.
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {Array<Object>} clients - From loadAccessClients()
+ * @returns {Object|null} - The client, or null when the token is missing or unknown
+ */
+const authenticateRequest = (headers, clients) => {
+  const bearer = /^Bearer\s+(\S+)\s*$/i.exec(headers.authorization ?? '')?.[1];
+  const token = bearer ?? headers['x-api-key'];
+  if (!token) return null;
+
+  // Compare digests so the comparison takes the same time for every token
+  const digest = sha256(token);
+  return clients.find((client) => timingSafeEqual(client.digest, digest)) ?? null;
+};
+
+/**
+ * Count a request against the client's rate limit.
+ * @param {Object} client - From loadAccessClients()
+ * @param {number} [now=Date.now()]
+ * @returns {number} - 0 when the request may go ahead, otherwise milliseconds until the limit resets
+ */
+const takeRequest = (client, now = Date.now()) => {
+  if (!client.requestsPerMinute) return 0;
+
+  const { window } = client;
+  if (now - window.startedAt >= RATE_WINDOW_MS) {
+    window.startedAt = now;
+    window.count = 0;
+  }
+  if (window.count >= client.requestsPerMinute) return window.startedAt + RATE_WINDOW_MS - now;
+  window.count += 1;
+  return 0;
+};
+
+/**
+ * Whether a client may use a tool.
+ * @param {Object|null} client - From loadAccessClients(); null when the server is open
+ * @param {string} name - Tool name
+ * @returns {boolean}
+ */
+const isToolAllowed = (client, name) => !client?.toolNames || client.toolNames.includes(name);
+
+export { loadAccessClients, authenticateRequest, takeRequest, isToolAllowed };
@@ -0,0 +1,51 @@
+/**
+ * Authentication schemes for the InsightSentry API.
+ * The same tools can run against RapidAPI (x-rapidapi-* headers) or the
+ * direct InsightSentry API (Bearer token); api.authMode selects which.
+ */
+
+/**
+ * Supported auth modes with their default base URL and request headers.
+ */
+const AUTH_MODES = {
+  rapidapi: {
+    defaultBaseUrl: 'https://insightsentry.p.rapidapi.com',
+    headers: (apiKey, baseUrl) => {
+      const headers = { 'x-rapidapi-key': apiKey };
+      try {
+        headers['x-rapidapi-host'] = new URL(baseUrl).host;
+      } catch {
+        // Invalid base URL - the request itself will fail with a clearer error
+      }
+      return headers;
+    }
+  },
+  direct: {
+    defaultBaseUrl: 'https://api.insightsentry.com',
+    headers: (apiKey) => ({ 'Authorization': `Bearer ${apiKey}` })
+  }
+};
+
+/**
+ * Build the authentication headers for a request.
+ * @param {string} mode - Auth mode ('rapidapi' or 'direct')
+ * @param {string} apiKey - API key for that mode
+ * @param {string} [baseUrl] - API base URL
+ * @returns {Object} - Authentication headers
+ */
+const buildAuthHeaders = (mode, apiKey, baseUrl) => {
+  const scheme = AUTH_MODES[mode];
+  if (!scheme) {
+    throw new Error(`Unknown auth mode: ${mode}`);
+  }
+  return scheme.headers(apiKey, baseUrl);
+};
+
+/**
+ * The base URL to use for REST calls: api.baseUrl if set, otherwise the auth mode's default.
+ * @param {Object} api - The api section of the configuration
+ * @returns {string}
+ */
+const resolveBaseUrl = (api) => api.baseUrl ?? AUTH_MODES[api.authMode].defaultBaseUrl;
+
+export { AUTH_MODES, buildAuthHeaders, resolveBaseUrl };
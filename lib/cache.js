@@ -0,0 +1,211 @@
+/**
+ * In-process LRU cache for InsightSentry REST responses.
+ * Entries expire according to per-endpoint TTLs (long for slow-moving data
+ * such as sessions and financials, seconds for quotes). When
+ * INSIGHTSENTRY_CACHE_DIR is set, entries are also persisted to disk so they
+ * survive restarts.
+ *
+ * Cached payloads are shared between callers and must be treated as read-only.
+ */
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Cache');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+/**
+ * TTL rules matched against the API path, first match wins.
+ * Endpoints with a zero TTL (news, websocket keys) or without a rule are never cached.
+ */
+const ENDPOINT_TTLS = [
+  { endpoint: 'session', pattern: /^\/v2\/symbols\/[^/]+\/session$/, ttlMs: 12 * HOUR },
+  { endpoint: 'financials', pattern: /^\/v2\/symbols\/[^/]+\/financials$/, ttlMs: 12 * HOUR },
+  { endpoint: 'symbol_info', pattern: /^\/v2\/symbols\/[^/]+\/info$/, ttlMs: 5 * MINUTE },
+  { endpoint: 'quote', pattern: /^\/v2\/symbols\/([^/]+\/quote|quotes)$/, ttlMs: 5 * SECOND },
+  { endpoint: 'series', pattern: /^\/v2\/symbols\/[^/]+\/series$/, ttlMs: 30 * SECOND },
+  { endpoint: 'search', pattern: /^\/v2\/symbols\/search$/, ttlMs: HOUR },
+  { endpoint: 'exchange_list', pattern: /^\/v2\/exchanges$/, ttlMs: 24 * HOUR },
+  { endpoint: 'exchange_bulk', pattern: /^\/v2\/exchanges\/[^/]+\/(quotes|metrics)$/, ttlMs: 30 * SECOND },
+  { endpoint: 'data_sources', pattern: /^\/v2\/datasets\/sources\//, ttlMs: 24 * HOUR },
+  { endpoint: 'economic_series', pattern: /^\/v2\/datasets\/economy\//, ttlMs: HOUR },
+  { endpoint: 'events', pattern: /^\/v2\/events\//, ttlMs: 15 * MINUTE },
+  { endpoint: 'newsfeed', pattern: /^\/v2\/newsfeed/, ttlMs: 0 },
+  { endpoint: 'websocket_key', pattern: /^\/v2\/websocket-key$/, ttlMs: 0 }
+];
+
+/**
+ * Minimal LRU cache with per-entry expiry, built on Map insertion order.
+ */
+class LruCache {
+  /**
+   * @param {number} maxEntries - Maximum number of entries kept in memory
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Object|null} - The stored entry ({ value, storedAt, expiresAt }) or null
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Refresh recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Object} entry - Entry to store ({ value, storedAt, expiresAt })
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+let memoryCache = null;
+const stats = { hits: 0, misses: 0 };
+
+const isCacheEnabled = () => getConfig().cache.enabled;
+
+const getMemoryCache = () => {
+  if (!memoryCache) {
+    memoryCache = new LruCache(getConfig().cache.maxEntries);
+  }
+  return memoryCache;
+};
+
+const diskPathFor = (key) => {
+  const { dir } = getConfig().cache;
+  if (!dir) return null;
+  const hash = createHash('sha256').update(key).digest('hex');
+  return path.join(dir, `${hash}.json`);
+};
+
+/**
+ * Resolve the endpoint rule for an API path.
+ * @param {string} apiPath - API path (e.g. '/v2/symbols/NASDAQ:AAPL/session')
+ * @returns {{endpoint: string, ttlMs: number}} - Endpoint name and TTL (0 when not cacheable)
+ */
+const resolveEndpoint = (apiPath) => {
+  const rule = ENDPOINT_TTLS.find(({ pattern }) => pattern.test(apiPath));
+  return rule ? { endpoint: rule.endpoint, ttlMs: rule.ttlMs } : { endpoint: 'uncached', ttlMs: 0 };
+};
+
+/**
+ * Look up a cached response, checking memory first and then disk.
+ * @param {string} key - Cache key (the full request URL)
+ * @returns {Promise<Object|null>} - The cached entry ({ value, storedAt, expiresAt }) or null
+ */
+const getCachedResponse = async (key) => {
+  if (!isCacheEnabled()) return null;
+
+  const entry = getMemoryCache().get(key);
+  if (entry) {
+    stats.hits++;
+    return entry;
+  }
+
+  const file = diskPathFor(key);
+  if (file) {
+    try {
+      const stored = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (stored.key === key && stored.expiresAt > Date.now()) {
+        const restored = { value: stored.value, storedAt: stored.storedAt, expiresAt: stored.expiresAt };
+        getMemoryCache().set(key, restored);
+        stats.hits++;
+        return restored;
+      }
+      await fs.rm(file, { force: true });
+    } catch {
+      // Missing or unreadable file - treat as a miss
+    }
+  }
+
+  stats.misses++;
+  return null;
+};
+
+/**
+ * Store a response in the cache (and on disk when persistence is enabled).
+ * @param {string} key - Cache key (the full request URL)
+ * @param {*} value - Parsed response body
+ * @param {number} ttlMs - Time to live in milliseconds
+ * @returns {Promise<void>} - Resolves once the entry has been persisted (callers need not wait)
+ */
+const setCachedResponse = async (key, value, ttlMs) => {
+  if (!isCacheEnabled() || ttlMs <= 0) return;
+
+  const storedAt = Date.now();
+  const entry = { value, storedAt, expiresAt: storedAt + ttlMs };
+  getMemoryCache().set(key, entry);
+
+  const file = diskPathFor(key);
+  if (file) {
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ key, ...entry }));
+    } catch (error) {
+      logger.error('Failed to persist cache entry', error);
+    }
+  }
+};
+
+/**
+ * Drop all in-memory entries and reset statistics.
+ * Persisted entries on disk are left untouched.
+ */
+const clearResponseCache = () => {
+  memoryCache = null;
+  stats.hits = 0;
+  stats.misses = 0;
+};
+
+/**
+ * @returns {{entries: number, hits: number, misses: number}} - Cache statistics
+ */
+const getCacheStats = () => ({
+  entries: memoryCache ? memoryCache.size : 0,
+  hits: stats.hits,
+  misses: stats.misses
+});
+
+export {
+  LruCache,
+  ENDPOINT_TTLS,
+  resolveEndpoint,
+  getCachedResponse,
+  setCachedResponse,
+  clearResponseCache,
+  getCacheStats
+};
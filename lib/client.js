@@ -0,0 +1,460 @@
+/**
+ * Shared HTTP client for the InsightSentry REST API.
+ * All tools go through insightSentryRequest so that headers, per-request
+ * timeouts and retry/backoff behaviour are handled in a single place.
+ * The request context's abort signal cancels the upstream request (download
+ * included), and downloads are reported to its progress reporter.
+ */
+import {
+  CancelledError,
+  errorFromResponse,
+  FixtureNotFoundError,
+  QuotaSoftLimitError,
+  TimeoutError,
+  UpstreamError
+} from './errors.js';
+import { resolveEndpoint, getCachedResponse, setCachedResponse } from './cache.js';
+import { getRequestContext } from './request-context.js';
+import { reportProgress } from './progress.js';
+import { recordUpstreamResponse, recordLocalResponse, isBelowSoftLimit, getUsageSnapshot } from './usage.js';
+import { getClientMode, saveFixture, loadFixture } from './fixtures.js';
+import { getConfig } from './config.js';
+import { buildAuthHeaders, resolveBaseUrl } from './auth.js';
+import { acquireApiKey, reportKeyFailure } from './key-pool.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Client');
+
+const EXTENDED_TIMEOUT_MS = 60000; // 60 seconds, for multi-megabyte payloads such as financials
+const INITIAL_RETRY_DELAY = 500; // 0.5 seconds
+const MAX_RETRY_DELAY = 8000; // 8 seconds
+
+/**
+ * Wait, returning early when the signal aborts.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(done, ms);
+  function done() {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', done);
+    resolve();
+  }
+  signal?.addEventListener('abort', done, { once: true });
+});
+
+/**
+ * @param {string} path - API path
+ * @returns {CancelledError}
+ */
+const cancelledError = (path) => new CancelledError(`Request to ${path} was cancelled`, { path });
+
+/**
+ * Whether an HTTP status is worth retrying (rate limiting or upstream failure).
+ * @param {number} status - HTTP status code
+ * @returns {boolean}
+ */
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * Whether an HTTP status means the API key itself was refused or throttled.
+ * @param {number} status - HTTP status code
+ * @returns {boolean}
+ */
+const isKeyFailureStatus = (status) => status === 401 || status === 403 || status === 429;
+
+/**
+ * Whether a thrown fetch error is transient (timeout or network failure).
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean}
+ */
+const isRetryableError = (error) => error?.name === 'AbortError' || error instanceof TypeError;
+
+/**
+ * Parse a Retry-After header value (delta-seconds or HTTP-date) into milliseconds.
+ * @param {string|null} value - Raw header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/unparseable
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+};
+
+/**
+ * Exponential backoff delay for the given (zero-based) retry attempt.
+ * @param {number} attempt - Retry attempt number
+ * @returns {number} - Delay in milliseconds
+ */
+const backoffDelay = (attempt) => Math.min(INITIAL_RETRY_DELAY * 2 ** attempt, MAX_RETRY_DELAY);
+
+/**
+ * Build the request headers sent with every InsightSentry call.
+ * @param {Object} api - The api section of the configuration
+ * @param {string} baseUrl - API base URL
+ * @param {string} apiKey - API key to authenticate with
+ * @returns {Object} - Request headers
+ */
+const buildHeaders = (api, baseUrl, apiKey) => ({
+  ...buildAuthHeaders(api.authMode, apiKey, baseUrl),
+  'Accept': 'application/json'
+});
+
+/**
+ * Build the full request URL from an API path and query parameters.
+ * Parameters with undefined or null values are omitted.
+ * @param {string} baseUrl - API base URL
+ * @param {string} path - API path (e.g. '/v2/symbols/NASDAQ:AAPL/quote')
+ * @param {Object} [params] - Query parameters
+ * @returns {string} - Full request URL
+ */
+const buildUrl = (baseUrl, path, params = {}) => {
+  const url = new URL(`${baseUrl}${path}`);
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    url.searchParams.append(key, Array.isArray(value) ? value.join(',') : String(value));
+  }
+  return url.toString();
+};
+
+/**
+ * Perform a single fetch with a timeout.
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the request, including reading its body
+ * @returns {Promise<Response>}
+ */
+const fetchWithTimeout = async (url, headers, timeoutMs, signal) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  // Not removed once the headers arrive: cancelling must also stop the body download
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+  try {
+    return await fetch(url, {
+      method: 'GET',
+      headers,
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Parse a JSON response body. When the call reports progress, the body is read
+ * in chunks and the bytes received are reported, added to those of earlier
+ * downloads in the same call so progress keeps increasing.
+ * @param {Response} response
+ * @param {string} path - API path, named in progress messages
+ * @returns {Promise<*>}
+ */
+const readJson = async (response, path) => {
+  const context = getRequestContext();
+  if (!context?.onProgress || !response.body) return response.json();
+
+  const offset = context.downloadedBytes ?? 0;
+  const length = Number(response.headers.get('content-length')) || null;
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of response.body) {
+    chunks.push(chunk);
+    received += chunk.length;
+    context.downloadedBytes = offset + received;
+    reportProgress({
+      progress: offset + received,
+      ...(length && { total: offset + length }),
+      message: `Downloading ${path}`
+    });
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+};
+
+/**
+ * Record a cache lookup on the current tool call so the server can report it.
+ * @param {Object} event - Cache event ({ endpoint, hit, age_ms, ttl_ms })
+ */
+const recordCacheEvent = (event) => {
+  const context = getRequestContext();
+  if (context) {
+    (context.cache ??= []).push(event);
+  }
+};
+
+/**
+ * Save a response as a fixture (record mode). Failures are logged rather than
+ * failing the tool call.
+ * @param {string} path - API path
+ * @param {Object} [params] - Query parameters
+ * @param {Object} response - Response to record ({ status, body })
+ */
+const recordFixture = async (path, params, response) => {
+  try {
+    await saveFixture(path, params, response);
+  } catch (error) {
+    logger.error('Failed to record fixture', error);
+  }
+};
+
+/**
+ * Fetch and parse a URL, retrying on 429 and 5xx responses as well as
+ * timeouts and network errors, using exponential backoff and honouring the
+ * Retry-After header. Each attempt takes a key from the key pool; when a key
+ * is refused or throttled and another key is available, the request moves to
+ * it straight away. Every response is reported to the usage tracker, and the
+ * final response is saved as a fixture in record mode.
+ *
+ * @param {Object} request
+ * @param {string} request.url - Full request URL
+ * @param {string} request.path - API path, used for error reporting
+ * @param {Object} [request.params] - Query parameters, used to key recorded fixtures
+ * @param {string} request.endpoint - Endpoint name, used for usage counters
+ * @param {Object} request.api - The api section of the configuration
+ * @param {string} request.baseUrl - API base URL
+ * @param {number} request.timeoutMs - Per-attempt timeout in milliseconds
+ * @param {number} request.maxRetries - Maximum number of retries after the first attempt
+ * @param {AbortSignal} [request.signal] - Stops the request and any further retries
+ * @returns {Promise<Object>} - The parsed JSON response body
+ * @throws {CancelledError} - When the signal aborts
+ */
+const fetchJsonWithRetries = async ({ url, path, params, endpoint, api, baseUrl, timeoutMs, maxRetries, signal }) => {
+  const toolName = getRequestContext()?.toolName;
+  const recording = getClientMode() === 'record';
+  const failedKeys = new Set();
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw cancelledError(path);
+    const { key, label: keyLabel } = acquireApiKey({ exclude: failedKeys });
+    let response;
+    try {
+      response = await fetchWithTimeout(url, buildHeaders(api, baseUrl, key), timeoutMs, signal);
+    } catch (error) {
+      if (signal?.aborted) throw cancelledError(path);
+      if (attempt < maxRetries && isRetryableError(error)) {
+        await sleep(backoffDelay(attempt), signal);
+        continue;
+      }
+      if (error?.name === 'AbortError') {
+        throw new TimeoutError(`Request to ${path} timed out after ${timeoutMs}ms`, { path, cause: error });
+      }
+      throw new UpstreamError(`Network error while requesting ${path}: ${error.message}`, { path, cause: error });
+    }
+
+    recordUpstreamResponse({ endpoint, toolName, keyLabel, status: response.status, headers: response.headers });
+
+    if (response.ok) {
+      let data;
+      try {
+        data = await readJson(response, path);
+      } catch (error) {
+        throw signal?.aborted ? cancelledError(path) : error;
+      }
+      if (recording) {
+        await recordFixture(path, params, { status: response.status, body: data });
+      }
+      return data;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+    if (isKeyFailureStatus(response.status)) {
+      failedKeys.add(keyLabel);
+      if (reportKeyFailure(keyLabel, { status: response.status, retryAfterMs: retryAfter, exclude: failedKeys })) {
+        attempt--; // switching keys is not a retry
+        continue;
+      }
+    }
+    // A Retry-After beyond the backoff cap would hold the call for that long: fail now and report the delay
+    if (attempt < maxRetries && isRetryableStatus(response.status) && (retryAfter ?? 0) <= MAX_RETRY_DELAY) {
+      await sleep(retryAfter ?? backoffDelay(attempt), signal);
+      continue;
+    }
+
+    const body = await response.json().catch(() => null);
+    if (recording) {
+      await recordFixture(path, params, { status: response.status, body });
+    }
+    throw errorFromResponse({
+      status: response.status,
+      statusText: response.statusText,
+      body,
+      path,
+      retryAfterMs: retryAfter
+    });
+  }
+};
+
+/**
+ * Serve a request from its recorded fixture (replay mode).
+ * @param {string} path - API path
+ * @param {Object} [params] - Query parameters
+ * @returns {Promise<Object>} - The recorded response body
+ * @throws {FixtureNotFoundError} - When nothing was recorded for the request
+ */
+const replayFixture = async (path, params) => {
+  const { file, fixture } = await loadFixture(path, params);
+  if (!fixture) {
+    throw new FixtureNotFoundError(
+      `No fixture recorded for ${path} (expected ${file}); run once with INSIGHTSENTRY_MODE=record`,
+      { path, fixture: file }
+    );
+  }
+
+  if (fixture.status >= 200 && fixture.status < 300) {
+    return fixture.body;
+  }
+  throw errorFromResponse({ status: fixture.status, body: fixture.body, path });
+};
+
+/**
+ * Upstream requests currently in flight, keyed by full URL. Concurrent callers
+ * for the same URL share one fetch and one parsed result
+ * ({ url, promise, controller, waiters }); the fetch is aborted, and forgotten,
+ * when every caller waiting for it has been cancelled.
+ */
+const inFlightRequests = new Map();
+
+/**
+ * Forget an in-flight request, unless a newer one took its URL.
+ * @param {Object} shared - In-flight request
+ */
+const forgetShared = (shared) => {
+  if (inFlightRequests.get(shared.url) === shared) inFlightRequests.delete(shared.url);
+};
+
+/**
+ * Wait for a shared request on behalf of one caller.
+ * @param {Object} shared - In-flight request ({ url, promise, controller, waiters })
+ * @param {AbortSignal} [signal] - The caller's signal
+ * @param {string} path - API path
+ * @returns {Promise<Object>}
+ */
+const awaitShared = (shared, signal, path) => {
+  shared.waiters += 1;
+  if (!signal) return shared.promise;
+
+  return new Promise((resolve, reject) => {
+    const cancel = () => {
+      shared.waiters -= 1;
+      if (shared.waiters === 0) {
+        shared.controller.abort();
+        forgetShared(shared);
+      }
+      reject(cancelledError(path));
+    };
+    signal.addEventListener('abort', cancel, { once: true });
+    shared.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', cancel));
+  });
+};
+
+/**
+ * Perform a GET request against the InsightSentry REST API.
+ * Successful responses are served from the response cache when the endpoint
+ * has a TTL, and concurrent identical requests are coalesced into a single
+ * upstream fetch. See fetchJsonWithRetries for the retry behaviour.
+ * Calls made by low-priority tools are refused once the remaining RapidAPI
+ * quota drops to INSIGHTSENTRY_QUOTA_SOFT_LIMIT. In replay mode responses come
+ * from recorded fixtures only (see lib/fixtures.js). A call whose request
+ * context is cancelled fails with CancelledError without waiting for upstream.
+ *
+ * @param {string} path - API path (e.g. '/v2/symbols/NASDAQ:AAPL/quote')
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.params] - Query parameters
+ * @param {number} [options.timeoutMs] - Per-attempt timeout in milliseconds
+ * @param {number} [options.maxRetries] - Maximum number of retries after the first attempt
+ * @param {number} [options.cacheTtlMs] - Override the endpoint cache TTL (0 bypasses the cache)
+ * @returns {Promise<Object>} - The parsed JSON response body
+ * @throws {InsightSentryError} - A taxonomy error from lib/errors.js describing the failure
+ */
+const insightSentryRequest = async (path, options = {}) => {
+  if (getClientMode() === 'replay') {
+    return replayFixture(path, options.params);
+  }
+
+  const { api } = getConfig();
+  const baseUrl = resolveBaseUrl(api);
+  const { timeoutMs: defaultTimeoutMs, maxRetries: defaultMaxRetries } = api;
+
+  const {
+    params,
+    timeoutMs = defaultTimeoutMs,
+    maxRetries = defaultMaxRetries
+  } = options;
+
+  const context = getRequestContext();
+  const signal = context?.signal;
+  if (signal?.aborted) throw cancelledError(path);
+  const url = buildUrl(baseUrl, path, params);
+  const { endpoint, ttlMs: defaultTtlMs } = resolveEndpoint(path);
+  const ttlMs = options.cacheTtlMs ?? defaultTtlMs;
+
+  if (ttlMs > 0) {
+    const cached = await getCachedResponse(url);
+    if (cached) {
+      recordCacheEvent({ endpoint, hit: true, age_ms: Date.now() - cached.storedAt, ttl_ms: ttlMs });
+      recordLocalResponse({ endpoint, toolName: context?.toolName, kind: 'cache_hits' });
+      return cached.value;
+    }
+  }
+
+  let shared = inFlightRequests.get(url);
+  const coalesced = Boolean(shared);
+
+  if (coalesced) {
+    recordLocalResponse({ endpoint, toolName: context?.toolName, kind: 'coalesced' });
+  } else {
+    if (context?.priority === 'low' && isBelowSoftLimit()) {
+      const { quota, soft_limit: softLimit } = getUsageSnapshot();
+      throw new QuotaSoftLimitError(
+        `Refusing low-priority call to ${path}: ${quota.remaining} requests left, soft limit is ${softLimit.threshold}`,
+        { path, remaining: quota.remaining, resetAt: quota.reset_at }
+      );
+    }
+
+    const controller = new AbortController();
+    shared = { url, controller, waiters: 0 };
+    shared.promise = fetchJsonWithRetries({ url, path, params, endpoint, api, baseUrl, timeoutMs, maxRetries, signal: controller.signal })
+      .then((data) => {
+        if (ttlMs > 0) {
+          setCachedResponse(url, data, ttlMs);
+        }
+        return data;
+      })
+      .finally(() => forgetShared(shared));
+    inFlightRequests.set(url, shared);
+  }
+
+  const data = await awaitShared(shared, signal, path);
+  if (ttlMs > 0) {
+    recordCacheEvent({ endpoint, hit: false, coalesced, age_ms: 0, ttl_ms: ttlMs });
+  }
+  return data;
+};
+
+/**
+ * @returns {number} - Number of distinct upstream requests currently in flight
+ */
+const getInFlightCount = () => inFlightRequests.size;
+
+export {
+  insightSentryRequest,
+  getInFlightCount,
+  EXTENDED_TIMEOUT_MS,
+  buildUrl,
+  buildHeaders,
+  parseRetryAfter
+};
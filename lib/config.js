@@ -0,0 +1,327 @@
+/**
+ * Central configuration for the InsightSentry MCP server.
+ * Settings come from (highest precedence first) environment variables, an
+ * optional JSON or YAML file named by INSIGHTSENTRY_CONFIG, and defaults.
+ * Everything is validated up front so a typo fails with a clear message
+ * instead of surfacing later as a confusing request error.
+ *
+ * Values are re-read when the relevant environment variables change, so
+ * modules should call getConfig() when they need a setting rather than
+ * caching it at import time.
+ */
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { z } from 'zod';
+import { LoggingLevelSchema } from '@modelcontextprotocol/sdk/types.js';
+import { PROFILE_NAMES, getProfileToolNames } from './profiles.js';
+
+/**
+ * Environment variables and the config path each one sets.
+ */
+const ENV_BINDINGS = {
+  INSIGHTSENTRY_BASE_URL: 'api.baseUrl',
+  INSIGHTSENTRY_API_KEY: 'api.apiKey',
+  INSIGHTSENTRY_API_KEYS: 'api.apiKeys',
+  INSIGHTSENTRY_KEY_ROTATION: 'api.keyRotation',
+  INSIGHTSENTRY_KEY_QUARANTINE_MS: 'api.keyQuarantineMs',
+  INSIGHTSENTRY_AUTH_MODE: 'api.authMode',
+  INSIGHTSENTRY_TIMEOUT_MS: 'api.timeoutMs',
+  INSIGHTSENTRY_MAX_RETRIES: 'api.maxRetries',
+  INSIGHTSENTRY_MODE: 'api.mode',
+  INSIGHTSENTRY_FIXTURES_DIR: 'fixtures.dir',
+  INSIGHTSENTRY_CACHE: 'cache.enabled',
+  INSIGHTSENTRY_CACHE_MAX_ENTRIES: 'cache.maxEntries',
+  INSIGHTSENTRY_CACHE_DIR: 'cache.dir',
+  INSIGHTSENTRY_USAGE_FILE: 'usage.file',
+  INSIGHTSENTRY_QUOTA_SOFT_LIMIT: 'usage.softLimit',
+  INSIGHTSENTRY_MAX_RESPONSE_BYTES: 'responses.maxBytes',
+  INSIGHTSENTRY_CURSOR_TTL_MS: 'responses.cursorTtlMs',
+  INSIGHTSENTRY_RESOLVE_SYMBOLS: 'symbols.resolve',
+  INSIGHTSENTRY_WS_LIVE_URL: 'websocket.liveUrl',
+  INSIGHTSENTRY_WS_NEWSFEED_URL: 'websocket.newsfeedUrl',
+  INSIGHTSENTRY_WS_KEY_BASE_URL: 'websocket.keyBaseUrl',
+  INSIGHTSENTRY_WS_API_KEY: 'websocket.apiKey',
+  INSIGHTSENTRY_STALE_DATA_MS: 'websocket.staleDataMs',
+  INSIGHTSENTRY_STALE_NEWS_MS: 'websocket.staleNewsMs',
+  INSIGHTSENTRY_DATA_GAP_ALERT_MS: 'websocket.dataGapAlertMs',
+  INSIGHTSENTRY_NEWS_GAP_ALERT_MS: 'websocket.newsGapAlertMs',
+  PORT: 'server.port',
+  STREAMING_PORT: 'server.streamingPort',
+  INSIGHTSENTRY_SESSION_IDLE_MS: 'server.sessionIdleMs',
+  INSIGHTSENTRY_TOKENS_FILE: 'server.tokensFile',
+  INSIGHTSENTRY_LOG_LEVEL: 'logging.level',
+  INSIGHTSENTRY_LOG_FILE: 'logging.file',
+  INSIGHTSENTRY_TOOL_PROFILE: 'tools.profile',
+  INSIGHTSENTRY_ENABLED_TOOLS: 'tools.enabled',
+  INSIGHTSENTRY_DISABLED_TOOLS: 'tools.disabled'
+};
+
+const CONFIG_FILE_ENV = 'INSIGHTSENTRY_CONFIG';
+
+const milliseconds = z.coerce.number().int().positive();
+const port = z.coerce.number().int().min(0).max(65535);
+const url = z.string().url();
+const wsUrl = z.string().url().refine((value) => /^wss?:\/\//.test(value), 'Must be a ws:// or wss:// URL');
+
+const toggle = z.preprocess((value) => {
+  if (typeof value !== 'string') return value;
+  const normalised = value.trim().toLowerCase();
+  if (['on', 'true', '1', 'yes'].includes(normalised)) return true;
+  if (['off', 'false', '0', 'no'].includes(normalised)) return false;
+  return value;
+}, z.boolean());
+
+const stringList = z.preprocess(
+  (value) => (typeof value === 'string' ? value.split(',').map((item) => item.trim()).filter(Boolean) : value),
+  z.array(z.string().min(1))
+);
+
+const configSchema = z.object({
+  api: z.object({
+    baseUrl: url.optional(),
+    apiKey: z.string().min(1).optional(),
+    apiKeys: stringList.optional(),
+    keyRotation: z.enum(['round-robin', 'quota']).default('round-robin'),
+    keyQuarantineMs: milliseconds.default(300000),
+    authMode: z.enum(['rapidapi', 'direct']).default('rapidapi'),
+    timeoutMs: milliseconds.default(15000),
+    maxRetries: z.coerce.number().int().min(0).max(10).default(3),
+    mode: z.enum(['live', 'record', 'replay']).default('live')
+  }).strict().default({}),
+  fixtures: z.object({
+    dir: z.string().min(1).default('fixtures')
+  }).strict().default({}),
+  cache: z.object({
+    enabled: toggle.default(true),
+    maxEntries: z.coerce.number().int().positive().default(500),
+    dir: z.string().min(1).optional()
+  }).strict().default({}),
+  usage: z.object({
+    file: z.string().min(1).optional(),
+    softLimit: z.union([
+      z.number().nonnegative(),
+      z.string().regex(/^\s*\d+(\.\d+)?\s*%?\s*$/, 'Expected a number of requests ("500") or a percentage ("10%")')
+    ]).optional()
+  }).strict().default({}),
+  responses: z.object({
+    maxBytes: z.coerce.number().int().min(0).default(50000),
+    cursorTtlMs: milliseconds.default(900000)
+  }).strict().default({}),
+  symbols: z.object({
+    resolve: toggle.default(true),
+    aliases: z.record(z.string().min(1), z.string().regex(/^[A-Z0-9_]+:\S+$/, 'Expected an EXCHANGE:TICKER code')).default({})
+  }).strict().default({}),
+  websocket: z.object({
+    liveUrl: wsUrl.default('wss://realtime.insightsentry.com/live'),
+    newsfeedUrl: wsUrl.default('wss://newsfeed.insightsentry.com/newsfeed'),
+    keyBaseUrl: url.default('https://api.insightsentry.com'),
+    apiKey: z.string().min(1).optional(),
+    staleDataMs: milliseconds.default(10000),
+    staleNewsMs: milliseconds.default(10000),
+    dataGapAlertMs: milliseconds.default(15000),
+    newsGapAlertMs: milliseconds.default(30000)
+  }).strict().default({}),
+  server: z.object({
+    port: port.default(3001),
+    streamingPort: port.default(3002),
+    sessionIdleMs: milliseconds.default(1800000),
+    tokensFile: z.string().min(1).optional()
+  }).strict().default({}),
+  logging: z.object({
+    level: z.enum(LoggingLevelSchema.options).default('info'),
+    file: z.string().min(1).optional()
+  }).strict().default({}),
+  tools: z.object({
+    profile: z.enum(PROFILE_NAMES).default('all'),
+    enabled: stringList.optional(),
+    disabled: stringList.default([])
+  }).strict().default({})
+}).strict();
+
+/**
+ * Raised when the configuration is invalid. The message lists every problem.
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - Human readable summary
+   * @param {Array<string>} [problems] - Individual problems
+   */
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}\n${problems.map((problem) => `  - ${problem}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const setPath = (target, dottedPath, value) => {
+  const keys = dottedPath.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node = node[key] ??= {};
+  }
+  node[keys[keys.length - 1]] = value;
+};
+
+const mergeDeep = (base, override) => {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override ?? {})) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject ? mergeDeep(result[key] ?? {}, value) : value;
+  }
+  return result;
+};
+
+/**
+ * Read a JSON or YAML configuration file.
+ * @param {string} file - Path to the file
+ * @returns {Object} - Parsed settings
+ */
+const readConfigFile = (file) => {
+  const resolved = path.resolve(file);
+  let text;
+  try {
+    text = fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read configuration file ${resolved}: ${error.message}`);
+  }
+
+  try {
+    const parsed = /\.ya?ml$/i.test(resolved) ? yaml.load(text) : JSON.parse(text);
+    if (parsed === null || parsed === undefined) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected an object at the top level');
+    }
+    return parsed;
+  } catch (error) {
+    throw new ConfigError(`Cannot parse configuration file ${resolved}: ${error.message}`);
+  }
+};
+
+/**
+ * Build and validate the configuration.
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.file] - Configuration file (defaults to INSIGHTSENTRY_CONFIG)
+ * @returns {Object} - The validated configuration
+ * @throws {ConfigError} - When a setting is invalid
+ */
+const loadConfig = ({ env = process.env, file = env[CONFIG_FILE_ENV] } = {}) => {
+  const fromFile = file ? readConfigFile(file) : {};
+  const sources = {};
+
+  const fromEnv = {};
+  for (const [name, configPath] of Object.entries(ENV_BINDINGS)) {
+    const value = env[name];
+    if (value === undefined || value === '') continue;
+    setPath(fromEnv, configPath, value);
+    sources[configPath] = `env ${name}`;
+  }
+
+  const result = configSchema.safeParse(mergeDeep(fromFile, fromEnv));
+  if (!result.success) {
+    const problems = result.error.issues.map((issue) => {
+      const issuePath = issue.path.join('.');
+      const keys = issue.code === 'unrecognized_keys' ? issue.keys.map((key) => (issuePath ? `${issuePath}.${key}` : key)) : [];
+      const label = keys.length ? keys.join(', ') : issuePath || '(root)';
+      const source = sources[issuePath] ?? (file ? `file ${path.resolve(file)}` : 'defaults');
+      return `${label} (${source}): ${issue.message}`;
+    });
+    throw new ConfigError('Invalid InsightSentry configuration:', problems);
+  }
+
+  return result.data;
+};
+
+let cached = null;
+let resets = 0;
+
+/**
+ * Identify the configuration getConfig() returns, without building it: the
+ * key changes with the environment and on resetConfig().
+ * @returns {string}
+ */
+const getConfigKey = () =>
+  JSON.stringify([resets, ...[CONFIG_FILE_ENV, ...Object.keys(ENV_BINDINGS)].map((name) => process.env[name] ?? null)]);
+
+/**
+ * Get the current configuration, rebuilding it when the environment changed.
+ * @returns {Object} - The validated configuration
+ * @throws {ConfigError} - When a setting is invalid
+ */
+const getConfig = () => {
+  const key = getConfigKey();
+  if (!cached || cached.key !== key) {
+    cached = { key, config: loadConfig() };
+  }
+  return cached.config;
+};
+
+/**
+ * Forget the cached configuration so the config file is read again.
+ */
+const resetConfig = () => {
+  cached = null;
+  resets += 1;
+};
+
+/**
+ * Whether a tool is enabled by the tools.profile, tools.enabled and tools.disabled settings.
+ * @param {string} name - Tool name
+ * @param {Object} [config] - Configuration (defaults to getConfig())
+ * @returns {boolean}
+ */
+const isToolEnabled = (name, config = getConfig()) => {
+  const { profile, enabled, disabled } = config.tools;
+  const profileTools = getProfileToolNames(profile);
+  return (!profileTools || profileTools.includes(name))
+    && (!enabled || enabled.includes(name))
+    && !disabled.includes(name);
+};
+
+/**
+ * Validate the configuration a server needs before it starts.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.toolNames] - Names of the discovered tools, to check tools.profile/enabled/disabled
+ * @returns {Object} - The validated configuration
+ * @throws {ConfigError} - Listing every problem found
+ */
+const validateStartupConfig = ({ toolNames } = {}) => {
+  const config = getConfig();
+  const problems = [];
+
+  if (config.api.mode !== 'replay') {
+    const keyKind = config.api.authMode === 'direct' ? 'InsightSentry API key' : 'RapidAPI key';
+    if (!config.api.apiKey && !config.api.apiKeys?.length) {
+      problems.push(`api.apiKey: set INSIGHTSENTRY_API_KEY (or INSIGHTSENTRY_API_KEYS) to your ${keyKind}`);
+    }
+  }
+
+  if (toolNames) {
+    for (const setting of ['enabled', 'disabled']) {
+      for (const name of config.tools[setting] ?? []) {
+        if (!toolNames.includes(name)) problems.push(`tools.${setting}: unknown tool "${name}"`);
+      }
+    }
+    for (const name of getProfileToolNames(config.tools.profile) ?? []) {
+      if (!toolNames.includes(name)) problems.push(`tools.profile: profile "${config.tools.profile}" lists unknown tool "${name}"`);
+    }
+  }
+
+  if (problems.length) {
+    throw new ConfigError('Invalid InsightSentry configuration:', problems);
+  }
+  return config;
+};
+
+export {
+  ConfigError,
+  ENV_BINDINGS,
+  loadConfig,
+  readConfigFile,
+  getConfig,
+  resetConfig,
+  getConfigKey,
+  isToolEnabled,
+  validateStartupConfig
+};
@@ -0,0 +1,289 @@
+/**
+ * Error taxonomy for InsightSentry requests.
+ * Every error carries the HTTP status (when there is one) and the upstream
+ * message so callers can tell a bad symbol apart from a quota problem.
+ */
+
+/**
+ * Base class for all errors raised while talking to InsightSentry.
+ */
+class InsightSentryError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status returned by InsightSentry
+   * @param {string} [details.upstreamMessage] - Message returned by InsightSentry
+   * @param {string} [details.path] - API path that was requested
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { status = null, upstreamMessage = null, path = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.upstreamMessage = upstreamMessage;
+    this.path = path;
+  }
+
+  /** Machine readable error type */
+  get type() {
+    return 'insightsentry_error';
+  }
+
+  /** Whether retrying the same call later may succeed */
+  get retryable() {
+    return false;
+  }
+
+  /**
+   * Serialise the error for tool results.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      message: this.message,
+      status: this.status,
+      upstream_message: this.upstreamMessage,
+      retryable: this.retryable
+    };
+  }
+}
+
+class NotFoundError extends InsightSentryError {
+  get type() {
+    return 'not_found';
+  }
+}
+
+class SymbolNotFoundError extends NotFoundError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.symbol = details.symbol ?? null;
+  }
+
+  get type() {
+    return 'symbol_not_found';
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), symbol: this.symbol };
+  }
+}
+
+class AuthenticationError extends InsightSentryError {
+  get type() {
+    return 'auth_failure';
+  }
+}
+
+class RateLimitError extends InsightSentryError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+
+  get type() {
+    return 'rate_limited';
+  }
+
+  get retryable() {
+    return true;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retry_after_ms: this.retryAfterMs };
+  }
+}
+
+/**
+ * Raised locally, without calling InsightSentry, when a low-priority tool is
+ * refused because the remaining RapidAPI quota has reached the soft limit.
+ */
+class QuotaSoftLimitError extends RateLimitError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.remaining = details.remaining ?? null;
+    this.resetAt = details.resetAt ?? null;
+  }
+
+  get type() {
+    return 'quota_soft_limit';
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), remaining: this.remaining, reset_at: this.resetAt };
+  }
+}
+
+class UpstreamError extends InsightSentryError {
+  get type() {
+    return 'upstream_error';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+class InvalidParamsError extends InsightSentryError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Error details, plus:
+   * @param {Array<Object>} [details.violations] - Each failed argument check ({ path, message })
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.violations = details.violations ?? null;
+  }
+
+  get type() {
+    return 'invalid_params';
+  }
+
+  toJSON() {
+    return this.violations ? { ...super.toJSON(), violations: this.violations } : super.toJSON();
+  }
+}
+
+/**
+ * Raised when a bare ticker or company name matches several listings.
+ */
+class AmbiguousSymbolError extends InvalidParamsError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Error details, plus:
+   * @param {string} [details.symbol] - The symbol as given
+   * @param {Array<Object>} [details.candidates] - Matching listings ({ code, name })
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.symbol = details.symbol ?? null;
+    this.candidates = details.candidates ?? [];
+  }
+
+  get type() {
+    return 'ambiguous_symbol';
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), symbol: this.symbol, candidates: this.candidates };
+  }
+}
+
+class TimeoutError extends InsightSentryError {
+  get type() {
+    return 'timeout';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * Raised when the MCP request behind a call was cancelled; the upstream
+ * request is aborted rather than left to finish.
+ */
+class CancelledError extends InsightSentryError {
+  get type() {
+    return 'cancelled';
+  }
+}
+
+/**
+ * Raised in replay mode when no fixture was recorded for a request.
+ */
+class FixtureNotFoundError extends InsightSentryError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.fixture = details.fixture ?? null;
+  }
+
+  get type() {
+    return 'fixture_missing';
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), fixture: this.fixture };
+  }
+}
+
+/**
+ * Extract the upstream error message from a parsed response body.
+ * @param {*} body - Parsed response body (object, string or null)
+ * @returns {string|null}
+ */
+const extractUpstreamMessage = (body) => {
+  if (!body) return null;
+  if (typeof body === 'string') return body;
+  const message = body.message ?? body.error ?? body.detail;
+  if (message === undefined || message === null) return null;
+  return typeof message === 'string' ? message : JSON.stringify(message);
+};
+
+/**
+ * Decode a percent-encoded path segment, keeping it as is when the encoding is malformed.
+ * @param {string} segment
+ * @returns {string}
+ */
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+/**
+ * Build the matching taxonomy error for a failed HTTP response.
+ * @param {Object} args
+ * @param {number} args.status - HTTP status code
+ * @param {*} args.body - Parsed response body
+ * @param {string} args.path - API path that was requested
+ * @param {string} [args.statusText] - HTTP status text
+ * @param {number|null} [args.retryAfterMs] - Parsed Retry-After delay
+ * @returns {InsightSentryError}
+ */
+const errorFromResponse = ({ status, body, path, statusText = '', retryAfterMs = null }) => {
+  const upstreamMessage = extractUpstreamMessage(body);
+  const reason = upstreamMessage || statusText || 'Request failed';
+  const details = { status, upstreamMessage, path };
+
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(`Authentication failed for ${path} (${status}): ${reason}`, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(`Rate limit exceeded for ${path}: ${reason}`, { ...details, retryAfterMs });
+  }
+  if (status === 404) {
+    const symbolMatch = path.match(/^\/v2\/symbols\/([^/]+)\//);
+    if (symbolMatch) {
+      const symbol = decodeSegment(symbolMatch[1]);
+      return new SymbolNotFoundError(`Symbol not found: ${symbol} (${reason})`, { ...details, symbol });
+    }
+    return new NotFoundError(`Resource not found: ${path} (${reason})`, details);
+  }
+  if (status === 400 || status === 422) {
+    return new InvalidParamsError(`Invalid parameters for ${path}: ${reason}`, details);
+  }
+  if (status >= 500) {
+    return new UpstreamError(`InsightSentry upstream error for ${path} (${status}): ${reason}`, details);
+  }
+  return new InsightSentryError(`InsightSentry request to ${path} failed (${status}): ${reason}`, details);
+};
+
+export {
+  InsightSentryError,
+  NotFoundError,
+  SymbolNotFoundError,
+  AuthenticationError,
+  RateLimitError,
+  QuotaSoftLimitError,
+  UpstreamError,
+  InvalidParamsError,
+  AmbiguousSymbolError,
+  TimeoutError,
+  CancelledError,
+  FixtureNotFoundError,
+  errorFromResponse
+};
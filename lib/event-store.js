@@ -0,0 +1,63 @@
+/**
+ * In-memory event store for one Streamable HTTP session.
+ * Every message the server sends on an SSE stream is kept with an event ID,
+ * so a client that lost its connection can reconnect with Last-Event-ID and
+ * receive what it missed on that stream. Only the most recent events are kept.
+ */
+
+const DEFAULT_MAX_EVENTS = 1000;
+
+class SessionEventStore {
+  /**
+   * @param {number} [maxEvents=DEFAULT_MAX_EVENTS] - Events kept for replay; older ones are dropped
+   */
+  constructor(maxEvents = DEFAULT_MAX_EVENTS) {
+    this.maxEvents = maxEvents;
+    this.events = new Map(); // eventId -> { streamId, message }, oldest first
+    this.nextId = 1;
+  }
+
+  /**
+   * @param {string} streamId - SSE stream the message was sent on
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<string>} - The event ID
+   */
+  async storeEvent(streamId, message) {
+    const eventId = String(this.nextId++);
+    this.events.set(eventId, { streamId, message });
+    if (this.events.size > this.maxEvents) {
+      this.events.delete(this.events.keys().next().value);
+    }
+    return eventId;
+  }
+
+  /**
+   * @param {string} eventId
+   * @returns {Promise<string|undefined>} - The stream of a stored event
+   */
+  async getStreamIdForEventId(eventId) {
+    return this.events.get(eventId)?.streamId;
+  }
+
+  /**
+   * Send the events stored on the same stream after the given one.
+   * @param {string} lastEventId - Last event the client received
+   * @param {Object} options
+   * @param {Function} options.send - async (eventId, message) => void
+   * @returns {Promise<string>} - The stream being resumed
+   */
+  async replayEventsAfter(lastEventId, { send }) {
+    const streamId = this.events.get(lastEventId)?.streamId;
+    if (!streamId) return '';
+
+    const after = Number(lastEventId);
+    for (const [eventId, event] of this.events) {
+      if (Number(eventId) > after && event.streamId === streamId) {
+        await send(eventId, event.message);
+      }
+    }
+    return streamId;
+  }
+}
+
+export { SessionEventStore };
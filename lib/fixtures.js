@@ -0,0 +1,121 @@
+/**
+ * Record-and-replay fixtures for offline development.
+ * With INSIGHTSENTRY_MODE=record every REST response received by the shared
+ * client is written to the fixture directory; with INSIGHTSENTRY_MODE=replay
+ * the client serves those files instead of calling the API, so no network
+ * access or API key is needed.
+ *
+ * Fixtures are keyed by API path plus normalised query parameters and stored
+ * as <dir>/<endpoint>/<path>[__<params hash>].json.
+ */
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { resolveEndpoint } from './cache.js';
+import { getConfig } from './config.js';
+
+/**
+ * @returns {'live'|'record'|'replay'} - The configured client mode
+ */
+const getClientMode = () => getConfig().api.mode;
+
+/**
+ * @returns {string} - Absolute path of the fixture directory
+ */
+const getFixturesDir = () => path.resolve(getConfig().fixtures.dir);
+
+const decodePath = (apiPath) => {
+  try {
+    return decodeURIComponent(apiPath);
+  } catch {
+    return apiPath;
+  }
+};
+
+/**
+ * Build the fixture key for a request: the decoded API path followed by the
+ * query parameters sorted by name, with empty values dropped (as the client
+ * does). Decoding makes 'NASDAQ%3AAAPL' and 'NASDAQ:AAPL' share a fixture.
+ * @param {string} apiPath - API path (e.g. '/v2/symbols/NASDAQ:AAPL/series')
+ * @param {Object} [params] - Query parameters
+ * @returns {string}
+ */
+const fixtureKey = (apiPath, params = {}) => {
+  const decodedPath = decodePath(apiPath);
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [name, Array.isArray(value) ? value.join(',') : String(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  return query.length ? `${decodedPath}?${new URLSearchParams(query)}` : decodedPath;
+};
+
+/**
+ * Resolve the file a fixture is stored in.
+ * @param {string} apiPath - API path
+ * @param {Object} [params] - Query parameters
+ * @param {string} [dir] - Fixture directory (defaults to INSIGHTSENTRY_FIXTURES_DIR)
+ * @returns {{key: string, file: string}}
+ */
+const fixtureLocation = (apiPath, params, dir = getFixturesDir()) => {
+  const key = fixtureKey(apiPath, params);
+  const { endpoint } = resolveEndpoint(apiPath);
+  const slug = decodePath(apiPath).replace(/^\//, '').replace(/[^A-Za-z0-9._-]+/g, '_');
+  const queryIndex = key.indexOf('?');
+  const suffix = queryIndex === -1
+    ? ''
+    : `__${createHash('sha256').update(key.slice(queryIndex + 1)).digest('hex').slice(0, 12)}`;
+
+  return { key, file: path.join(dir, endpoint, `${slug}${suffix}.json`) };
+};
+
+/**
+ * Save a response as a fixture. Error responses are recorded too, so that
+ * replay reproduces them.
+ * @param {string} apiPath - API path
+ * @param {Object} [params] - Query parameters
+ * @param {Object} response
+ * @param {number} response.status - HTTP status
+ * @param {*} response.body - Parsed response body
+ * @param {string} [dir] - Fixture directory (defaults to INSIGHTSENTRY_FIXTURES_DIR)
+ * @returns {Promise<string>} - The fixture file written
+ */
+const saveFixture = async (apiPath, params, { status, body }, dir) => {
+  const { key, file } = fixtureLocation(apiPath, params, dir);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({
+    key,
+    request: { path: decodePath(apiPath), params: params ?? {} },
+    status,
+    recorded_at: new Date().toISOString(),
+    body
+  }, null, 2));
+  return file;
+};
+
+/**
+ * Load the fixture recorded for a request.
+ * @param {string} apiPath - API path
+ * @param {Object} [params] - Query parameters
+ * @param {string} [dir] - Fixture directory (defaults to INSIGHTSENTRY_FIXTURES_DIR)
+ * @returns {Promise<{file: string, fixture: Object|null}>} - The fixture, or null when none was recorded
+ */
+const loadFixture = async (apiPath, params, dir) => {
+  const { key, file } = fixtureLocation(apiPath, params, dir);
+  try {
+    const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    return { file, fixture: fixture.key === key ? fixture : null };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { file, fixture: null };
+    throw error;
+  }
+};
+
+export {
+  getClientMode,
+  getFixturesDir,
+  fixtureKey,
+  fixtureLocation,
+  saveFixture,
+  loadFixture
+};
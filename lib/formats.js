@@ -0,0 +1,145 @@
+/**
+ * Text renderings of tool results. Every tool accepts a `format` argument:
+ * indented JSON (default), compact JSON, or the result's main table (bars,
+ * quotes, metrics, economic series) as CSV or a Markdown table, which cost
+ * far fewer tokens than repeating every key on every row.
+ *
+ * The table is the longest array of objects at the top of the result or one
+ * level down (`series`, `data`, ...). Other top-level fields are listed above
+ * the table. Results without such an array fall back to compact JSON.
+ */
+
+const FORMATS = ['json', 'json_compact', 'csv', 'markdown'];
+
+/**
+ * JSON Schema of the `format` argument added to every tool.
+ */
+const FORMAT_PARAMETER = {
+  type: 'string',
+  enum: FORMATS,
+  default: 'json',
+  description: 'Output format: json (indented), json_compact, csv or markdown. csv and markdown render the main table of the result (bars, quotes, rows) and fall back to compact JSON when there is none.'
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const isTable = (value) => Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+
+/**
+ * Find the main table of a result.
+ * @param {*} value - Tool result
+ * @returns {{ path: Array<string>, rows: Array<Object> }|null}
+ */
+const findTable = (value) => {
+  if (isTable(value)) return { path: [], rows: value };
+  if (!isPlainObject(value)) return null;
+
+  let best = null;
+  const consider = (path, candidate) => {
+    if (isTable(candidate) && (!best || candidate.length > best.rows.length)) {
+      best = { path, rows: candidate };
+    }
+  };
+  for (const [key, child] of Object.entries(value)) {
+    consider([key], child);
+    if (isPlainObject(child)) {
+      for (const [childKey, grandchild] of Object.entries(child)) {
+        consider([key, childKey], grandchild);
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Column names in first-seen order across all rows.
+ * @param {Array<Object>} rows
+ * @returns {Array<string>}
+ */
+const columnsOf = (rows) => [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+/**
+ * Cell text: scalars as-is, null and missing values empty, objects as compact JSON.
+ * @param {*} value
+ * @returns {string}
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const csvCell = (value) => {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const markdownCell = (value) => cellText(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+/**
+ * Top-level fields of the result other than the table (for the lines above it).
+ * @param {*} value - Tool result
+ * @param {Array<string>} path - Path of the table
+ * @returns {Array<[string, *]>}
+ */
+const contextFields = (value, path) => {
+  if (!isPlainObject(value)) return [];
+  return Object.entries(value).flatMap(([key, child]) => {
+    if (key !== path[0]) return [[key, child]];
+    // The table sits one level down: keep its siblings
+    if (path.length === 2) {
+      return Object.entries(child).filter(([childKey]) => childKey !== path[1]).map(([childKey, item]) => [`${key}.${childKey}`, item]);
+    }
+    return [];
+  });
+};
+
+const renderCsv = (value, { path, rows }) => {
+  const columns = columnsOf(rows);
+  const lines = contextFields(value, path).map(([key, item]) => `# ${key}: ${cellText(item)}`);
+  lines.push(columns.map(csvCell).join(','));
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(','));
+  }
+  return lines.join('\n');
+};
+
+const renderMarkdown = (value, { path, rows }) => {
+  const columns = columnsOf(rows);
+  const context = contextFields(value, path).map(([key, item]) => `**${key}**: ${markdownCell(item)}`);
+  const table = [
+    `| ${columns.map(markdownCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${columns.map((column) => markdownCell(row[column])).join(' | ')} |`)
+  ];
+  return [...(context.length ? [context.join('\n'), ''] : []), ...table].join('\n');
+};
+
+/**
+ * Render a tool result as text.
+ * @param {*} value - Tool result
+ * @param {string} [format='json'] - One of FORMATS
+ * @returns {string}
+ */
+const renderResult = (value, format = 'json') => {
+  if (format === 'csv' || format === 'markdown') {
+    const table = findTable(value);
+    if (table) return format === 'csv' ? renderCsv(value, table) : renderMarkdown(value, table);
+    return JSON.stringify(value);
+  }
+  if (format === 'json_compact') return JSON.stringify(value);
+  return JSON.stringify(value, null, 2);
+};
+
+/**
+ * Add the `format` argument to a tool's parameters schema.
+ * @param {Object} [parameters] - Parameters schema of the tool
+ * @returns {Object} - A new schema accepting `format`
+ */
+const withFormatParameter = (parameters = { type: 'object', properties: {} }) => ({
+  ...parameters,
+  properties: { ...parameters.properties, format: FORMAT_PARAMETER }
+});
+
+export { FORMATS, FORMAT_PARAMETER, findTable, renderResult, withFormatParameter };
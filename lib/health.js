@@ -0,0 +1,89 @@
+/**
+ * Health and metrics endpoints shared by the MCP HTTP server and the streaming
+ * server. /healthz answers as long as the process serves requests; /readyz
+ * also checks the configuration and that the upstream InsightSentry hosts
+ * accept connections, so an orchestrator can hold traffic back until they do.
+ * /metrics serves lib/metrics.js in the Prometheus text format.
+ *
+ * Upstream checks only open a TCP connection: no request is sent, so probes
+ * never use API quota.
+ */
+import net from 'net';
+import { renderMetrics } from './metrics.js';
+
+const UPSTREAM_TIMEOUT_MS = 2000;
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443, 'ws:': 80, 'wss:': 443 };
+
+/**
+ * Check that a host accepts TCP connections.
+ * @param {string} url - URL of the host to reach
+ * @param {number} [timeoutMs=UPSTREAM_TIMEOUT_MS]
+ * @returns {Promise<Object>} - { url, ok, error? }
+ */
+const checkReachable = (url, timeoutMs = UPSTREAM_TIMEOUT_MS) => new Promise((resolve) => {
+  const { hostname, port, protocol } = new URL(url);
+  const socket = net.connect({ host: hostname, port: Number(port) || DEFAULT_PORTS[protocol] });
+  const finish = (error) => {
+    socket.destroy();
+    resolve(error ? { url, ok: false, error } : { url, ok: true });
+  };
+  socket.setTimeout(timeoutMs, () => finish(`no connection after ${timeoutMs}ms`));
+  socket.once('connect', () => finish());
+  socket.once('error', (error) => finish(error.message));
+});
+
+/**
+ * Run the readiness checks.
+ * @param {Object} readiness
+ * @param {Function} readiness.checkConfig - () => config; throws when the configuration is invalid
+ * @param {Function} readiness.upstreamUrls - (config) => URLs of the hosts the server needs
+ * @returns {Promise<Object>} - { ready, checks: { config, upstream } }
+ */
+const checkReadiness = async ({ checkConfig, upstreamUrls }) => {
+  let config;
+  try {
+    config = checkConfig();
+  } catch (error) {
+    return { ready: false, checks: { config: { ok: false, error: error.message }, upstream: [] } };
+  }
+
+  const upstream = await Promise.all(upstreamUrls(config).map((url) => checkReachable(url)));
+  return { ready: upstream.every(({ ok }) => ok), checks: { config: { ok: true }, upstream } };
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Answer GET /healthz, /readyz and /metrics. Works with plain Node and Express
+ * requests alike.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Object} readiness - Options for checkReadiness()
+ * @returns {Promise<boolean>} - Whether the request was one of these endpoints
+ */
+const handleMonitoringRequest = async (req, res, readiness) => {
+  if (req.method !== 'GET') return false;
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  switch (pathname) {
+    case '/healthz':
+      sendJson(res, 200, { status: 'ok' });
+      return true;
+    case '/readyz': {
+      const { ready, checks } = await checkReadiness(readiness);
+      sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not_ready', checks });
+      return true;
+    }
+    case '/metrics':
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(renderMetrics());
+      return true;
+    default:
+      return false;
+  }
+};
+
+export { checkReachable, checkReadiness, handleMonitoringRequest };
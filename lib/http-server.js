@@ -0,0 +1,238 @@
+/**
+ * HTTP transports for the MCP server.
+ * Streamable HTTP is served on a single /mcp endpoint: POST carries client
+ * messages, GET opens the server-to-client stream and DELETE ends the session.
+ * Sessions are named by the Mcp-Session-Id header, and a client whose stream
+ * dropped can resume it by reconnecting with Last-Event-ID. The legacy SSE
+ * transport (GET /sse, POST /messages) stays available for older clients.
+ *
+ * Every session gets its own MCP server. A session without requests or open
+ * streams for server.sessionIdleMs is closed, which also drops its quote
+ * subscriptions. Sessions live in this process, so a load balancer in front
+ * of several instances must keep a session on the instance that created it.
+ *
+ * With a token file (see lib/access.js) every request must authenticate, is
+ * counted against its client's rate limit, and may only use sessions its
+ * client started; each session's server is built for its client. The health
+ * and metrics endpoints (see lib/health.js) stay open for probes and scrapers.
+ */
+import { randomUUID } from 'crypto';
+import http from 'http';
+import express from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { SessionEventStore } from './event-store.js';
+import { authenticateRequest, takeRequest } from './access.js';
+import { createLogger } from './logger.js';
+import { handleMonitoringRequest } from './health.js';
+import { registerGauge } from './metrics.js';
+
+const SESSION_HEADER = 'mcp-session-id';
+const MAX_SWEEP_INTERVAL_MS = 60000;
+const logger = createLogger('HTTP Server');
+const NO_READINESS_CHECKS = { checkConfig: () => null, upstreamUrls: () => [] };
+
+/**
+ * Answer a request that never reached a session with a JSON-RPC error.
+ */
+const sendJsonRpcError = (res, status, code, message) => {
+  res.status(status).json({ jsonrpc: '2.0', error: { code, message }, id: null });
+};
+
+/**
+ * Start the HTTP server.
+ * @param {Object} options
+ * @param {Function} options.createServer - (client) => MCP Server, called once per session; client is null without a token file
+ * @param {number} options.sessionIdleMs - Idle time after which a session is closed
+ * @param {Array<Object>} [options.clients] - Clients from loadAccessClients(); the server is open when unset
+ * @param {Object} [options.readiness] - Checks behind /readyz (see checkReadiness()); ready when unset
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host] - Interface to bind (all interfaces when unset)
+ * @returns {Promise<Object>} - { app, server, sessions, port, url, sweepIdleSessions, close }
+ */
+const startHttpServer = async ({ createServer, sessionIdleMs, clients, readiness = NO_READINESS_CHECKS, port = 0, host }) => {
+  const app = express();
+  const sessions = new Map(); // sessionId -> { client, server, transport, lastSeen, openRequests }
+
+  const newSession = (client, transport) => ({
+    client,
+    server: createServer(client),
+    transport,
+    lastSeen: Date.now(),
+    openRequests: 0
+  });
+
+  // Sessions are only visible to the client that started them
+  const findSession = (sessionId, client, Transport) => {
+    const session = sessionId ? sessions.get(sessionId) : null;
+    return session?.transport instanceof Transport && session.client === client ? session : null;
+  };
+
+  app.use(async (req, res, next) => {
+    if (!(await handleMonitoringRequest(req, res, readiness))) next();
+  });
+
+  if (clients) {
+    app.use((req, res, next) => {
+      const client = authenticateRequest(req.headers, clients);
+      if (!client) {
+        res.set('WWW-Authenticate', 'Bearer');
+        sendJsonRpcError(res, 401, -32000, 'Unauthorized: send a valid token as "Authorization: Bearer <token>" or "X-API-Key: <token>"');
+        return;
+      }
+
+      const retryAfterMs = takeRequest(client);
+      if (retryAfterMs > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        sendJsonRpcError(res, 429, -32000, `Rate limit of ${client.requestsPerMinute} requests per minute exceeded for client "${client.name}"`);
+        return;
+      }
+
+      req.accessClient = client;
+      next();
+    });
+  }
+
+  // Requests in flight (including open streams) keep a session alive
+  const track = (session, res) => {
+    session.openRequests += 1;
+    session.lastSeen = Date.now();
+    res.on('close', () => {
+      session.openRequests -= 1;
+      session.lastSeen = Date.now();
+    });
+  };
+
+  const startStreamableSession = async (client) => {
+    const session = newSession(client, null);
+    session.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: randomUUID,
+      eventStore: new SessionEventStore(),
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, session);
+      }
+    });
+    session.transport.onclose = () => {
+      if (session.transport.sessionId) sessions.delete(session.transport.sessionId);
+    };
+    await session.server.connect(session.transport);
+    return session;
+  };
+
+  app.post('/mcp', express.json(), async (req, res) => {
+    const sessionId = req.get(SESSION_HEADER);
+    let session = findSession(sessionId, req.accessClient ?? null, StreamableHTTPServerTransport);
+    if (sessionId && !session) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+
+    if (!session) {
+      if (!isInitializeRequest(req.body)) {
+        sendJsonRpcError(res, 400, -32000, 'Bad Request: send an initialize request to start a session');
+        return;
+      }
+      session = await startStreamableSession(req.accessClient ?? null);
+    }
+
+    track(session, res);
+    await session.transport.handleRequest(req, res, req.body);
+    // A rejected initialize request leaves a server without a session
+    if (!session.transport.sessionId) await session.server.close();
+  });
+
+  // GET opens the server-to-client stream (or resumes it with Last-Event-ID); DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    const sessionId = req.get(SESSION_HEADER);
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+      return;
+    }
+    const session = findSession(sessionId, req.accessClient ?? null, StreamableHTTPServerTransport);
+    if (!session) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+
+    track(session, res);
+    await session.transport.handleRequest(req, res);
+  };
+
+  app.get('/mcp', handleSessionRequest);
+  app.delete('/mcp', handleSessionRequest);
+
+  // Legacy SSE transport: the session lasts as long as its GET /sse stream
+  app.get('/sse', async (req, res) => {
+    const session = newSession(req.accessClient ?? null, new SSEServerTransport('/messages', res));
+    const { sessionId } = session.transport;
+    sessions.set(sessionId, session);
+    session.transport.onclose = () => {
+      sessions.delete(sessionId);
+    };
+
+    track(session, res);
+    await session.server.connect(session.transport);
+  });
+
+  app.post('/messages', async (req, res) => {
+    const session = findSession(req.query.sessionId, req.accessClient ?? null, SSEServerTransport);
+    if (!session) {
+      res.status(400).send('No transport found for sessionId');
+      return;
+    }
+
+    session.lastSeen = Date.now();
+    await session.transport.handlePostMessage(req, res);
+  });
+
+  /**
+   * Close the sessions idle for sessionIdleMs.
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<number>} - Number of sessions closed
+   */
+  const sweepIdleSessions = async (now = Date.now()) => {
+    const idle = [...sessions.values()].filter(
+      (session) => session.openRequests === 0 && now - session.lastSeen >= sessionIdleMs
+    );
+    await Promise.all(idle.map((session) => session.server.close()));
+    return idle.length;
+  };
+
+  const stopSessionGauge = registerGauge('insightsentry_mcp_sessions', 'Open MCP sessions by transport', () => {
+    const counts = { streamable_http: 0, sse: 0 };
+    for (const { transport } of sessions.values()) {
+      counts[transport instanceof SSEServerTransport ? 'sse' : 'streamable_http'] += 1;
+    }
+    return Object.entries(counts).map(([transport, value]) => ({ labels: { transport }, value }));
+  });
+
+  const sweepTimer = setInterval(() => {
+    sweepIdleSessions().catch((error) => logger.error('Failed to close idle sessions', error));
+  }, Math.min(sessionIdleMs, MAX_SWEEP_INTERVAL_MS));
+  sweepTimer.unref();
+
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const { port: boundPort } = server.address();
+
+  const close = async () => {
+    clearInterval(sweepTimer);
+    stopSessionGauge();
+    await Promise.all([...sessions.values()].map((session) => session.server.close()));
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(() => resolve()));
+  };
+
+  return {
+    app,
+    server,
+    sessions,
+    port: boundPort,
+    url: `http://${host ?? '127.0.0.1'}:${boundPort}`,
+    sweepIdleSessions,
+    close
+  };
+};
+
+export { startHttpServer };
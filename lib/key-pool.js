@@ -0,0 +1,149 @@
+/**
+ * Pool of InsightSentry API keys shared by the client.
+ * Keys come from api.apiKey and api.apiKeys. Each request takes a key by
+ * round-robin or by most remaining quota; a key that fails authentication or
+ * hits its rate limit is quarantined so the others keep serving requests.
+ * Per-key counters and quarantines are reported through lib/usage.js.
+ */
+import { getConfig } from './config.js';
+import { getKeyUsage, recordKeyQuarantine } from './usage.js';
+import { AuthenticationError, RateLimitError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Keys');
+
+let pool = null;
+
+/**
+ * A label identifying a key in reports without revealing it.
+ * @param {string} key - API key
+ * @param {number} index - Position in the pool
+ * @returns {string} - e.g. 'key2…f3a9'
+ */
+const keyLabel = (key, index) => `key${index + 1}…${key.slice(-4)}`;
+
+/**
+ * Get the pool for the current configuration, rebuilding it when the keys change.
+ * @returns {Object} - { keys: [{ key, label }], cursor, quarantine: Map<label, { until, reason }> }
+ */
+const getPool = () => {
+  const { apiKey, apiKeys = [] } = getConfig().api;
+  const keys = [...new Set([apiKey, ...apiKeys].filter(Boolean))];
+  const fingerprint = keys.join('\n');
+
+  if (!pool || pool.fingerprint !== fingerprint) {
+    pool = {
+      fingerprint,
+      keys: keys.map((key, index) => ({ key, label: keyLabel(key, index) })),
+      cursor: 0,
+      quarantine: new Map()
+    };
+  }
+  return pool;
+};
+
+/**
+ * Whether a key can take requests: not quarantined and, as far as we know,
+ * with quota left. Expired quarantines are lifted here.
+ * @param {Object} entry - Pool entry ({ key, label })
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {boolean}
+ */
+const isAvailable = (entry, now = Date.now()) => {
+  const quarantine = pool.quarantine.get(entry.label);
+  if (quarantine) {
+    if (quarantine.until > now) return false;
+    pool.quarantine.delete(entry.label);
+    recordKeyQuarantine(entry.label, { until: null });
+  }
+
+  const quota = getKeyUsage(entry.label)?.quota;
+  const exhausted = quota?.remaining === 0 && Boolean(quota.reset_at) && Date.parse(quota.reset_at) > now;
+  return !exhausted;
+};
+
+const remainingQuota = (entry) => getKeyUsage(entry.label)?.quota.remaining ?? Infinity;
+
+/**
+ * Error for when every key in the pool is out of rotation.
+ * @returns {AuthenticationError|RateLimitError}
+ */
+const poolExhaustedError = () => {
+  const now = Date.now();
+  const quarantines = [...pool.quarantine.values()].filter(({ until }) => until > now);
+  const retryAfterMs = quarantines.length ? Math.min(...quarantines.map(({ until }) => until - now)) : null;
+  const message = `All ${pool.keys.length} InsightSentry API keys are quarantined or out of quota`;
+
+  if (quarantines.length === pool.keys.length && quarantines.every(({ reason }) => reason === 'authentication')) {
+    return new AuthenticationError(`${message} (every key failed authentication)`);
+  }
+  return new RateLimitError(message, { retryAfterMs });
+};
+
+/**
+ * Take a key for the next request.
+ * @param {Object} [options]
+ * @param {Set<string>} [options.exclude] - Labels of keys not to use (already failed for this request)
+ * @returns {{ key: string|undefined, label: string|null }} - The key, or an empty entry when none is configured
+ * @throws {AuthenticationError|RateLimitError} - When several keys are configured and none is usable
+ */
+const acquireApiKey = ({ exclude = new Set() } = {}) => {
+  const { keys } = getPool();
+  if (keys.length === 0) return { key: undefined, label: null };
+  if (keys.length === 1) return keys[0];
+
+  const candidates = keys.filter((entry) => !exclude.has(entry.label) && isAvailable(entry));
+  if (candidates.length === 0) {
+    throw poolExhaustedError();
+  }
+
+  if (getConfig().api.keyRotation === 'quota') {
+    return candidates.reduce((best, entry) => (remainingQuota(entry) > remainingQuota(best) ? entry : best));
+  }
+
+  // Round-robin: the first candidate at or after the cursor
+  const ordered = [...keys.slice(pool.cursor), ...keys.slice(0, pool.cursor)];
+  const chosen = ordered.find((entry) => candidates.includes(entry));
+  pool.cursor = (keys.indexOf(chosen) + 1) % keys.length;
+  return chosen;
+};
+
+/**
+ * Report an authentication or rate-limit failure for a key. With more than
+ * one key configured the key is quarantined: for api.keyQuarantineMs after an
+ * authentication failure, and until Retry-After (or the quota reset) after a 429.
+ * @param {string|null} label - Label of the key that failed
+ * @param {Object} failure
+ * @param {number} failure.status - HTTP status (401, 403 or 429)
+ * @param {number|null} [failure.retryAfterMs] - Parsed Retry-After delay
+ * @param {Set<string>} [failure.exclude] - Keys already tried for this request
+ * @returns {boolean} - Whether another key is available to retry with
+ */
+const reportKeyFailure = (label, { status, retryAfterMs = null, exclude = new Set() }) => {
+  const { keys, quarantine } = getPool();
+  if (!label || keys.length < 2) return false;
+
+  const { keyQuarantineMs } = getConfig().api;
+  const reason = status === 429 ? 'rate_limited' : 'authentication';
+  let durationMs = keyQuarantineMs;
+  if (status === 429) {
+    const resetAt = Date.parse(getKeyUsage(label)?.quota.reset_at ?? '');
+    durationMs = retryAfterMs ?? (Number.isFinite(resetAt) ? resetAt - Date.now() : keyQuarantineMs);
+  }
+
+  const until = Date.now() + Math.max(durationMs, 0);
+  quarantine.set(label, { until, reason });
+  recordKeyQuarantine(label, { until, reason });
+  logger.warning(`Quarantined ${label} (${reason}) until ${new Date(until).toISOString()}`);
+
+  return keys.some((entry) => entry.label !== label && !exclude.has(entry.label) && isAvailable(entry));
+};
+
+/**
+ * Forget quarantines and the rotation cursor (mainly for tests).
+ */
+const resetKeyPool = () => {
+  pool = null;
+};
+
+export { acquireApiKey, reportKeyFailure, resetKeyPool };
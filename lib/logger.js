@@ -0,0 +1,153 @@
+/**
+ * Leveled logging for the servers, tools and library modules.
+ * Messages at or above logging.level are written to stderr (stdout carries the
+ * MCP protocol in stdio mode) and, with logging.file, appended to a file.
+ * MCP sessions receive them as notifications/message once their client picks
+ * a level with logging/setLevel: the messages of their own requests, and
+ * background messages for sessions registered with addLogSink().
+ *
+ * API keys from the configuration, and any field named like a key or token,
+ * are redacted before a message leaves the process.
+ */
+import fs from 'fs';
+import { LoggingLevelSchema } from '@modelcontextprotocol/sdk/types.js';
+import { getConfig, getConfigKey } from './config.js';
+import { getRequestContext } from './request-context.js';
+
+/**
+ * Levels from least to most severe (the MCP / syslog levels).
+ */
+const LOG_LEVELS = LoggingLevelSchema.options;
+
+const DEFAULT_LEVEL = 'info';
+const REDACTED = '[REDACTED]';
+const SECRET_FIELD = /^(api[_-]?keys?|websocket[_-]?key|x-(rapidapi|api)-key|authorization|tokens?|token[_-]?sha256|secret|password)$/i;
+const BEARER = /\b(Bearer\s+)\S+/gi;
+
+const sinks = new Set();
+let settings = null;
+let fileFailed = false;
+
+const severity = (level) => LOG_LEVELS.indexOf(level);
+
+/**
+ * Whether a message at a level passes a threshold.
+ * @param {string} level - Level of the message
+ * @param {string} threshold - Least severe level wanted
+ * @returns {boolean}
+ */
+const isLevelEnabled = (level, threshold) => severity(level) >= severity(threshold);
+
+// The logger must keep working when the configuration is invalid, so it can report that
+const readLoggingConfig = () => {
+  try {
+    const { logging, api, websocket } = getConfig();
+    const secrets = [api.apiKey, ...(api.apiKeys ?? []), websocket.apiKey].filter(Boolean);
+    return { ...logging, secrets };
+  } catch {
+    return { level: DEFAULT_LEVEL, secrets: [] };
+  }
+};
+
+// Read once per configuration rather than on every message
+const loggingConfig = () => {
+  const key = getConfigKey();
+  if (settings?.key !== key) settings = { key, ...readLoggingConfig() };
+  return settings;
+};
+
+/**
+ * Remove API keys and tokens from a value about to be logged.
+ * @param {*} value - String, Error or JSON-like value
+ * @param {Array<string>} [secrets] - Values to hide wherever they appear (defaults to the configured API keys)
+ * @returns {*} - A redacted copy; Errors become { name, message } (or their toJSON())
+ */
+const redact = (value, secrets = loggingConfig().secrets) => {
+  if (typeof value === 'string') {
+    return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value.replace(BEARER, `$1${REDACTED}`));
+  }
+  if (value instanceof Error) {
+    const plain = typeof value.toJSON === 'function' ? value.toJSON() : { name: value.name, message: value.message };
+    return redact(plain, secrets);
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item, secrets));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, SECRET_FIELD.test(key) ? REDACTED : redact(item, secrets)])
+    );
+  }
+  return value;
+};
+
+// Local output keeps the stack of unexpected errors
+const describe = (data, secrets) => {
+  if (data === undefined) return '';
+  if (data instanceof Error && typeof data.toJSON !== 'function') return ` ${redact(data.stack ?? data.message, secrets)}`;
+  const plain = redact(data, secrets);
+  return ` ${typeof plain === 'string' ? plain : JSON.stringify(plain)}`;
+};
+
+const writeLine = (file, line) => {
+  process.stderr.write(`${line}\n`);
+  if (!file) return;
+  try {
+    fs.appendFileSync(file, `${line}\n`);
+    fileFailed = false;
+  } catch (error) {
+    // Say so once rather than on every message
+    if (!fileFailed) process.stderr.write(`[Logger] Cannot write log file ${file}: ${error.message}\n`);
+    fileFailed = true;
+  }
+};
+
+/**
+ * Log a message.
+ * @param {string} level - One of LOG_LEVELS
+ * @param {string} name - Component logging the message ("QuoteStream")
+ * @param {string} message
+ * @param {*} [data] - Extra detail: an Error or a JSON-like value
+ */
+const log = (level, name, message, data) => {
+  const { level: threshold = DEFAULT_LEVEL, file, secrets } = loggingConfig();
+  if (isLevelEnabled(level, threshold)) {
+    writeLine(file, `${new Date().toISOString()} ${level.toUpperCase()} [${name}] ${redact(message, secrets)}${describe(data, secrets)}`);
+  }
+
+  // Messages logged while handling a request only go to the session that sent it
+  const own = getRequestContext()?.logSink;
+  const targets = own ? [own] : [...sinks];
+  if (targets.length === 0) return;
+  const entry = {
+    level,
+    logger: name,
+    data: data === undefined ? redact(message, secrets) : { message: redact(message, secrets), data: redact(data, secrets) }
+  };
+  for (const sink of targets) sink(entry);
+};
+
+/**
+ * Create a logger for a component.
+ * @param {string} name - Component name, shown as [name] and sent as the MCP logger
+ * @returns {Object} - One method per level: logger.warning(message, data)
+ */
+const createLogger = (name) =>
+  Object.fromEntries(LOG_LEVELS.map((level) => [level, (message, data) => log(level, name, message, data)]));
+
+/**
+ * Receive every message logged outside a request, whatever logging.level says.
+ * Background work such as the shared quote stream serves every session, so
+ * only a session that has the process to itself (stdio) should register.
+ * @param {Function} sink - ({ level, logger, data }) => void; must not throw or log
+ */
+const addLogSink = (sink) => {
+  sinks.add(sink);
+};
+
+/**
+ * @param {Function} sink - A sink passed to addLogSink()
+ */
+const removeLogSink = (sink) => {
+  sinks.delete(sink);
+};
+
+export { LOG_LEVELS, isLevelEnabled, redact, log, createLogger, addLogSink, removeLogSink };
@@ -0,0 +1,165 @@
+/**
+ * Prometheus metrics for the MCP and streaming servers, served on /metrics in
+ * the text exposition format. Counters and histograms are kept here as calls
+ * happen; gauges such as open sessions are read from their owners when the
+ * metrics are scraped (see registerGauge()). Each process reports its own.
+ */
+import { getCacheStats } from './cache.js';
+import { InsightSentryError } from './errors.js';
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]; // seconds
+
+const METRICS = {
+  toolCalls: {
+    name: 'insightsentry_tool_calls_total',
+    type: 'counter',
+    help: 'Tool calls by tool and outcome (success or error)'
+  },
+  toolErrors: {
+    name: 'insightsentry_tool_errors_total',
+    type: 'counter',
+    help: 'Failed tool calls by tool and error type'
+  },
+  toolDuration: {
+    name: 'insightsentry_tool_call_duration_seconds',
+    type: 'histogram',
+    help: 'Tool call latency in seconds'
+  },
+  upstreamConnections: {
+    name: 'insightsentry_websocket_upstream_connections',
+    type: 'gauge',
+    help: 'Open WebSocket connections to InsightSentry by feed'
+  }
+};
+
+const series = new Map(); // metric name -> Map(label key -> { labels, value } or histogram state)
+const gauges = new Map(); // metric name -> { help, collectors: Set }
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const entryFor = (metric, labels, create) => {
+  const entries = series.get(metric.name) ?? new Map();
+  series.set(metric.name, entries);
+  const key = labelKey(labels);
+  if (!entries.has(key)) entries.set(key, { labels, ...create() });
+  return entries.get(key);
+};
+
+const add = (metric, labels, delta) => {
+  entryFor(metric, labels, () => ({ value: 0 })).value += delta;
+};
+
+/**
+ * Count a finished tool call.
+ * @param {string} tool - Tool name
+ * @param {number} durationMs - How long the call took
+ * @param {Error} [error] - The failure, for failed calls; InsightSentry errors are counted by type
+ */
+const recordToolCall = (tool, durationMs, error) => {
+  add(METRICS.toolCalls, { tool, outcome: error ? 'error' : 'success' }, 1);
+  if (error) add(METRICS.toolErrors, { tool, type: error instanceof InsightSentryError ? error.type : 'internal' }, 1);
+
+  const histogram = entryFor(METRICS.toolDuration, { tool }, () => ({
+    buckets: DURATION_BUCKETS.map(() => 0),
+    sum: 0,
+    count: 0
+  }));
+  const seconds = durationMs / 1000;
+  DURATION_BUCKETS.forEach((bound, index) => {
+    if (seconds <= bound) histogram.buckets[index] += 1;
+  });
+  histogram.sum += seconds;
+  histogram.count += 1;
+};
+
+/**
+ * Count a WebSocket connection to InsightSentry while it is open. Listeners are
+ * used because the streaming server replaces onclose when it pipes the socket.
+ * @param {WebSocket} socket - A connecting socket
+ * @param {string} feed - 'live' or 'newsfeed'
+ */
+const trackUpstreamSocket = (socket, feed) => {
+  socket.addEventListener('open', () => {
+    add(METRICS.upstreamConnections, { feed }, 1);
+    socket.addEventListener('close', () => add(METRICS.upstreamConnections, { feed }, -1), { once: true });
+  }, { once: true });
+};
+
+/**
+ * Report a gauge read when the metrics are scraped. Several owners may report
+ * the same gauge (one per server instance); their samples are listed together.
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Function} collect - () => Array<{ labels, value }>
+ * @returns {Function} - Stops reporting this owner's samples
+ */
+const registerGauge = (name, help, collect) => {
+  const gauge = gauges.get(name) ?? { help, collectors: new Set() };
+  gauges.set(name, gauge);
+  gauge.collectors.add(collect);
+  return () => {
+    gauge.collectors.delete(collect);
+    if (gauge.collectors.size === 0) gauges.delete(name);
+  };
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+const block = (name, type, help, lines) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines];
+
+const sampleLines = (name, samples) =>
+  samples.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+
+const histogramLines = (name, entries) => entries.flatMap(({ labels, buckets, sum, count }) => [
+  ...DURATION_BUCKETS.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${buckets[index]}`),
+  `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+  `${name}_sum${formatLabels(labels)} ${sum}`,
+  `${name}_count${formatLabels(labels)} ${count}`
+]);
+
+const cacheLines = () => {
+  const { entries, hits, misses } = getCacheStats();
+  const lookups = hits + misses;
+  return [
+    ...block('insightsentry_cache_hits_total', 'counter', 'Response cache hits', [`insightsentry_cache_hits_total ${hits}`]),
+    ...block('insightsentry_cache_misses_total', 'counter', 'Response cache misses', [`insightsentry_cache_misses_total ${misses}`]),
+    ...block('insightsentry_cache_hit_ratio', 'gauge', 'Share of response cache lookups served from the cache', [
+      `insightsentry_cache_hit_ratio ${lookups ? hits / lookups : 0}`
+    ]),
+    ...block('insightsentry_cache_entries', 'gauge', 'Responses held in the in-memory cache', [`insightsentry_cache_entries ${entries}`])
+  ];
+};
+
+/**
+ * Render every metric in the Prometheus text format.
+ * @returns {string}
+ */
+const renderMetrics = () => {
+  const lines = [];
+  for (const metric of Object.values(METRICS)) {
+    const entries = [...(series.get(metric.name)?.values() ?? [])];
+    const body = metric.type === 'histogram' ? histogramLines(metric.name, entries) : sampleLines(metric.name, entries);
+    lines.push(...block(metric.name, metric.type, metric.help, body));
+  }
+  lines.push(...cacheLines());
+  for (const [name, { help, collectors }] of gauges) {
+    lines.push(...block(name, 'gauge', help, [...collectors].flatMap((collect) => sampleLines(name, collect()))));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Forget the counters and histograms (registered gauges stay).
+ */
+const resetMetrics = () => {
+  series.clear();
+};
+
+export { recordToolCall, trackUpstreamSocket, registerGauge, renderMetrics, resetMetrics };
@@ -0,0 +1,669 @@
+/**
+ * JSON Schemas describing the tool results. Tools declare them as
+ * `definition.function.outputSchema`; the MCP server advertises them and
+ * returns the result as `structuredContent`, so clients get typed data.
+ *
+ * The schemas list the fields agents rely on and leave additional properties
+ * open: new upstream fields are fine, while a renamed, retyped or missing
+ * field shows up as a violation (see checkToolResult in lib/validation.js).
+ * Fields the tools compute from possibly missing upstream values are nullable.
+ */
+
+/**
+ * @param {string} type - JSON Schema type
+ * @returns {Object} - Schema accepting the type or null
+ */
+const nullable = (type) => ({ type: [type, 'null'] });
+
+const number = nullable('number');
+const string = nullable('string');
+
+const quoteSchema = {
+  type: 'object',
+  properties: {
+    code: { type: 'string', description: 'Symbol code (e.g. NASDAQ:AAPL)' },
+    status: string,
+    lp_time: { ...number, description: 'Time of the last trade (UNIX seconds)' },
+    last_price: number,
+    change: number,
+    change_percent: number,
+    prev_close_price: number,
+    open_price: number,
+    high_price: number,
+    low_price: number,
+    volume: number,
+    bid: number,
+    ask: number,
+    bid_size: number,
+    ask_size: number
+  },
+  required: ['code', 'last_price']
+};
+
+const bulkQuotesSchema = {
+  type: 'object',
+  properties: {
+    last_update: { ...number, description: 'Time of the response (UNIX milliseconds)' },
+    total_items: number,
+    data: { type: 'array', items: quoteSchema }
+  },
+  required: ['data']
+};
+
+const barSchema = {
+  type: 'object',
+  properties: {
+    time: { type: 'number', description: 'Bar open time (UNIX seconds)' },
+    open: number,
+    high: number,
+    low: number,
+    close: number,
+    volume: number
+  },
+  required: ['time', 'open', 'high', 'low', 'close']
+};
+
+const seriesSchema = {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    bar_type: { ...string, description: 'Bar size, e.g. "1m" or "1D"' },
+    bar_end: number,
+    last_update: number,
+    series: { type: 'array', items: barSchema }
+  },
+  required: ['code', 'series']
+};
+
+/**
+ * Covers both the raw session payload and the `optimize: true` form, which
+ * moves the hours into `sessions` and the tick data into `trading_info`.
+ */
+const sessionSchema = {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    description: string,
+    type: string,
+    timezone: { type: 'string', description: 'IANA time zone of the exchange' },
+    currency_code: string,
+    last_update: number,
+    holidays: { type: 'array', items: { type: 'string' }, description: 'Market holidays (YYYYMMDD)' },
+    start_hour: string,
+    end_hour: string,
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          session: { type: 'string', description: 'Session hours, e.g. "0930-1600"' },
+          description: string,
+          session_correction: { type: 'array', items: { type: 'object' } }
+        },
+        required: ['session']
+      }
+    },
+    sessions: { type: 'object' },
+    trading_info: { type: 'object' }
+  },
+  required: ['code', 'timezone', 'holidays']
+};
+
+const financialDataSchema = {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    last_update: number,
+    data: {
+      type: 'object',
+      description: 'Financial sections (income_statement, balance_sheet, cash_flow, valuation_ratios, profitability, company_info, ...)',
+      additionalProperties: { type: 'object' }
+    }
+  },
+  required: ['code', 'data']
+};
+
+/**
+ * Shape shared by the extract tools: the symbol, the payload time and one
+ * object of metrics under `key`.
+ * @param {string} key - Name of the metrics object
+ * @param {Object} properties - Metric schemas
+ * @param {Object} [lastUpdate] - Schema of `last_update` (a nullable number by default)
+ * @returns {Object}
+ */
+const extractSchema = (key, properties, lastUpdate = number) => ({
+  type: 'object',
+  properties: {
+    symbol: { type: 'string' },
+    last_update: lastUpdate,
+    [key]: { type: 'object', properties }
+  },
+  required: ['symbol', key]
+});
+
+/**
+ * Extracts of the symbol info payload, stamped with the time of the call.
+ * @param {string} key - Name of the metrics object
+ * @param {Object} properties - Metric schemas
+ * @returns {Object}
+ */
+const symbolExtractSchema = (key, properties) =>
+  extractSchema(key, properties, { type: 'string', description: 'Time of the call (ISO 8601)' });
+
+const peadEssentialsSchema = extractSchema('essentials', {
+  earnings_per_share_diluted_fq: number,
+  earnings_per_share_diluted_fy: number,
+  earnings_quarterly: { type: 'array', items: number, description: 'Diluted EPS of the last quarters, newest first' },
+  revenue_fq: number,
+  revenue_fy: number,
+  revenue_quarterly: { type: 'array', items: number, description: 'Revenue of the last quarters, newest first' },
+  shares_outstanding: number,
+  sector: string,
+  market_cap: number
+});
+
+const valuationRatiosSchema = extractSchema('valuation', {
+  pe_ratio: number,
+  pb_ratio: number,
+  price_sales: number,
+  ev_ebitda: number,
+  roe: number,
+  roa: number,
+  operating_margin: number,
+  net_margin: number,
+  sector: string,
+  industry: string,
+  employees: number
+});
+
+const balanceSheetHealthSchema = extractSchema('health', {
+  cash_and_equivalents: number,
+  cash_and_short_term: number,
+  total_debt: number,
+  current_ratio: number,
+  debt_to_equity: number,
+  roe: number,
+  roa: number,
+  operating_margin: number,
+  operating_cf_per_share: number,
+  free_cf_per_share: number
+});
+
+const companyInfoSchema = extractSchema('company', {
+  name: { type: 'string' },
+  sector: string,
+  industry: string,
+  location: string,
+  country: string,
+  employees: number,
+  founded: number,
+  website: string,
+  ceo: string,
+  business_description: string
+});
+
+const earningsSurpriseSchema = extractSchema('earnings_analysis', {
+  latest_eps: number,
+  latest_revenue: number,
+  eps_quarterly_history: { type: 'array', items: number, description: 'Diluted EPS of the last quarters, newest first' },
+  revenue_quarterly_history: { type: 'array', items: number, description: 'Revenue of the last quarters, newest first' },
+  sector: string,
+  shares_outstanding: number,
+  market_cap_estimate: number
+});
+
+const financialHealthFlagsSchema = extractSchema('health_metrics', {
+  current_ratio: number,
+  operating_margin: number,
+  roe: number,
+  total_debt: number,
+  cash_and_equivalents: number,
+  revenue_quarterly_history: { type: 'array', items: number },
+  sector: string,
+  employees: number
+});
+
+const marketCapScreeningSchema = extractSchema('screening', {
+  shares_outstanding: number,
+  sector: string,
+  industry: string,
+  employees: number,
+  pe_ratio: number,
+  pb_ratio: number,
+  latest_eps: number,
+  annual_eps: number,
+  revenue_trends: { type: 'array', items: number },
+  eps_trends: { type: 'array', items: number }
+});
+
+const sentimentContextSchema = extractSchema('sentiment_context', {
+  sector: string,
+  industry: string,
+  employees: number,
+  pe_ratio: number,
+  pb_ratio: number,
+  price_sales: number
+});
+
+/**
+ * Exchange, quote currency and instrument type, as copied from the symbol info.
+ */
+const instrumentProperties = {
+  exchange: { type: 'string', description: 'Exchange prefix of the symbol code' },
+  currency: string,
+  instrument_type: string
+};
+
+const breakoutAnalysisSchema = symbolExtractSchema('breakout_context', {
+  ...instrumentProperties,
+  current_price: number,
+  prev_close: number,
+  price_gap_dollars: number,
+  price_gap_percent: number,
+  avg_volume: number,
+  market_cap: number,
+  daily_dollar_volume: number,
+  point_value: number,
+  min_movement: number,
+  market_open: number,
+  market_close: number,
+  all_time_high: number,
+  all_time_low: number,
+  distance_from_ath_percent: number
+});
+
+const earningsAnalysisSchema = symbolExtractSchema('earnings_analysis', {
+  next_earnings_date: { ...number, description: 'UNIX seconds' },
+  last_earnings_date: { ...number, description: 'UNIX seconds' },
+  days_to_next_earnings: number,
+  days_since_last_earnings: number,
+  market_cap: number,
+  avg_volume: number,
+  current_price: number,
+  daily_dollar_volume: number,
+  pe_ratio: number,
+  earnings_per_share: number,
+  all_time_high: number,
+  all_time_low: number,
+  distance_from_ath_percent: number
+});
+
+const newsImpactAnalysisSchema = symbolExtractSchema('news_impact_context', {
+  ...instrumentProperties,
+  description: string,
+  market_cap: number,
+  avg_volume: number,
+  daily_dollar_volume: number,
+  current_price: number,
+  pe_ratio: number,
+  earnings_per_share: number,
+  total_revenue: number,
+  all_time_high: number,
+  all_time_low: number,
+  distance_from_ath_percent: number,
+  distance_from_atl_percent: number,
+  prev_close: number,
+  recent_change_percent: number
+});
+
+const portfolioRiskAnalysisSchema = symbolExtractSchema('risk_analysis', {
+  ...instrumentProperties,
+  market_cap: number,
+  avg_volume: number,
+  current_price: number,
+  daily_dollar_volume: number,
+  all_time_high: number,
+  all_time_low: number,
+  ath_date: number,
+  atl_date: number,
+  distance_from_ath_percent: number,
+  distance_from_atl_percent: number,
+  ath_to_atl_range_percent: number,
+  point_value: number,
+  min_movement: number,
+  prev_close: number,
+  recent_change_percent: number
+});
+
+/**
+ * Covers the raw symbol info and the `optimize`, `minimal` and `sections`
+ * forms, which regroup the fields into trading_context, session_info, etc.
+ */
+const symbolInfoSchema = {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    type: string,
+    description: string,
+    currency_code: string,
+    country_code: string,
+    average_volume: number,
+    regular_close_price: number,
+    prev_close_price: number,
+    market_cap: number,
+    price_earnings_ttm: number,
+    earnings_release_date: number,
+    earnings_release_next_date: number,
+    all_time_high: number,
+    all_time_low: number,
+    option_info: { type: 'array', items: { type: 'object' } },
+    trading_context: { type: 'object' },
+    session_info: { type: 'object' },
+    strategy_context: { type: 'object' },
+    fundamentals: { type: 'object' },
+    extremes: { type: 'object' }
+  },
+  required: ['code']
+};
+
+const tradingEssentialsSchema = symbolExtractSchema('trading_data', {
+  exchange: { type: 'string' },
+  currency: string,
+  type: string,
+  average_volume: number,
+  current_price: number,
+  prev_close: number,
+  price_change: number,
+  price_change_percent: number,
+  point_value: number,
+  min_movement: number,
+  market_open: number,
+  market_close: number
+});
+
+const earningsTimingSchema = symbolExtractSchema('earnings_data', {
+  next_earnings_date: number,
+  last_earnings_date: number,
+  market_cap: number,
+  avg_volume: number,
+  current_price: number,
+  days_to_next: number,
+  days_since_last: number
+});
+
+const fundamentalContextSchema = symbolExtractSchema('fundamental_data', {
+  description: string,
+  exchange: { type: 'string' },
+  currency: string,
+  market_cap: number,
+  avg_volume: number,
+  current_price: number,
+  pe_ratio: number,
+  all_time_high: number,
+  all_time_low: number,
+  distance_from_ath_percent: number,
+  distance_from_atl_percent: number
+});
+
+const riskAssessmentSchema = symbolExtractSchema('risk_data', {
+  market_cap: number,
+  avg_volume: number,
+  current_price: number,
+  daily_dollar_volume: number,
+  price_extremes: {
+    type: 'object',
+    properties: { all_time_high: number, all_time_low: number, ath_date: number, atl_date: number }
+  },
+  trading_mechanics: {
+    type: 'object',
+    properties: { point_value: number, min_movement: number }
+  }
+});
+
+const sessionInfoSchema = symbolExtractSchema('session_data', {
+  exchange: { type: 'string' },
+  instrument_type: string,
+  market_open: number,
+  market_close: number
+});
+
+/**
+ * Session hours as copied by the session tools from the session payload.
+ */
+const sessionHoursProperties = {
+  timezone: { type: 'string', description: 'IANA time zone of the exchange' },
+  regular_session: { description: 'Regular session hours, when the upstream payload has them' },
+  extended_session: { description: 'Extended session hours, when the upstream payload has them' }
+};
+
+const sessionCalendarSchema = {
+  type: 'object',
+  properties: {
+    ...sessionHoursProperties,
+    holidays: sessionSchema.properties.holidays,
+    details: sessionSchema.properties.details
+  },
+  required: ['timezone', 'holidays', 'details']
+};
+
+const marketStatusSchema = {
+  type: 'object',
+  properties: {
+    symbol: { type: 'string' },
+    timestamp: { type: 'string', description: 'Time the status applies to (ISO 8601)' },
+    market_status: sessionCalendarSchema
+  },
+  required: ['symbol', 'market_status']
+};
+
+const tradingCalendarSchema = {
+  type: 'object',
+  properties: {
+    symbol: { type: 'string' },
+    period: {
+      type: 'object',
+      properties: {
+        start: { type: 'string', description: 'YYYY-MM-DD' },
+        end: { type: 'string', description: 'YYYY-MM-DD' }
+      },
+      required: ['start', 'end']
+    },
+    session_data: sessionCalendarSchema
+  },
+  required: ['symbol', 'period', 'session_data']
+};
+
+const executionTimingSchema = {
+  type: 'object',
+  properties: {
+    symbol: { type: 'string' },
+    strategy_type: { type: 'string' },
+    execution_timing: {
+      type: 'object',
+      properties: {
+        ...sessionHoursProperties,
+        current_time: { type: 'string', description: 'Time of the call (ISO 8601)' }
+      },
+      required: ['timezone', 'current_time']
+    }
+  },
+  required: ['symbol', 'execution_timing']
+};
+
+const sessionRiskSchema = {
+  type: 'object',
+  properties: {
+    symbol: { type: 'string' },
+    strategy: { type: 'string' },
+    timestamp: { type: 'string', description: 'Time of the call (ISO 8601)' },
+    session_data: sessionCalendarSchema
+  },
+  required: ['symbol', 'session_data']
+};
+
+/**
+ * @param {string} key - Name of the array
+ * @param {Object} items - Schema of the entries
+ * @param {Object} [properties] - Other top-level fields
+ * @returns {Object} - Schema of an object listing entries under `key`
+ */
+const listSchema = (key, items, properties = {}) => ({
+  type: 'object',
+  properties: { ...properties, [key]: { type: 'array', items } },
+  required: [key]
+});
+
+const dataSourcesSchema = listSchema('data', {
+  type: 'object',
+  properties: { id: { type: 'string' }, name: string, type: string },
+  required: ['id']
+});
+
+const economicDataSourcesSchema = listSchema('data', {
+  type: 'object',
+  properties: { id: { type: 'string', description: 'Series id for fetch_economic_data' }, name: string, frequency: string },
+  required: ['id']
+});
+
+const exchangesSchema = listSchema('exchanges', {
+  type: 'object',
+  properties: { code: { type: 'string' }, name: string, country: string },
+  required: ['code']
+});
+
+const economicDataSchema = listSchema('series', {
+  type: 'object',
+  properties: { time: { type: 'number', description: 'UNIX seconds' }, value: number },
+  required: ['time']
+}, { id: { type: 'string' }, last_update: number });
+
+const economicEventsHistorySchema = listSchema('history', {
+  type: 'object',
+  properties: { date: { type: 'number', description: 'UNIX seconds' }, actual: number, forecast: number, previous: number },
+  required: ['date']
+}, { id: { type: 'string' } });
+
+const newsSchema = listSchema('data', {
+  type: 'object',
+  properties: {
+    id: { type: ['string', 'number'] },
+    title: string,
+    content: string,
+    timestamp: { ...number, description: 'UNIX seconds' },
+    symbols: { type: 'array', items: { type: 'string' } },
+    source: string
+  },
+  required: ['title']
+}, { last_update: number, total_items: number, current_items: number });
+
+const dividendEventsSchema = listSchema('data', {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    ex_date: { ...number, description: 'UNIX seconds' },
+    payment_date: { ...number, description: 'UNIX seconds' },
+    amount: number
+  },
+  required: ['code']
+}, { month: string, total_items: number });
+
+const bulkMetricsSchema = listSchema('data', {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    market_cap: number,
+    volume: number,
+    change_percent: number,
+    price_earnings_ttm: number
+  },
+  required: ['code']
+}, { exchange: string, last_update: number });
+
+const bulkExchangeQuotesSchema = listSchema('data', quoteSchema, { exchange: string, last_update: number });
+
+const searchSchema = listSchema('symbols', {
+  type: 'object',
+  properties: { code: { type: 'string' }, name: string, type: string, exchange: string, country: string },
+  required: ['code']
+}, { current_page: number, has_more: { type: 'boolean' } });
+
+const economicEventsSchema = listSchema('data', {
+  type: 'object',
+  properties: {
+    id: { type: ['string', 'number'] },
+    title: string,
+    country: string,
+    importance: string,
+    date: { ...number, description: 'UNIX seconds' },
+    previous: number,
+    forecast: number,
+    actual: number
+  },
+  required: ['title']
+}, { last_update: number, total_items: number });
+
+const counterProperties = { requests: { type: 'number' }, errors: { type: 'number' } };
+
+const quotaSchema = {
+  type: 'object',
+  properties: { limit: number, remaining: number, reset_at: string, updated_at: string }
+};
+
+const apiUsageSchema = {
+  type: 'object',
+  properties: {
+    started_at: { type: 'string' },
+    updated_at: string,
+    quota: quotaSchema,
+    totals: {
+      type: 'object',
+      properties: { ...counterProperties, cache_hits: { type: 'number' }, coalesced: { type: 'number' } }
+    },
+    endpoints: { type: 'object', additionalProperties: { type: 'object', properties: counterProperties } },
+    tools: { type: 'object', additionalProperties: { type: 'object', properties: counterProperties } },
+    keys: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: { ...counterProperties, quota: quotaSchema, quarantined_until: string, quarantine_reason: string }
+      }
+    },
+    soft_limit: {
+      type: 'object',
+      properties: { threshold: number, reached: { type: 'boolean' } }
+    }
+  },
+  required: ['quota', 'totals', 'soft_limit']
+};
+
+export {
+  quoteSchema,
+  bulkQuotesSchema,
+  seriesSchema,
+  sessionSchema,
+  financialDataSchema,
+  peadEssentialsSchema,
+  valuationRatiosSchema,
+  balanceSheetHealthSchema,
+  companyInfoSchema,
+  earningsSurpriseSchema,
+  financialHealthFlagsSchema,
+  marketCapScreeningSchema,
+  sentimentContextSchema,
+  breakoutAnalysisSchema,
+  earningsAnalysisSchema,
+  newsImpactAnalysisSchema,
+  portfolioRiskAnalysisSchema,
+  symbolInfoSchema,
+  tradingEssentialsSchema,
+  earningsTimingSchema,
+  fundamentalContextSchema,
+  riskAssessmentSchema,
+  sessionInfoSchema,
+  marketStatusSchema,
+  tradingCalendarSchema,
+  executionTimingSchema,
+  sessionRiskSchema,
+  dataSourcesSchema,
+  economicDataSourcesSchema,
+  exchangesSchema,
+  economicDataSchema,
+  economicEventsHistorySchema,
+  newsSchema,
+  dividendEventsSchema,
+  bulkMetricsSchema,
+  bulkExchangeQuotesSchema,
+  searchSchema,
+  economicEventsSchema,
+  apiUsageSchema
+};
@@ -0,0 +1,95 @@
+/**
+ * Named tool profiles. A profile limits the tools an MCP server exposes to
+ * those relevant to one trading strategy (see
+ * docs/financial-tools-strategy-mapping.md), so each agent sees a short,
+ * focused tool list. The default profile, 'all', exposes every tool.
+ */
+
+/**
+ * Tools included in every profile.
+ */
+const COMMON_TOOLS = ['search_stocks', 'get_latest_quote', 'get_api_usage'];
+
+const TOOL_PROFILES = {
+  pead: {
+    description: 'Post-Earnings Announcement Drift: earnings data, surprise history and timing around the release',
+    tools: [
+      'fetch_pead_essentials',
+      'fetch_earnings_surprise_data',
+      'fetch_earnings_analysis',
+      'fetch_earnings_timing',
+      'get_ohlcv_time_series',
+      'get_market_status',
+      'get_execution_timing',
+      'retrieve_latest_news'
+    ]
+  },
+  orb: {
+    description: 'Opening Range Breakout: intraday bars, gaps, volatility and session timing',
+    tools: [
+      'fetch_breakout_analysis',
+      'fetch_trading_essentials',
+      'get_ohlcv_time_series',
+      'bulk_l1_quotes',
+      'get_market_status',
+      'get_trading_calendar',
+      'get_execution_timing',
+      'fetch_session_info',
+      'get_session_information'
+    ]
+  },
+  supervisor: {
+    description: 'Supervisor risk management: red flags, balance sheet health, position sizing and liquidity',
+    tools: [
+      'fetch_financial_health_flags',
+      'fetch_market_cap_screening',
+      'fetch_balance_sheet_health',
+      'fetch_risk_assessment',
+      'fetch_portfolio_risk_analysis',
+      'get_session_risk_data',
+      'get_market_status',
+      'bulk_l1_quotes'
+    ]
+  },
+  sentiment: {
+    description: 'Sentiment-pullback: news flow plus the valuation context needed to weigh it',
+    tools: [
+      'fetch_sentiment_context',
+      'fetch_valuation_ratios',
+      'fetch_news_impact_analysis',
+      'fetch_fundamental_context',
+      'retrieve_latest_news',
+      'retrieve_live_news_feed',
+      'get_ohlcv_time_series'
+    ]
+  },
+  macro: {
+    description: 'Macro overlay: sector classification, market cap exposure and the economic calendar',
+    tools: [
+      'fetch_company_info',
+      'fetch_market_cap_screening',
+      'fetch_economic_data',
+      'get_weekly_economic_events',
+      'get_economic_events_history',
+      'get_economic_data_sources'
+    ]
+  }
+};
+
+const PROFILE_NAMES = ['all', ...Object.keys(TOOL_PROFILES)];
+
+/**
+ * Names of the tools in a profile.
+ * @param {string} profile - Profile name
+ * @returns {Array<string>|null} - Tool names, or null for 'all' (no restriction)
+ */
+const getProfileToolNames = (profile) => {
+  if (profile === 'all') return null;
+  const definition = TOOL_PROFILES[profile];
+  if (!definition) {
+    throw new Error(`Unknown tool profile "${profile}" (expected one of: ${PROFILE_NAMES.join(', ')})`);
+  }
+  return [...new Set([...COMMON_TOOLS, ...definition.tools])];
+};
+
+export { COMMON_TOOLS, TOOL_PROFILES, PROFILE_NAMES, getProfileToolNames };
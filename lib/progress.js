@@ -0,0 +1,51 @@
+/**
+ * Progress reporting for long-running calls.
+ * When the MCP client asks for progress (a progressToken in the request's
+ * _meta), the server puts a reporter in the request context as onProgress;
+ * tools and the HTTP client call reportProgress whether or not anyone listens.
+ * The reporter only forwards increasing values and at most one notification
+ * per MIN_INTERVAL_MS, except the one that completes the total.
+ */
+import { getRequestContext } from './request-context.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Progress');
+
+const MIN_INTERVAL_MS = 250;
+
+/**
+ * Report progress of the call currently executing, if it is being reported.
+ * @param {Object} update
+ * @param {number} update.progress - Work done so far
+ * @param {number} [update.total] - Total work, when known
+ * @param {string} [update.message] - What is happening
+ */
+const reportProgress = (update) => {
+  getRequestContext()?.onProgress?.(update);
+};
+
+/**
+ * Build the onProgress function of a request context.
+ * @param {Function} send - async ({ progress, total, message }) => void, sends notifications/progress
+ * @param {Object} [options]
+ * @param {number} [options.minIntervalMs=MIN_INTERVAL_MS]
+ * @returns {Function} - ({ progress, total, message }) => void
+ */
+const createProgressReporter = (send, { minIntervalMs = MIN_INTERVAL_MS } = {}) => {
+  let lastProgress = -Infinity;
+  let lastSentAt = 0;
+
+  return ({ progress, total, message }) => {
+    if (!(progress > lastProgress)) return;
+    const now = Date.now();
+    const complete = total !== undefined && progress >= total;
+    if (!complete && now - lastSentAt < minIntervalMs) return;
+
+    lastProgress = progress;
+    lastSentAt = now;
+    Promise.resolve(send({ progress, ...(total !== undefined && { total }), ...(message && { message }) }))
+      .catch((error) => logger.warning('Failed to send progress notification', error));
+  };
+};
+
+export { reportProgress, createProgressReporter };
@@ -0,0 +1,279 @@
+/**
+ * MCP prompts for the trading workflows documented in
+ * docs/financial-tools-strategy-mapping.md. Each prompt resolves the symbol,
+ * runs the workflow's tools and returns the vetted instructions followed by
+ * the tool results, so every agent starts a workflow from the same data and
+ * the same checklist.
+ *
+ * Tool results share the response budget: each step gets an equal part of
+ * it, and a truncated result carries a continue_response cursor. A step whose tool is
+ * disabled, not allowed for the client, or which fails, is reported in place
+ * of its result rather than failing the prompt.
+ *
+ * The tools only serve current data (latest earnings, today's news, the
+ * current session), so a prompt's date goes into the instructions, which tell
+ * the agent what the prefilled data does and does not cover.
+ */
+import { isToolAllowed } from './access.js';
+import { getConfig, isToolEnabled } from './config.js';
+import { CancelledError, InsightSentryError, InvalidParamsError } from './errors.js';
+import { runWithRequestContext } from './request-context.js';
+import { applyResponseBudget, describeContinuation } from './response-budget.js';
+import { resolveSymbol } from './symbols.js';
+import { validateToolArguments } from './validation.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RISK_BUDGET_PATTERN = /^\d+(\.\d+)?%?$/;
+
+const SYMBOL_ARGUMENT = {
+  name: 'symbol',
+  description: 'Symbol to analyse: an EXCHANGE:TICKER code, a bare ticker or a company name',
+  required: true
+};
+const RISK_BUDGET_ARGUMENT = {
+  name: 'risk_budget',
+  description: 'Maximum loss accepted on the trade: an amount in account currency (500) or a share of equity (1%)',
+  required: false
+};
+
+/**
+ * Warn that the prefilled data is current when the workflow targets a date.
+ * @param {string} [date] - YYYY-MM-DD
+ * @returns {Array<string>} - The line to add, if any
+ */
+const dateNote = (date) =>
+  date ? [`The tool results below were fetched now, not as of ${date}: say which of them may not hold for ${date}.`] : [];
+
+/**
+ * Describe the risk budget for the instructions.
+ * @param {string} [riskBudget]
+ * @returns {string}
+ */
+const riskBudgetText = (riskBudget) => {
+  if (!riskBudget) return 'No risk budget was given: state the stop distance and leave sizing to the supervisor.';
+  const budget = riskBudget.endsWith('%') ? `${riskBudget} of equity` : `${riskBudget} in account currency`;
+  return `Size the position so that a stop-out loses at most ${budget}.`;
+};
+
+const WORKFLOW_PROMPTS = [
+  {
+    name: 'pead_workflow',
+    title: 'Post-earnings announcement drift',
+    description: 'PEAD workflow: earnings essentials, surprise history and release timing, with a drift trade plan.',
+    arguments: [
+      SYMBOL_ARGUMENT,
+      { name: 'date', description: 'Earnings release date (YYYY-MM-DD); defaults to the latest release', required: false },
+      RISK_BUDGET_ARGUMENT
+    ],
+    steps: [
+      { tool: 'fetch_pead_essentials', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'fetch_earnings_surprise_data', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'fetch_earnings_timing', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'get_execution_timing', arguments: ({ symbol }) => ({ symbol, strategy_type: 'earnings' }) }
+    ],
+    instructions: ({ symbol, date, risk_budget }) => [
+      `Run the post-earnings announcement drift (PEAD) workflow for ${symbol}, for the earnings release ${date ? `of ${date}` : 'most recently reported'}.`,
+      ...dateNote(date),
+      '1. From the essentials and the surprise history, compute the EPS and revenue surprise of the release and how it compares with the previous quarters.',
+      '2. Decide the drift direction: trade only surprises that are large relative to the history and confirmed by revenue.',
+      '3. Use the earnings timing and execution timing to pick the entry window after the release, avoiding the first minutes of the session.',
+      `4. ${riskBudgetText(risk_budget)}`,
+      '5. Answer with: signal (long, short or none), surprise figures, entry window, stop, target and holding period, and the main risk to the thesis.'
+    ].join('\n')
+  },
+  {
+    name: 'sentiment_pullback_workflow',
+    title: 'Sentiment pullback',
+    description: 'Sentiment-pullback workflow: valuation context and news impact, with a pullback entry plan.',
+    arguments: [
+      SYMBOL_ARGUMENT,
+      { name: 'date', description: 'Date of the news being traded (YYYY-MM-DD); defaults to today', required: false },
+      RISK_BUDGET_ARGUMENT
+    ],
+    steps: [
+      { tool: 'fetch_sentiment_context', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'fetch_valuation_ratios', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'fetch_news_impact_analysis', arguments: ({ symbol }) => ({ symbol }) }
+    ],
+    instructions: ({ symbol, date, risk_budget }) => [
+      `Run the sentiment-pullback workflow for ${symbol} on the news of ${date ?? 'today'}.`,
+      ...dateNote(date),
+      '1. Weigh the news sentiment by the valuation tier: positive news on an expensive name carries less upside, negative news on a cheap one less downside.',
+      '2. Use the news impact analysis to judge whether the move is an overreaction worth fading or information worth following.',
+      '3. Only plan an entry on a pullback against the sentiment move, never at the extreme of the move.',
+      `4. ${riskBudgetText(risk_budget)}`,
+      '5. Answer with: adjusted sentiment score, trade direction or none, pullback entry level, stop, target, and what would invalidate the setup.'
+    ].join('\n')
+  },
+  {
+    name: 'orb_workflow',
+    title: 'Opening range breakout',
+    description: 'ORB workflow: session status, gap and volatility context, intraday bars and execution timing, with a breakout plan.',
+    arguments: [
+      SYMBOL_ARGUMENT,
+      { name: 'date', description: 'Trading session (YYYY-MM-DD); defaults to the current session', required: false },
+      RISK_BUDGET_ARGUMENT
+    ],
+    steps: [
+      { tool: 'get_market_status', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'fetch_breakout_analysis', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'fetch_trading_essentials', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'get_ohlcv_time_series', arguments: ({ symbol }) => ({ symbol, bar_type: 'minute', bar_interval: 5 }) },
+      { tool: 'get_execution_timing', arguments: ({ symbol }) => ({ symbol, strategy_type: 'momentum' }) }
+    ],
+    instructions: ({ symbol, date, risk_budget }) => [
+      `Run the opening range breakout (ORB) workflow for ${symbol} for the ${date ? `session of ${date}` : 'current session'}.`,
+      ...dateNote(date),
+      '1. Check the market status first: do not plan a trade for a closed market or a holiday.',
+      '2. Measure the opening range (high and low of the first 30 minutes) from the 5-minute bars, and compare its width with the typical volatility.',
+      '3. Use the gap and market structure from the breakout analysis to pick the breakout side; skip ranges wider than usual volatility allows.',
+      '4. Use the execution timing for the entry window and the time after which no new entry is taken.',
+      `5. ${riskBudgetText(risk_budget)}`,
+      '6. Answer with: range high and low, breakout side, entry trigger, stop (other side or middle of the range), target, and the exit time.'
+    ].join('\n')
+  },
+  {
+    name: 'supervisor_risk_review',
+    title: 'Supervisor risk review',
+    description: 'Supervisor workflow: red flags, balance sheet health, market cap screening and session risk, with an approve, reduce or halt decision.',
+    arguments: [
+      SYMBOL_ARGUMENT,
+      { name: 'date', description: 'Date the review applies to (YYYY-MM-DD); defaults to today', required: false },
+      RISK_BUDGET_ARGUMENT
+    ],
+    steps: [
+      { tool: 'fetch_financial_health_flags', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'fetch_balance_sheet_health', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'fetch_market_cap_screening', arguments: ({ symbol }) => ({ symbol, position_sizing_focus: true }) },
+      { tool: 'fetch_risk_assessment', arguments: ({ symbol }) => ({ symbol }) },
+      { tool: 'get_session_risk_data', arguments: ({ symbol }) => ({ symbol }) }
+    ],
+    instructions: ({ symbol, date, risk_budget }) => [
+      `Review the risk of trading ${symbol} as the supervisor, as of ${date ?? 'today'}.`,
+      ...dateNote(date),
+      '1. Count the red flags: with 3 or more, the decision is HALT_TRADING whatever the strategy signal.',
+      '2. Check debt, liquidity and cash from the balance sheet health; weak liquidity caps the position size.',
+      '3. Use the market cap screening to check eligibility and the maximum position for the size tier.',
+      '4. Use the session risk data for overnight and holiday exposure.',
+      `5. ${risk_budget ? `The strategy proposes risking ${risk_budget}${risk_budget.endsWith('%') ? ' of equity' : ' in account currency'}: approve, reduce or reject that budget.` : 'No risk budget was proposed: state the maximum budget you would approve.'}`,
+      '6. Answer with: decision (APPROVE, REDUCE or HALT_TRADING), maximum position size, the flags behind the decision, and what to monitor.'
+    ].join('\n')
+  }
+];
+
+/**
+ * Prompts for prompts/list.
+ * @returns {Array<Object>}
+ */
+const listPrompts = () =>
+  WORKFLOW_PROMPTS.map(({ name, title, description, arguments: promptArguments }) => ({
+    name,
+    title,
+    description,
+    arguments: promptArguments
+  }));
+
+/**
+ * Check the prompt arguments.
+ * @param {Object} prompt - Entry of WORKFLOW_PROMPTS
+ * @param {Object} args - Arguments sent by the client (strings)
+ * @throws {InvalidParamsError}
+ */
+const checkPromptArguments = (prompt, args) => {
+  const problems = [];
+  for (const { name, required } of prompt.arguments) {
+    if (required && !args[name]?.trim()) problems.push(`${name} is required`);
+  }
+  if (args.date && !DATE_PATTERN.test(args.date)) problems.push(`date must be YYYY-MM-DD (got "${args.date}")`);
+  if (args.risk_budget && !RISK_BUDGET_PATTERN.test(args.risk_budget)) {
+    problems.push(`risk_budget must be an amount (500) or a percentage (1%) (got "${args.risk_budget}")`);
+  }
+  if (problems.length > 0) {
+    throw new InvalidParamsError(`Invalid arguments for prompt ${prompt.name}: ${problems.join('; ')}`);
+  }
+};
+
+/**
+ * Run one workflow step and describe its outcome as prompt text.
+ * @param {Object} step - { tool, arguments }
+ * @param {Object} args - Prompt arguments with the resolved symbol
+ * @param {Object} options - { tools, client, maxBytes }: discovered tools, the client getting the prompt
+ *   and the step's share of the response budget
+ * @param {Object} controls - Request context fields of the MCP request ({ signal, logSink })
+ * @returns {Promise<string>}
+ */
+const runStep = async (step, args, { tools, client, maxBytes }, controls) => {
+  const tool = tools.find((candidate) => candidate.definition.function.name === step.tool);
+  const toolArgs = step.arguments(args);
+  const heading = `${step.tool} ${JSON.stringify(toolArgs)}`;
+  // The same rules as tools/list: tools.profile, tools.enabled and tools.disabled, then the client's allowlist
+  if (!tool || !isToolEnabled(step.tool)) {
+    return `${heading}: not run, the tool is disabled on this server.`;
+  }
+  if (!isToolAllowed(client, step.tool)) {
+    return `${heading}: not run, this client is not allowed to call the tool.`;
+  }
+
+  const context = { toolName: step.tool, priority: tool.priority ?? 'normal', ...controls };
+  try {
+    const result = await runWithRequestContext(context, () =>
+      tool.function(validateToolArguments(tool.definition.function, toolArgs))
+    );
+    const { value, continuation } = applyResponseBudget(result, { maxBytes, render: JSON.stringify });
+    return [
+      `${heading}:`,
+      JSON.stringify(value),
+      ...(continuation ? [describeContinuation(continuation, maxBytes)] : [])
+    ].join('\n');
+  } catch (error) {
+    if (!(error instanceof InsightSentryError)) throw error;
+    return `${heading} failed: ${JSON.stringify({ error: error.toJSON() })}`;
+  }
+};
+
+/**
+ * Build a workflow prompt with its tool results.
+ * @param {string} name - Prompt name
+ * @param {Object} [args] - Prompt arguments
+ * @param {Array<Object>} tools - Discovered tools
+ * @param {Object} [controls] - Abort signal, progress reporter and log sink of the MCP request ({ signal, onProgress, logSink });
+ *   progress counts the workflow steps done. client is the authenticated client, whose allowlist limits the steps run
+ * @returns {Promise<{ description: string, messages: Array<Object> }>} - The prompts/get result
+ * @throws {InvalidParamsError} - For an unknown prompt or invalid arguments
+ * @throws {CancelledError} - When the request was cancelled
+ */
+const getPrompt = async (name, args, tools, { onProgress, client = null, ...controls } = {}) => {
+  const prompt = WORKFLOW_PROMPTS.find((candidate) => candidate.name === name);
+  if (!prompt) {
+    throw new InvalidParamsError(`Unknown prompt "${name}"`);
+  }
+  checkPromptArguments(prompt, args ?? {});
+
+  const { code } = await runWithRequestContext({ toolName: 'search_stocks', priority: 'normal', ...controls }, () =>
+    resolveSymbol(args.symbol)
+  );
+  const resolvedArgs = { ...args, symbol: code };
+  const total = prompt.steps.length;
+  const maxBytes = Math.floor(getConfig().responses.maxBytes / total);
+  let done = 0;
+  const results = await Promise.all(prompt.steps.map(async (step) => {
+    const result = await runStep(step, resolvedArgs, { tools, client, maxBytes }, controls);
+    done += 1;
+    onProgress?.({ progress: done, total, message: `${step.tool} done (${done} of ${total} steps)` });
+    return result;
+  }));
+  if (controls.signal?.aborted) {
+    throw new CancelledError(`Prompt ${name} was cancelled`);
+  }
+
+  const text = (value) => ({ role: 'user', content: { type: 'text', text: value } });
+  return {
+    description: `${prompt.title} for ${code}`,
+    messages: [
+      text(prompt.instructions(resolvedArgs)),
+      text(`Tool results for ${code}, fetched ${new Date().toISOString()}:\n\n${results.join('\n\n')}`)
+    ]
+  };
+};
+
+export { WORKFLOW_PROMPTS, listPrompts, getPrompt };
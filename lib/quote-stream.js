@@ -0,0 +1,265 @@
+/**
+ * Live quote resources (insightsentry://quotes/{code}).
+ * While clients are subscribed, one upstream real-time stream carries a quote
+ * and a 1-minute bar subscription for every subscribed code; each message
+ * updates the latest snapshot of its code and notifies the subscribed URIs.
+ * Every session subscribes with its own listener, so several MCP sessions
+ * share the stream.
+ * The stream is reopened with the new code list when subscriptions change and
+ * closed when the last subscription goes.
+ *
+ * The stream needs a WebSocket key: websocket.apiKey when set, otherwise one
+ * fetched from /v2/websocket-key (direct auth mode only).
+ */
+import { getConfig } from './config.js';
+import { AuthenticationError, InvalidParamsError } from './errors.js';
+import { resolveSymbol } from './symbols.js';
+import { createLogger } from './logger.js';
+import { apiTool as realTimeDataTool } from '../tools/insightsentry/insight-sentry/real-time-data-streaming.js';
+import { getWebSocketKey } from '../tools/insightsentry/insight-sentry/get-websocket-key.js';
+
+const QUOTE_URI_TEMPLATE = 'insightsentry://quotes/{code}';
+const QUOTE_URI_PATTERN = /^insightsentry:\/\/quotes\/([^/]+)$/;
+const NOTIFY_INTERVAL_MS = 1000; // at most one update notification per URI per second
+const logger = createLogger('QuoteStream');
+
+const subscribers = new Map(); // listener -> Map(uri -> { code, sentAt, timer })
+const snapshots = new Map(); // code -> { code, source, quote, bar, updated_at }
+let upstream = null; // { key, controller }
+
+/**
+ * @param {string} uri - Resource URI
+ * @returns {string|null} - The code part of a quote URI, or null for other URIs
+ * @throws {InvalidParamsError} - When the code is not valid percent-encoding
+ */
+const parseQuoteUri = (uri) => {
+  const match = QUOTE_URI_PATTERN.exec(uri);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    throw new InvalidParamsError(`Resource "${uri}" is not valid percent-encoding`, { uri });
+  }
+};
+
+const subscribedCodes = () =>
+  [...new Set([...subscribers.values()].flatMap((uris) => [...uris.values()].map(({ code }) => code)))].sort();
+
+/**
+ * Notify a listener of a URI, leaving at least NOTIFY_INTERVAL_MS between notifications.
+ * @param {Function} listener - (uri) => void
+ * @param {string} uri
+ * @param {Object} state - The subscription ({ code, sentAt, timer })
+ */
+const scheduleNotification = (listener, uri, state) => {
+  if (state.timer) return;
+
+  const send = () => {
+    state.timer = null;
+    state.sentAt = Date.now();
+    if (subscribers.get(listener)?.get(uri) === state) listener(uri);
+  };
+  const wait = state.sentAt + NOTIFY_INTERVAL_MS - Date.now();
+  if (wait <= 0) {
+    send();
+  } else {
+    state.timer = setTimeout(send, wait);
+    state.timer.unref?.();
+  }
+};
+
+/**
+ * Record a streamed quote or bar and notify the URIs subscribed to its code.
+ * @param {Object} data - Message from the real-time stream
+ */
+const handleStreamData = (data) => {
+  const code = data?.code;
+  if (!code || !subscribedCodes().includes(code)) return;
+
+  const snapshot = snapshots.get(code) ?? { code, source: 'stream', quote: null, bar: null };
+  if (data.series) {
+    const bars = Array.isArray(data.series) ? data.series : [data.series];
+    snapshot.bar = { bar_type: data.bar_type ?? null, ...bars[bars.length - 1] };
+  } else {
+    snapshot.quote = data;
+  }
+  snapshot.updated_at = Date.now();
+  snapshots.set(code, snapshot);
+
+  for (const [listener, uris] of subscribers) {
+    for (const [uri, state] of uris) {
+      if (state.code === code) scheduleNotification(listener, uri, state);
+    }
+  }
+};
+
+/**
+ * @returns {Promise<string>} - WebSocket key for the real-time stream
+ * @throws {AuthenticationError} - When none is configured and none can be fetched
+ */
+const streamKey = async () => {
+  const { apiKey } = getConfig().websocket;
+  if (apiKey) return apiKey;
+  try {
+    return await getWebSocketKey();
+  } catch (error) {
+    throw new AuthenticationError(
+      `Quote subscriptions need a WebSocket key: set INSIGHTSENTRY_WS_API_KEY, or use INSIGHTSENTRY_AUTH_MODE=direct so one can be fetched (${error.message})`,
+      { cause: error }
+    );
+  }
+};
+
+/**
+ * Make the upstream stream carry exactly the subscribed codes. The key is
+ * fetched before the running stream is touched, so a failure leaves it as is.
+ * @returns {Promise<void>}
+ */
+const syncUpstream = async () => {
+  const wanted = subscribedCodes().join(',');
+  if ((upstream?.key ?? '') === wanted) return;
+  const websocketKey = wanted ? await streamKey() : null;
+
+  // Subscriptions may have changed while the key was fetched
+  const codes = subscribedCodes();
+  const key = codes.join(',');
+  if ((upstream?.key ?? '') === key) return;
+  if (codes.length > 0 && !websocketKey) return syncUpstream();
+
+  upstream?.controller.abort();
+  upstream = null;
+  for (const code of snapshots.keys()) {
+    if (!codes.includes(code)) snapshots.delete(code);
+  }
+  if (codes.length === 0) return;
+
+  const controller = new AbortController();
+  upstream = { key, controller };
+  // Reported through onClose once the stream is open, and by the rejection before that
+  const streamEnded = (error) => {
+    if (controller.signal.aborted || upstream?.controller !== controller) return;
+    logger.error('Real-time stream failed', error);
+    // Forget the dead stream so the next subscription change opens a new one; reads fall back to REST meanwhile
+    upstream = null;
+    snapshots.clear();
+  };
+  realTimeDataTool.function({
+    subscriptions: codes.flatMap((code) => [
+      { code, type: 'quote' },
+      { code, type: 'series', bar_type: 'minute', bar_interval: 1 }
+    ]),
+    websocketKey,
+    onData: handleStreamData,
+    onClose: streamEnded,
+    signal: controller.signal
+  }).catch(streamEnded);
+};
+
+/**
+ * Subscribe to a quote resource.
+ * @param {string} uri - insightsentry://quotes/{code}; the code may be anything symbol resolution accepts
+ * @param {Function} listener - Called with the URI when the quote changed (one per session)
+ * @returns {Promise<string>} - The resolved code
+ * @throws {InvalidParamsError|AuthenticationError}
+ */
+const subscribeQuote = async (uri, listener) => {
+  const input = parseQuoteUri(uri);
+  if (!input) {
+    throw new InvalidParamsError(`Only ${QUOTE_URI_TEMPLATE} resources can be subscribed to (got "${uri}")`, { uri });
+  }
+
+  const { code } = await resolveSymbol(input);
+  const uris = subscribers.get(listener) ?? new Map();
+  const previous = uris.get(uri);
+  if (previous?.code === code) return code;
+
+  clearTimeout(previous?.timer);
+  uris.set(uri, { code, sentAt: 0, timer: null });
+  subscribers.set(listener, uris);
+  try {
+    await syncUpstream();
+  } catch (error) {
+    uris.delete(uri);
+    if (uris.size === 0) subscribers.delete(listener);
+    throw error;
+  }
+  return code;
+};
+
+/**
+ * Reopen the upstream stream after subscriptions were dropped.
+ * @returns {Promise<void>}
+ */
+const syncAfterUnsubscribe = async () => {
+  try {
+    await syncUpstream();
+  } catch (error) {
+    // The running stream keeps the extra codes; their messages are ignored
+    logger.warning('Could not reopen the real-time stream', error);
+  }
+};
+
+/**
+ * Unsubscribe from a quote resource; the upstream subscription goes with the
+ * last subscriber of its code.
+ * @param {string} uri
+ * @param {Function} listener - The listener it was subscribed with
+ * @returns {Promise<void>}
+ */
+const unsubscribeQuote = async (uri, listener) => {
+  const uris = subscribers.get(listener);
+  const state = uris?.get(uri);
+  if (!state) return;
+  clearTimeout(state.timer);
+  uris.delete(uri);
+  if (uris.size === 0) subscribers.delete(listener);
+  await syncAfterUnsubscribe();
+};
+
+/**
+ * Drop every subscription of a listener, when its session ends.
+ * @param {Function} listener
+ * @returns {Promise<void>}
+ */
+const unsubscribeAllQuotes = async (listener) => {
+  const uris = subscribers.get(listener);
+  if (!uris) return;
+  for (const { timer } of uris.values()) clearTimeout(timer);
+  subscribers.delete(listener);
+  await syncAfterUnsubscribe();
+};
+
+/**
+ * @param {string} code - EXCHANGE:TICKER code
+ * @returns {Object|null} - Latest streamed { code, source, quote, bar, updated_at }, or null
+ */
+const getStreamedQuote = (code) => snapshots.get(code) ?? null;
+
+/**
+ * @returns {Array<string>} - Codes currently streamed upstream
+ */
+const getStreamedCodes = () => (upstream ? upstream.key.split(',') : []);
+
+/**
+ * Drop every subscription and close the upstream stream.
+ */
+const closeQuoteStreams = () => {
+  upstream?.controller.abort();
+  upstream = null;
+  for (const uris of subscribers.values()) {
+    for (const { timer } of uris.values()) clearTimeout(timer);
+  }
+  subscribers.clear();
+  snapshots.clear();
+};
+
+export {
+  QUOTE_URI_TEMPLATE,
+  parseQuoteUri,
+  subscribeQuote,
+  unsubscribeQuote,
+  unsubscribeAllQuotes,
+  getStreamedQuote,
+  getStreamedCodes,
+  closeQuoteStreams
+};
@@ -0,0 +1,25 @@
+/**
+ * Per tool-call context shared across async boundaries.
+ * The MCP server runs each tool call inside a context so that lower layers
+ * (such as the HTTP client) can attach metadata to the call without every
+ * tool having to thread it through its arguments.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a request context.
+ * @param {Object} context - Mutable context object for this call
+ * @param {Function} fn - Function to run
+ * @returns {*} - Whatever fn returns
+ */
+const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the context of the tool call currently executing, if any.
+ * @returns {Object|null}
+ */
+const getRequestContext = () => storage.getStore() ?? null;
+
+export { runWithRequestContext, getRequestContext };
@@ -0,0 +1,252 @@
+/**
+ * MCP resources: reference data clients can attach as context without a tool
+ * call. Every resource is read through an existing tool, so reads go through
+ * the same symbol resolution, argument validation, cache and quota accounting
+ * as tool calls.
+ *
+ * Resources are published whatever the tool profile (profiles trim the tool
+ * list an agent sees), but a tool disabled with tools.disabled withdraws the
+ * resources it backs.
+ *
+ * Quote resources can be subscribed to; see lib/quote-stream.js.
+ */
+import { getConfig } from './config.js';
+import { InvalidParamsError } from './errors.js';
+import {
+  QUOTE_URI_TEMPLATE,
+  getStreamedQuote,
+  parseQuoteUri,
+  subscribeQuote,
+  unsubscribeQuote
+} from './quote-stream.js';
+import { runWithRequestContext } from './request-context.js';
+import { resolveSymbolArguments } from './symbols.js';
+import { validateToolArguments } from './validation.js';
+
+const MIME_TYPE = 'application/json';
+
+/**
+ * Sections of the financials payload served by the financials template.
+ */
+const FINANCIAL_SECTIONS = [
+  'company_info',
+  'valuation_ratios',
+  'profitability',
+  'balance_sheet',
+  'cash_flow',
+  'income_statement',
+  'dividends',
+  'earnings',
+  'price_targets',
+  'revenue_segments'
+];
+
+/**
+ * Resources with a fixed URI.
+ */
+const STATIC_RESOURCES = [
+  {
+    uri: 'insightsentry://exchanges',
+    name: 'exchanges',
+    title: 'Exchanges',
+    description: 'Exchanges covered by InsightSentry with their codes, countries and trading hours.',
+    tool: 'get_available_exchanges',
+    arguments: () => ({})
+  },
+  {
+    uri: 'insightsentry://economy/weekly',
+    name: 'economy_weekly',
+    title: 'This week\'s economic events',
+    description: 'Economic calendar for the current week: releases, forecasts and previous values.',
+    tool: 'get_weekly_economic_events',
+    arguments: () => ({})
+  }
+];
+
+/**
+ * Resources addressed by a symbol code (EXCHANGE:TICKER, or anything symbol
+ * resolution accepts, such as AAPL).
+ */
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'insightsentry://symbols/{code}/info',
+    name: 'symbol_info',
+    title: 'Symbol information',
+    description: 'Symbol metadata: name, type, currency, sector, listing and contract details.',
+    tool: 'get_symbol_info',
+    arguments: ({ code }) => ({ symbol: code })
+  },
+  {
+    uriTemplate: 'insightsentry://symbols/{code}/session',
+    name: 'symbol_session',
+    title: 'Trading session',
+    description: 'Trading hours, timezone and upcoming holidays of the symbol\'s market.',
+    tool: 'get_session_information',
+    arguments: ({ code }) => ({ symbol: code, optimize: true })
+  },
+  {
+    uriTemplate: 'insightsentry://symbols/{code}/financials/{section}',
+    name: 'symbol_financials',
+    title: 'Financial statement section',
+    description: `One section of the company's financials, limited to the last 4 quarters. section is one of ${FINANCIAL_SECTIONS.join(', ')}.`,
+    tool: 'fetch_financial_data',
+    arguments: ({ code, section }) => {
+      if (!FINANCIAL_SECTIONS.includes(section)) {
+        throw new InvalidParamsError(`Unknown financials section "${section}"; expected one of ${FINANCIAL_SECTIONS.join(', ')}`);
+      }
+      return { symbol: code, sections: [section], optimize: true };
+    }
+  },
+  {
+    uriTemplate: QUOTE_URI_TEMPLATE,
+    name: 'quote',
+    title: 'Live quote',
+    description: 'Latest quote of the symbol as { code, source, quote, bar, updated_at }. Subscribe to be notified as streamed quotes and 1-minute bars arrive; while subscribed, reads return the latest streamed quote and bar.',
+    tool: 'get_latest_quote',
+    arguments: ({ code }) => ({ symbol: code }),
+    read: async (args, tool) =>
+      getStreamedQuote(args.symbol) ?? { code: args.symbol, source: 'rest', quote: await tool.function(args), bar: null, updated_at: Date.now() }
+  }
+];
+
+/**
+ * Match a URI against a template with simple {name} path variables.
+ * @param {string} uriTemplate - E.g. 'insightsentry://symbols/{code}/info'
+ * @param {string} uri - URI to match
+ * @returns {Object|null} - Decoded variables, or null when the URI does not match
+ * @throws {InvalidParamsError} - When a variable is not valid percent-encoding
+ */
+const matchTemplate = (uriTemplate, uri) => {
+  const names = [];
+  const pattern = uriTemplate
+    .split(/(\{\w+\})/)
+    .map((part) => {
+      const variable = /^\{(\w+)\}$/.exec(part);
+      if (!variable) return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+      names.push(variable[1]);
+      return '([^/]+)';
+    })
+    .join('');
+  const match = new RegExp(`^${pattern}$`).exec(uri);
+  if (!match) return null;
+  try {
+    return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+  } catch {
+    throw new InvalidParamsError(`Resource "${uri}" is not valid percent-encoding`, { uri });
+  }
+};
+
+/**
+ * Keep the resources whose backing tool is available.
+ * @param {Array<Object>} entries - STATIC_RESOURCES or RESOURCE_TEMPLATES
+ * @param {Array<Object>} tools - Discovered tools
+ * @returns {Array<Object>}
+ */
+const availableEntries = (entries, tools) => {
+  const { disabled } = getConfig().tools;
+  const names = new Set(tools.map((tool) => tool.definition.function.name));
+  return entries.filter((entry) => names.has(entry.tool) && !disabled.includes(entry.tool));
+};
+
+/**
+ * Resources for resources/list.
+ * @param {Array<Object>} tools - Discovered tools
+ * @returns {Array<Object>}
+ */
+const listResources = (tools) =>
+  availableEntries(STATIC_RESOURCES, tools).map(({ uri, name, title, description }) => ({
+    uri,
+    name,
+    title,
+    description,
+    mimeType: MIME_TYPE
+  }));
+
+/**
+ * Resource templates for resources/templates/list.
+ * @param {Array<Object>} tools - Discovered tools
+ * @returns {Array<Object>}
+ */
+const listResourceTemplates = (tools) =>
+  availableEntries(RESOURCE_TEMPLATES, tools).map(({ uriTemplate, name, title, description }) => ({
+    uriTemplate,
+    name,
+    title,
+    description,
+    mimeType: MIME_TYPE
+  }));
+
+/**
+ * Read a resource through its backing tool.
+ * @param {string} uri - Resource URI
+ * @param {Array<Object>} tools - Discovered tools
+ * @param {Object} [controls] - Abort signal and progress reporter of the MCP request ({ signal, onProgress })
+ * @returns {Promise<{ contents: Array<Object>, _meta?: Object }>} - The resources/read result
+ * @throws {InvalidParamsError} - When no resource has this URI or its variables are invalid
+ */
+const readResource = async (uri, tools, controls = {}) => {
+  const available = [
+    ...availableEntries(STATIC_RESOURCES, tools).map((entry) => ({ entry, variables: entry.uri === uri ? {} : null })),
+    ...availableEntries(RESOURCE_TEMPLATES, tools).map((entry) => ({ entry, variables: matchTemplate(entry.uriTemplate, uri) }))
+  ];
+  const found = available.find(({ variables }) => variables);
+  if (!found) {
+    throw new InvalidParamsError(`Unknown resource "${uri}"`, { uri });
+  }
+
+  const { entry, variables } = found;
+  const tool = tools.find((candidate) => candidate.definition.function.name === entry.tool);
+  const context = { toolName: entry.tool, priority: tool.priority ?? 'normal', ...controls };
+
+  return runWithRequestContext(context, async () => {
+    const { args: resolvedArgs, resolved } = await resolveSymbolArguments(
+      tool.definition.function.parameters,
+      entry.arguments(variables)
+    );
+    const args = validateToolArguments(tool.definition.function, resolvedArgs);
+    const result = entry.read ? await entry.read(args, tool) : await tool.function(args);
+
+    const meta = {
+      ...(context.cache && { cache: context.cache }),
+      ...(resolved.length > 0 && { symbols: resolved })
+    };
+    return {
+      contents: [{ uri, mimeType: MIME_TYPE, text: JSON.stringify(result, null, 2) }],
+      ...(Object.keys(meta).length > 0 && { _meta: meta })
+    };
+  });
+};
+
+/**
+ * Subscribe to a resource; only quote resources support subscriptions.
+ * @param {string} uri - Resource URI
+ * @param {Array<Object>} tools - Discovered tools
+ * @param {Function} listener - Called with the URI when the resource changed (one per session)
+ * @returns {Promise<void>}
+ * @throws {InvalidParamsError|AuthenticationError}
+ */
+const subscribeResource = async (uri, tools, listener) => {
+  const quotes = availableEntries(RESOURCE_TEMPLATES, tools).some((entry) => entry.uriTemplate === QUOTE_URI_TEMPLATE);
+  if (!quotes || !parseQuoteUri(uri)) {
+    throw new InvalidParamsError(`Resource "${uri}" does not support subscriptions; subscribe to ${QUOTE_URI_TEMPLATE}`, { uri });
+  }
+  await subscribeQuote(uri, listener);
+};
+
+/**
+ * @param {string} uri - Resource URI
+ * @param {Function} listener - The listener it was subscribed with
+ * @returns {Promise<void>}
+ */
+const unsubscribeResource = (uri, listener) => unsubscribeQuote(uri, listener);
+
+export {
+  FINANCIAL_SECTIONS,
+  STATIC_RESOURCES,
+  RESOURCE_TEMPLATES,
+  listResources,
+  listResourceTemplates,
+  readResource,
+  subscribeResource,
+  unsubscribeResource
+};
@@ -0,0 +1,281 @@
+/**
+ * Response size budget for tool results.
+ * A result whose text exceeds responses.maxBytes has its arrays cut to a
+ * common maximum length (arrays at any depth, so nested ladders such as the
+ * option strikes in symbol info shrink too). The remaining items are kept in
+ * memory behind an opaque cursor; the continue_response tool returns them in
+ * slices that fit the same budget.
+ *
+ * Cursors are immutable: calling continue_response twice with one cursor
+ * returns the same page, and each page carries the cursor of the next one.
+ * When even the result with empty arrays exceeds the budget, the first page
+ * is that skeleton.
+ */
+import { randomBytes } from 'crypto';
+import { LruCache } from './cache.js';
+import { getConfig } from './config.js';
+import { InvalidParamsError } from './errors.js';
+
+const MAX_CURSORS = 100;
+
+let cursors = null;
+
+const getCursorStore = () => {
+  if (!cursors) cursors = new LruCache(MAX_CURSORS);
+  return cursors;
+};
+
+const prettyJson = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * Size of a value as sent to the agent, in bytes.
+ * @param {*} value
+ * @param {Function} [render] - Turns the value into the text sent (default: pretty-printed JSON)
+ * @returns {number}
+ */
+const responseSize = (value, render = prettyJson) => Buffer.byteLength(render(value) ?? '', 'utf8');
+
+// Compared by shape rather than identity: parsed response bodies may come from another realm (e.g. under jest)
+const isPlainObject = (value) =>
+  Object.prototype.toString.call(value) === '[object Object]' && Object.getPrototypeOf(Object.getPrototypeOf(value) ?? {}) === null;
+
+/**
+ * Length of the longest array anywhere in a value.
+ * @param {*} value
+ * @returns {number}
+ */
+const longestArray = (value) => {
+  if (Array.isArray(value)) {
+    return value.reduce((longest, item) => Math.max(longest, longestArray(item)), value.length);
+  }
+  if (isPlainObject(value)) {
+    return Object.values(value).reduce((longest, item) => Math.max(longest, longestArray(item)), 0);
+  }
+  return 0;
+};
+
+/**
+ * Copy a value with every array cut to at most `limit` items. Arrays that lose
+ * items are recorded in `opened` so later pages can continue them.
+ * @param {*} value - Value to copy
+ * @param {string} path - Path of the value in the original result ('' for the root)
+ * @param {number} limit - Maximum items per array
+ * @param {Array<Object>} opened - Receives { path, array, next } for every cut array
+ * @returns {*}
+ */
+const truncateArrays = (value, path, limit, opened) => {
+  if (Array.isArray(value)) {
+    const items = value.slice(0, limit).map((item, index) => truncateArrays(item, `${path}[${index}]`, limit, opened));
+    if (items.length < value.length) {
+      opened.push({ path: path || '(root)', array: value, next: items.length });
+    }
+    return items;
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, truncateArrays(item, path ? `${path}.${key}` : key, limit, opened)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Build a page with the largest per-array limit whose size fits the budget.
+ * @param {Function} build - (limit) => { value, opened }
+ * @param {Object} range
+ * @param {number} range.min - Smallest limit to use, even when it does not fit
+ * @param {number} range.max - Largest useful limit
+ * @param {number} maxBytes - Budget
+ * @param {Function} [render] - Turns a page into the text sent
+ * @returns {{ value: *, opened: Array<Object> }}
+ */
+const fitToBudget = (build, { min, max }, maxBytes, render) => {
+  let best = build(min);
+  let low = min + 1;
+  let high = max;
+  while (low <= high) {
+    const limit = Math.floor((low + high) / 2);
+    const page = build(limit);
+    if (responseSize(page.value, render) <= maxBytes) {
+      best = page;
+      low = limit + 1;
+    } else {
+      high = limit - 1;
+    }
+  }
+  return best;
+};
+
+/**
+ * Keep the arrays still to be delivered behind a cursor.
+ * @param {string} cursor - New cursor
+ * @param {Array<Object>} open - { path, array, next } entries
+ * @param {number} maxLength - Longest array in the original result
+ * @returns {string} - The cursor
+ */
+const storeCursor = (cursor, open, maxLength) => {
+  const now = Date.now();
+  getCursorStore().set(cursor, {
+    value: { open, maxLength },
+    storedAt: now,
+    expiresAt: now + getConfig().responses.cursorTtlMs
+  });
+  return cursor;
+};
+
+const newCursor = () => randomBytes(12).toString('base64url');
+
+/**
+ * Summarise the arrays cut from a page, largest first.
+ * @param {string} cursor
+ * @param {Array<Object>} open
+ * @returns {Object} - { cursor, truncated_arrays, largest: [{ path, returned, total }] }
+ */
+const describeOpenArrays = (cursor, open) => ({
+  cursor,
+  truncated_arrays: open.length,
+  largest: [...open]
+    .sort((a, b) => b.array.length - a.array.length)
+    .slice(0, 5)
+    .map(({ path, array, next }) => ({ path, returned: next, total: array.length }))
+});
+
+/**
+ * Fit a tool result into the response budget.
+ * @param {*} result - Value returned by the tool
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Budget in bytes (defaults to responses.maxBytes; 0 disables)
+ * @param {Function} [options.render] - Turns the result into the text sent (default: pretty-printed JSON)
+ * @param {boolean} [options.structured=false] - The result is also sent as structuredContent, whose
+ *   JSON counts against the same budget as the text
+ * @returns {{ value: *, continuation: Object|null }} - The (possibly truncated) result and, when
+ *   arrays were cut, { cursor, truncated_arrays, largest } describing them
+ */
+const applyResponseBudget = (result, { maxBytes = getConfig().responses.maxBytes, render: renderText = prettyJson, structured = false } = {}) => {
+  const render = structured ? (value) => `${renderText(value) ?? ''}${JSON.stringify(value)}` : renderText;
+  if (!maxBytes || responseSize(result, render) <= maxBytes) {
+    return { value: result, continuation: null };
+  }
+
+  const maxLength = longestArray(result);
+  const page = fitToBudget(
+    (limit) => {
+      const opened = [];
+      return { value: truncateArrays(result, '', limit, opened), opened };
+    },
+    { min: 0, max: maxLength },
+    maxBytes,
+    render
+  );
+
+  // Nothing could be cut: the size comes from scalars and objects
+  if (page.opened.length === 0) {
+    return { value: result, continuation: null };
+  }
+
+  const cursor = storeCursor(newCursor(), page.opened, maxLength);
+  return { value: page.value, continuation: describeOpenArrays(cursor, page.opened) };
+};
+
+/**
+ * Next page of a truncated result.
+ * @param {string} cursor - Cursor from applyResponseBudget or a previous page
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Budget in bytes (defaults to responses.maxBytes)
+ * @returns {{ slices: Array<Object>, next_cursor: string|null }} - One slice
+ *   ({ path, offset, total, items }) per array continued on this page
+ * @throws {InvalidParamsError} - When the cursor is unknown or expired
+ */
+const continueResponse = (cursor, { maxBytes = getConfig().responses.maxBytes } = {}) => {
+  const entry = getCursorStore().get(cursor);
+  if (!entry) {
+    throw new InvalidParamsError(`Unknown or expired cursor "${cursor}"; call the original tool again`);
+  }
+
+  // Serve a repeated request from the page built the first time
+  const { open, maxLength, served } = entry.value;
+  if (served?.maxBytes === maxBytes) return served.page;
+
+  const nextCursor = newCursor();
+  const budget = maxBytes || Infinity;
+  const buildPage = (limit, count) => {
+    const opened = [];
+    const slices = open.slice(0, count).map(({ path, array, next }) => {
+      const items = array
+        .slice(next, next + limit)
+        .map((item, index) => truncateArrays(item, `${path}[${next + index}]`, limit, opened));
+      if (next + items.length < array.length) {
+        opened.push({ path, array, next: next + items.length });
+      }
+      return { path, offset: next, total: array.length, items };
+    });
+    // Arrays left out of this page carry over unchanged
+    opened.push(...open.slice(count));
+    return { value: { slices, next_cursor: nextCursor }, opened };
+  };
+
+  // Every page delivers at least one item, so following the cursors always ends
+  let page = fitToBudget((limit) => buildPage(limit, open.length), { min: 1, max: maxLength }, budget);
+  if (responseSize(page.value) > budget) {
+    // One item from every array is already too much: continue fewer arrays
+    page = fitToBudget((count) => buildPage(1, count), { min: 1, max: open.length }, budget);
+  }
+
+  const result = page.opened.length === 0 ? { ...page.value, next_cursor: null } : page.value;
+  if (page.opened.length > 0) storeCursor(nextCursor, page.opened, maxLength);
+  entry.value.served = { maxBytes, page: result };
+  return result;
+};
+
+/**
+ * Text appended to a truncated result so the agent knows how to continue.
+ * @param {Object} continuation - As returned by applyResponseBudget
+ * @param {number} maxBytes - Budget in bytes
+ * @returns {string}
+ */
+const describeContinuation = ({ cursor, truncated_arrays, largest }, maxBytes) => {
+  const examples = largest.map(({ path, returned, total }) => `${path} (${returned} of ${total})`).join(', ');
+  return `Response truncated to fit the ${maxBytes}-byte response budget: ${truncated_arrays} array(s) shortened, ` +
+    `largest ${examples}. Call continue_response with {"cursor": "${cursor}"} for the remaining items.`;
+};
+
+/**
+ * Forget all cursors.
+ */
+const clearContinuations = () => {
+  cursors = null;
+};
+
+/**
+ * Tool returning the next slice of a truncated result. The MCP server adds it
+ * when the response budget is enabled.
+ * @type {Object}
+ */
+const continuationTool = {
+  function: async ({ cursor }) => continueResponse(cursor),
+  definition: {
+    type: 'function',
+    function: {
+      name: 'continue_response',
+      description: 'Fetch the rest of a tool result that was truncated to fit the response size budget. Returns { slices: [{ path, offset, total, items }], next_cursor }: each slice continues the array at `path` of the original result from `offset`. Call again with next_cursor until it is null.',
+      parameters: {
+        type: 'object',
+        properties: {
+          cursor: {
+            type: 'string',
+            description: 'Cursor from the truncation notice of a tool result, or next_cursor of the previous page.'
+          }
+        },
+        required: ['cursor']
+      }
+    }
+  }
+};
+
+export {
+  applyResponseBudget,
+  continueResponse,
+  describeContinuation,
+  clearContinuations,
+  continuationTool
+};
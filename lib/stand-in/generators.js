@@ -0,0 +1,401 @@
+/**
+ * Synthetic InsightSentry payloads for the stand-in server.
+ * Values are derived from the symbol code so repeated calls look consistent,
+ * and drift slowly with time so streams and quotes keep changing.
+ */
+
+const BAR_SECONDS = {
+  second: 1,
+  minute: 60,
+  hour: 3600,
+  day: 86400,
+  week: 604800,
+  month: 2592000
+};
+
+const BAR_SUFFIX = { second: 's', minute: 'm', hour: 'h', day: 'D', week: 'W', month: 'M' };
+
+const KNOWN_SYMBOLS = [
+  { code: 'NASDAQ:AAPL', name: 'Apple Inc.', type: 'stock', exchange: 'NASDAQ', country: 'US' },
+  { code: 'NASDAQ:MSFT', name: 'Microsoft Corporation', type: 'stock', exchange: 'NASDAQ', country: 'US' },
+  { code: 'NASDAQ:NVDA', name: 'NVIDIA Corporation', type: 'stock', exchange: 'NASDAQ', country: 'US' },
+  { code: 'NASDAQ:AMZN', name: 'Amazon.com, Inc.', type: 'stock', exchange: 'NASDAQ', country: 'US' },
+  { code: 'NASDAQ:TSLA', name: 'Tesla, Inc.', type: 'stock', exchange: 'NASDAQ', country: 'US' },
+  { code: 'NASDAQ:GOOGL', name: 'Alphabet Inc.', type: 'stock', exchange: 'NASDAQ', country: 'US' },
+  { code: 'NASDAQ:META', name: 'Meta Platforms, Inc.', type: 'stock', exchange: 'NASDAQ', country: 'US' },
+  { code: 'NYSE:JPM', name: 'JPMorgan Chase & Co.', type: 'stock', exchange: 'NYSE', country: 'US' },
+  { code: 'NYSE:XOM', name: 'Exxon Mobil Corporation', type: 'stock', exchange: 'NYSE', country: 'US' },
+  { code: 'AMEX:SPY', name: 'SPDR S&P 500 ETF Trust', type: 'etf', exchange: 'AMEX', country: 'US' },
+  { code: 'BINANCE:BTCUSDT', name: 'Bitcoin / TetherUS', type: 'crypto', exchange: 'BINANCE', country: '' }
+];
+
+const EXCHANGES = [
+  { code: 'NASDAQ', name: 'Nasdaq Stock Market', country: 'US' },
+  { code: 'NYSE', name: 'New York Stock Exchange', country: 'US' },
+  { code: 'AMEX', name: 'NYSE American', country: 'US' }
+];
+
+const HEADLINES = [
+  'beats quarterly earnings estimates',
+  'shares move after analyst rating change',
+  'announces new product lineup',
+  'faces regulatory scrutiny',
+  'raises full-year guidance',
+  'trades higher on sector rotation'
+];
+
+/**
+ * Deterministic 32-bit hash of a string.
+ * @param {string} value
+ * @returns {number}
+ */
+const hashCode = (value) => {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const tickerOf = (code) => code.split(':').pop();
+
+const describeSymbol = (code) =>
+  KNOWN_SYMBOLS.find((symbol) => symbol.code === code)?.name ?? `${tickerOf(code)} Corp.`;
+
+/**
+ * Synthetic price of a symbol at a point in time.
+ * @param {string} code - Symbol code
+ * @param {number} [timeSeconds] - UNIX time in seconds
+ * @returns {number}
+ */
+const priceAt = (code, timeSeconds = nowSeconds()) => {
+  const seed = hashCode(code);
+  const base = 20 + (seed % 480);
+  const wave = Math.sin(timeSeconds / 600 + (seed % 360)) * 0.02 + Math.sin(timeSeconds / 37 + seed) * 0.002;
+  return round(base * (1 + wave));
+};
+
+/**
+ * @param {string} code - Symbol code
+ * @returns {Object} - L1 quote
+ */
+const generateQuote = (code) => {
+  const now = nowSeconds();
+  const last = priceAt(code, now);
+  const prevClose = priceAt(code, now - 86400);
+  const spread = round(Math.max(0.01, last * 0.0002));
+  const volume = 100000 + (hashCode(`${code}:${Math.floor(now / 60)}`) % 5000000);
+
+  return {
+    code,
+    status: 'OPEN',
+    lp_time: now,
+    last_price: last,
+    change: round(last - prevClose),
+    change_percent: round(((last - prevClose) / prevClose) * 100),
+    prev_close_price: prevClose,
+    open_price: priceAt(code, now - 3600),
+    high_price: round(Math.max(last, prevClose) * 1.01),
+    low_price: round(Math.min(last, prevClose) * 0.99),
+    volume,
+    bid: round(last - spread),
+    ask: round(last + spread),
+    bid_size: 100 + (volume % 900),
+    ask_size: 100 + ((volume >> 3) % 900)
+  };
+};
+
+/**
+ * @param {string} code - Symbol code
+ * @param {number} time - Bar open time (UNIX seconds)
+ * @param {number} seconds - Bar length in seconds
+ * @returns {Object} - OHLCV bar
+ */
+const generateBar = (code, time, seconds) => {
+  const open = priceAt(code, time);
+  const close = priceAt(code, time + seconds);
+  return {
+    time,
+    open,
+    high: round(Math.max(open, close) * 1.001),
+    low: round(Math.min(open, close) * 0.999),
+    close,
+    volume: 1000 + (hashCode(`${code}:${time}`) % 500000)
+  };
+};
+
+/**
+ * @param {string} code - Symbol code
+ * @param {Object} [options]
+ * @param {string} [options.bar_type='minute'] - second, minute, hour, day, week or month
+ * @param {number} [options.bar_interval=1] - Bar interval
+ * @param {number} [options.count=100] - Number of bars
+ * @returns {Object} - Series payload
+ */
+const generateSeries = (code, { bar_type = 'minute', bar_interval = 1, count = 100 } = {}) => {
+  const seconds = (BAR_SECONDS[bar_type] ?? 60) * Math.max(1, Number(bar_interval) || 1);
+  const lastBarStart = Math.floor(nowSeconds() / seconds) * seconds;
+  const series = [];
+  for (let i = count - 1; i >= 0; i--) {
+    series.push(generateBar(code, lastBarStart - i * seconds, seconds));
+  }
+
+  return {
+    code,
+    bar_end: lastBarStart + seconds - 1,
+    last_update: Date.now(),
+    bar_type: `${bar_interval}${BAR_SUFFIX[bar_type] ?? 'm'}`,
+    series
+  };
+};
+
+/**
+ * Symbol information, templated from a captured payload when one is available.
+ * @param {string} code - Symbol code
+ * @param {Object|null} template - Captured symbol info (data/symbol_info.json)
+ * @returns {Object}
+ */
+const generateSymbolInfo = (code, template = null) => {
+  const quote = generateQuote(code);
+  const info = {
+    ...(template ?? { type: 'STOCK', currency_code: 'USD', country_code: 'US', point_value: 1, minimum_movement: 1 }),
+    code,
+    description: describeSymbol(code),
+    regular_close_price: quote.prev_close_price,
+    prev_close_price: quote.prev_close_price,
+    average_volume: quote.volume
+  };
+
+  if (template && template.code !== code) {
+    const scale = quote.prev_close_price / template.regular_close_price;
+    info.market_cap = Math.round(template.market_cap * scale);
+    info.all_time_high = round(template.all_time_high * scale);
+  }
+  return info;
+};
+
+/**
+ * Trading session, templated from a captured payload when one is available.
+ * @param {string} code - Symbol code
+ * @param {Object|null} template - Captured session (data/session_info.json)
+ * @returns {Object}
+ */
+const generateSession = (code, template = null) => ({
+  ...(template ?? {
+    holidays: [],
+    start_hour: '0400',
+    end_hour: '2000',
+    details: [
+      { session_correction: [], session: '0930-1600', description: 'Regular Trading Hours' },
+      { session_correction: [], session: '0400-2000', description: 'Extended Trading Hours' },
+      { session_correction: [], session: '0400-0930', description: 'Premarket' }
+    ],
+    currency_code: 'USD',
+    type: 'STOCK',
+    timezone: 'America/New_York'
+  }),
+  code,
+  description: describeSymbol(code),
+  last_update: Date.now()
+});
+
+/**
+ * Financials, templated from a captured payload when one is available.
+ * @param {string} code - Symbol code
+ * @param {Object|null} template - Captured financials (data/financial_example.json)
+ * @returns {Object}
+ */
+const generateFinancials = (code, template = null) => ({
+  ...(template ?? { data: { company_info: { description: describeSymbol(code) } } }),
+  code,
+  last_update: nowSeconds()
+});
+
+/**
+ * @param {string} query - Search text
+ * @param {string} [type] - Asset type filter
+ * @returns {Object} - Search results
+ */
+const generateSearch = (query = '', type) => {
+  const needle = query.toLowerCase();
+  const symbols = KNOWN_SYMBOLS.filter(
+    (symbol) =>
+      (!type || type === 'stocks' ? symbol.type !== 'crypto' : symbol.type === type) &&
+      (symbol.code.toLowerCase().includes(needle) || symbol.name.toLowerCase().includes(needle))
+  );
+  return { current_page: 1, has_more: false, symbols };
+};
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Number of items
+ * @param {string} [options.keywords] - Only return items mentioning these words
+ * @param {Array<string>} [options.symbols] - Only return items about these symbols
+ * @param {number} [options.page=1] - Page number
+ * @returns {Object} - News feed payload
+ */
+const generateNews = ({ limit = 20, keywords, symbols, page = 1 } = {}) => {
+  const now = nowSeconds();
+  const pool = symbols?.length ? symbols : KNOWN_SYMBOLS.map((symbol) => symbol.code);
+  const data = [];
+  for (let i = 0; i < Math.min(Number(limit) || 20, 500); i++) {
+    const index = (Number(page) - 1) * limit + i;
+    const code = pool[index % pool.length];
+    const title = `${describeSymbol(code)} ${HEADLINES[hashCode(`${code}:${index}`) % HEADLINES.length]}`;
+    data.push({
+      id: `news_${now - index * 60}_${tickerOf(code)}`,
+      title,
+      content: `${title}. Synthetic item generated by the InsightSentry stand-in server.`,
+      timestamp: now - index * 60,
+      symbols: [code],
+      source: 'stand-in'
+    });
+  }
+
+  const words = keywords ? String(keywords).toLowerCase().split(/[\s,]+/).filter(Boolean) : [];
+  const filtered = words.length
+    ? data.filter((item) => words.some((word) => `${item.title} ${item.content}`.toLowerCase().includes(word)))
+    : data;
+  return { last_update: now, total_items: filtered.length, current_items: filtered.length, data: filtered };
+};
+
+/**
+ * @returns {Object} - This week's economic events
+ */
+const generateEconomicEvents = () => {
+  const now = nowSeconds();
+  const names = ['CPI YoY', 'Nonfarm Payrolls', 'FOMC Rate Decision', 'Retail Sales MoM', 'Initial Jobless Claims'];
+  const data = names.map((title, i) => ({
+    id: `US_${title.replace(/\W+/g, '_').toUpperCase()}`,
+    title,
+    country: 'US',
+    importance: i % 3 === 0 ? 'high' : 'medium',
+    date: now + (i - 2) * 86400,
+    previous: round(2 + i * 0.3),
+    forecast: round(2.1 + i * 0.3),
+    actual: i < 2 ? round(2.2 + i * 0.3) : null
+  }));
+  return { last_update: now, total_items: data.length, data };
+};
+
+/**
+ * @param {string} id - Event identifier
+ * @returns {Object} - Event history
+ */
+const generateEventHistory = (id) => {
+  const now = nowSeconds();
+  const seed = hashCode(id);
+  const history = Array.from({ length: 12 }, (_, i) => ({
+    date: now - (12 - i) * 30 * 86400,
+    actual: round(((seed + i) % 50) / 10),
+    forecast: round(((seed + i + 1) % 50) / 10),
+    previous: round(((seed + i - 1) % 50) / 10)
+  }));
+  return { id, history };
+};
+
+/**
+ * @param {string} [month='this'] - Month selector
+ * @returns {Object} - Dividend events
+ */
+const generateDividends = (month = 'this') => {
+  const now = nowSeconds();
+  const data = KNOWN_SYMBOLS.filter((symbol) => symbol.type === 'stock').map((symbol, i) => ({
+    code: symbol.code,
+    ex_date: now + i * 3 * 86400,
+    payment_date: now + (i * 3 + 14) * 86400,
+    amount: round(0.1 + (hashCode(symbol.code) % 100) / 100)
+  }));
+  return { month, total_items: data.length, data };
+};
+
+/**
+ * @returns {Object} - Exchanges with bulk data
+ */
+const generateExchanges = () => ({ exchanges: EXCHANGES });
+
+/**
+ * @param {string} exchange - Exchange code
+ * @returns {Object} - Bulk quotes for the exchange
+ */
+const generateExchangeQuotes = (exchange) => ({
+  exchange,
+  last_update: Date.now(),
+  data: KNOWN_SYMBOLS.filter((symbol) => symbol.exchange === exchange).map((symbol) => generateQuote(symbol.code))
+});
+
+/**
+ * @param {string} exchange - Exchange code
+ * @returns {Object} - Bulk metrics for the exchange
+ */
+const generateExchangeMetrics = (exchange) => ({
+  exchange,
+  last_update: Date.now(),
+  data: KNOWN_SYMBOLS.filter((symbol) => symbol.exchange === exchange).map((symbol) => {
+    const quote = generateQuote(symbol.code);
+    return {
+      code: symbol.code,
+      market_cap: Math.round(quote.last_price * (1e8 + (hashCode(symbol.code) % 1e10))),
+      volume: quote.volume,
+      change_percent: quote.change_percent,
+      price_earnings_ttm: round(10 + (hashCode(symbol.code) % 40))
+    };
+  })
+});
+
+/**
+ * @param {'quotes'|'economy'} kind - Dataset family
+ * @returns {Object} - Available data sources
+ */
+const generateDataSources = (kind) => ({
+  data: kind === 'economy'
+    ? [
+      { id: 'USCPI', name: 'US Consumer Price Index', frequency: 'monthly' },
+      { id: 'USGDP', name: 'US Gross Domestic Product', frequency: 'quarterly' },
+      { id: 'USUR', name: 'US Unemployment Rate', frequency: 'monthly' }
+    ]
+    : EXCHANGES.map((exchange) => ({ id: exchange.code, name: exchange.name, type: 'quotes' }))
+});
+
+/**
+ * @param {string} id - Economic indicator identifier
+ * @returns {Object} - Indicator series
+ */
+const generateEconomicSeries = (id) => {
+  const now = nowSeconds();
+  const seed = hashCode(id);
+  return {
+    id,
+    last_update: now,
+    series: Array.from({ length: 24 }, (_, i) => ({
+      time: now - (24 - i) * 30 * 86400,
+      value: round(100 + ((seed + i * 7) % 40) / 4)
+    }))
+  };
+};
+
+export {
+  KNOWN_SYMBOLS,
+  priceAt,
+  generateQuote,
+  generateBar,
+  generateSeries,
+  generateSymbolInfo,
+  generateSession,
+  generateFinancials,
+  generateSearch,
+  generateNews,
+  generateEconomicEvents,
+  generateEventHistory,
+  generateDividends,
+  generateExchanges,
+  generateExchangeQuotes,
+  generateExchangeMetrics,
+  generateDataSources,
+  generateEconomicSeries
+};
@@ -0,0 +1,359 @@
+/**
+ * Local stand-in for the InsightSentry API.
+ * Serves the REST routes used by the tools plus the `live` and `newsfeed`
+ * WebSocket protocols, answering from recorded fixtures (see lib/fixtures.js)
+ * when available and from synthetic generators otherwise. Point
+ * INSIGHTSENTRY_BASE_URL, INSIGHTSENTRY_WS_LIVE_URL and
+ * INSIGHTSENTRY_WS_NEWSFEED_URL at it to run the whole stack offline.
+ */
+import express from 'express';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { WebSocketServer, WebSocket } from 'ws';
+import { loadFixture } from '../fixtures.js';
+import {
+  generateQuote,
+  generateSeries,
+  generateSymbolInfo,
+  generateSession,
+  generateFinancials,
+  generateSearch,
+  generateNews,
+  generateEconomicEvents,
+  generateEventHistory,
+  generateDividends,
+  generateExchanges,
+  generateExchangeQuotes,
+  generateExchangeMetrics,
+  generateDataSources,
+  generateEconomicSeries
+} from './generators.js';
+
+const DEFAULT_QUOTA = 10000;
+const DEFAULT_STREAM_INTERVAL_MS = 1000; // 1 second
+const HEARTBEAT_INTERVAL_MS = 10000; // 10 seconds
+const QUOTA_RESET_SECONDS = 30 * 24 * 3600; // monthly plans
+const DEFAULT_WEBSOCKET_KEY = 'stand-in-websocket-key';
+const MAX_BULK_CODES = 10;
+const RECENT_BARS = 15;
+
+const SYMBOL_CODE = /^[A-Z0-9_.!&-]+:[A-Z0-9_.!&-]+$/i;
+
+// Captured payloads used as templates for symbol info, sessions and financials
+const TEMPLATE_FILES = {
+  info: 'symbol_info.json',
+  session: 'session_info.json',
+  financials: 'financial_example.json'
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Load the captured payload templates from a data directory.
+ * @param {string} [dataDir] - Directory containing data/*.json samples
+ * @returns {Promise<Object>} - Templates keyed by kind (null when unavailable)
+ */
+const loadTemplates = async (dataDir) => {
+  const templates = {};
+  for (const [kind, file] of Object.entries(TEMPLATE_FILES)) {
+    try {
+      templates[kind] = dataDir ? JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf8')) : null;
+    } catch {
+      templates[kind] = null;
+    }
+  }
+  return templates;
+};
+
+/**
+ * Read and validate the :code route parameter.
+ * @param {Object} req - Express request
+ * @returns {string} - Symbol code
+ */
+const symbolParam = (req) => {
+  const code = req.params.code;
+  if (!SYMBOL_CODE.test(code)) {
+    throw new HttpError(404, `Symbol not found: ${code}`);
+  }
+  return code;
+};
+
+/**
+ * Start a stand-in server.
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @param {string} [options.dataDir] - Directory with the captured samples shipped in data/
+ * @param {string} [options.fixturesDir] - Recorded fixtures to serve before falling back to generators
+ * @param {string} [options.apiKey] - Only accept this REST key (any key is accepted when unset)
+ * @param {string} [options.websocketKey] - WebSocket key issued by /v2/websocket-key and required by the streams
+ * @param {number} [options.quota] - Requests allowed before answering 429, reported in rate-limit headers
+ * @param {number} [options.streamIntervalMs] - Delay between streamed messages
+ * @returns {Promise<Object>} - { app, server, wss, port, url, wsUrl, close }
+ */
+const createStandInServer = async (options = {}) => {
+  const {
+    port = 0,
+    host = '127.0.0.1',
+    dataDir,
+    fixturesDir,
+    apiKey,
+    websocketKey = DEFAULT_WEBSOCKET_KEY,
+    quota = DEFAULT_QUOTA,
+    streamIntervalMs = DEFAULT_STREAM_INTERVAL_MS
+  } = options;
+
+  const templates = await loadTemplates(dataDir);
+  const quotaResetAt = Date.now() + QUOTA_RESET_SECONDS * 1000;
+  let requestsServed = 0;
+
+  const app = express();
+
+  // RapidAPI-style authentication and quota headers on every REST call
+  app.use((req, res, next) => {
+    const bearer = req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+    const key = req.get('x-rapidapi-key') ?? bearer;
+    if (!key) {
+      return res.status(401).json({ message: 'Missing API key' });
+    }
+    if (apiKey && key !== apiKey) {
+      return res.status(403).json({ message: 'You are not subscribed to this API.' });
+    }
+
+    requestsServed++;
+    const remaining = Math.max(0, quota - requestsServed);
+    res.set({
+      'x-ratelimit-requests-limit': String(quota),
+      'x-ratelimit-requests-remaining': String(remaining),
+      'x-ratelimit-requests-reset': String(Math.max(0, Math.round((quotaResetAt - Date.now()) / 1000)))
+    });
+    if (requestsServed > quota) {
+      res.set('retry-after', '60');
+      return res.status(429).json({ message: 'You have exceeded the MONTHLY quota for Requests on your current plan' });
+    }
+    next();
+  });
+
+  // Recorded fixtures win over synthetic data
+  if (fixturesDir) {
+    app.use(async (req, res, next) => {
+      const { fixture } = await loadFixture(req.path, req.query, fixturesDir);
+      if (!fixture) return next();
+      res.status(fixture.status).json(fixture.body);
+    });
+  }
+
+  app.get('/v2/symbols/search', (req, res) => {
+    res.json(generateSearch(req.query.query, req.query.type));
+  });
+
+  app.get('/v2/symbols/quotes', (req, res) => {
+    const codes = String(req.query.codes ?? '').split(',').filter(Boolean);
+    if (codes.length === 0 || codes.length > MAX_BULK_CODES) {
+      throw new HttpError(400, `codes must list between 1 and ${MAX_BULK_CODES} symbols`);
+    }
+    res.json({ last_update: Date.now(), total_items: codes.length, data: codes.map(generateQuote) });
+  });
+
+  app.get('/v2/symbols/:code/quote', (req, res) => {
+    res.json(generateQuote(symbolParam(req)));
+  });
+
+  app.get('/v2/symbols/:code/info', (req, res) => {
+    res.json(generateSymbolInfo(symbolParam(req), templates.info));
+  });
+
+  app.get('/v2/symbols/:code/session', (req, res) => {
+    res.json(generateSession(symbolParam(req), templates.session));
+  });
+
+  app.get('/v2/symbols/:code/financials', (req, res) => {
+    res.json(generateFinancials(symbolParam(req), templates.financials));
+  });
+
+  app.get('/v2/symbols/:code/series', (req, res) => {
+    res.json(generateSeries(symbolParam(req), {
+      bar_type: req.query.bar_type,
+      bar_interval: req.query.bar_interval
+    }));
+  });
+
+  app.get('/v2/newsfeed', (req, res) => {
+    res.json(generateNews({ limit: Number(req.query.limit) || 100, page: req.query.page, keywords: req.query.keywords }));
+  });
+
+  app.get('/v2/newsfeed/latest', (req, res) => {
+    res.json(generateNews({ limit: 100, keywords: req.query.keywords }));
+  });
+
+  app.get('/v2/events/economy/weekly', (req, res) => {
+    res.json(generateEconomicEvents());
+  });
+
+  app.get('/v2/events/economy/:id/history', (req, res) => {
+    res.json(generateEventHistory(req.params.id));
+  });
+
+  app.get('/v2/events/dividends/monthly', (req, res) => {
+    res.json(generateDividends(req.query.month));
+  });
+
+  app.get('/v2/exchanges', (req, res) => {
+    res.json(generateExchanges());
+  });
+
+  app.get('/v2/exchanges/:exchange/quotes', (req, res) => {
+    res.json(generateExchangeQuotes(req.params.exchange));
+  });
+
+  app.get('/v2/exchanges/:exchange/metrics', (req, res) => {
+    res.json(generateExchangeMetrics(req.params.exchange));
+  });
+
+  app.get('/v2/datasets/sources/:kind', (req, res) => {
+    res.json(generateDataSources(req.params.kind));
+  });
+
+  app.get('/v2/datasets/economy/:id/series', (req, res) => {
+    res.json(generateEconomicSeries(req.params.id));
+  });
+
+  app.get('/v2/websocket-key', (req, res) => {
+    res.json({ websocket_key: websocketKey, expires_at: Math.floor(Date.now() / 1000) + 3600 });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ message: `No route for ${req.path}` });
+  });
+
+  // Express recognises error handlers by their four parameters
+  app.use((error, req, res, next) => {
+    res.status(error.status ?? 500).json({ message: error.message });
+  });
+
+  const server = http.createServer(app);
+  const wss = new WebSocketServer({ server });
+
+  wss.on('connection', (ws, req) => {
+    const { pathname } = new URL(req.url, 'ws://stand-in');
+    const timers = [];
+    const send = (message) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+      }
+    };
+    const every = (ms, fn) => timers.push(setInterval(fn, ms));
+    ws.on('close', () => timers.forEach(clearInterval));
+
+    if (pathname !== '/live' && pathname !== '/newsfeed') {
+      send({ error: `Unknown stream: ${pathname}` });
+      ws.close(1008, 'Unknown stream');
+      return;
+    }
+
+    let authenticated = false;
+    let streaming = false;
+    let subscriptions = [];
+    const filters = { symbols: [], keywords: [] };
+
+    const streamLive = () => {
+      for (const subscription of subscriptions) {
+        if (subscription.type === 'quote') {
+          send(generateQuote(subscription.code));
+        } else {
+          const { bar_end, last_update, bar_type, series } = generateSeries(subscription.code, { ...subscription, count: 1 });
+          send({ code: subscription.code, bar_end, last_update, bar_type, series });
+        }
+      }
+    };
+
+    let newsTick = 0;
+    const streamNews = () => {
+      const [item] = generateNews({ limit: 1, page: ++newsTick, symbols: filters.symbols }).data;
+      const text = `${item.title} ${item.content}`.toLowerCase();
+      if (filters.keywords.length && !filters.keywords.some((keyword) => text.includes(keyword.toLowerCase()))) {
+        return;
+      }
+      send({ ...item, id: `news_${Date.now()}_${newsTick}`, timestamp: Math.floor(Date.now() / 1000) });
+    };
+
+    const startStreaming = () => {
+      if (streaming) return;
+      streaming = true;
+      every(HEARTBEAT_INTERVAL_MS, () => send({ server_time: Date.now() }));
+      every(streamIntervalMs, pathname === '/live' ? streamLive : streamNews);
+    };
+
+    ws.on('message', (raw) => {
+      const text = raw.toString();
+      if (text === 'ping') {
+        send('pong');
+        return;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        send({ error: 'Messages must be JSON' });
+        return;
+      }
+
+      if (message.api_key !== undefined) {
+        if (message.api_key !== websocketKey) {
+          send({ error: 'Invalid WebSocket API key' });
+          ws.close(4001, 'Unauthorized');
+          return;
+        }
+        authenticated = true;
+      }
+      if (!authenticated) {
+        send({ error: 'Authenticate first by sending your api_key' });
+        return;
+      }
+
+      if (pathname === '/live') {
+        if (Array.isArray(message.subscriptions)) {
+          subscriptions = message.subscriptions.filter((subscription) => subscription?.code);
+          for (const subscription of subscriptions) {
+            if (subscription.type === 'series' && subscription.recent_bars) {
+              send(generateSeries(subscription.code, { ...subscription, count: RECENT_BARS }));
+            }
+          }
+          startStreaming();
+        }
+        return;
+      }
+
+      if (message.type === 'filter_symbols') filters.symbols = message.symbols ?? [];
+      if (message.type === 'filter_keywords') filters.keywords = message.keywords ?? [];
+      startStreaming();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const { port: boundPort } = server.address();
+
+  const close = () => new Promise((resolve) => {
+    for (const client of wss.clients) client.terminate();
+    wss.close(() => server.close(() => resolve()));
+  });
+
+  return {
+    app,
+    server,
+    wss,
+    port: boundPort,
+    url: `http://${host}:${boundPort}`,
+    wsUrl: `ws://${host}:${boundPort}`,
+    close
+  };
+};
+
+export { createStandInServer };
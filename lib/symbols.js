@@ -0,0 +1,233 @@
+/**
+ * Resolution of bare tickers ("AAPL"), company names ("Apple") and common
+ * aliases ("GOOGLE") to the EXCHANGE:TICKER codes InsightSentry expects.
+ * The MCP server applies it to every `symbol` and `codes` argument before the
+ * arguments are validated, so agents need not look codes up first.
+ *
+ * Unknown inputs are looked up with the symbol search endpoint (the one behind
+ * search_stocks). A single match, or a single match on a primary US exchange,
+ * wins; several matches raise an AmbiguousSymbolError listing them. Resolved
+ * codes are cached in memory. Every search is a billed request, so a `codes`
+ * list is only resolved when it fits the tool's maxItems, a few at a time.
+ */
+import { insightSentryRequest } from './client.js';
+import { LruCache } from './cache.js';
+import { getConfig } from './config.js';
+import { AmbiguousSymbolError, SymbolNotFoundError } from './errors.js';
+
+const RESOLUTION_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_RESOLUTIONS = 1000;
+const MAX_CANDIDATES = 8;
+const MAX_CONCURRENT_SEARCHES = 4;
+
+/**
+ * Exchanges preferred when a ticker is listed on several.
+ */
+const PRIMARY_EXCHANGES = ['NASDAQ', 'NYSE', 'AMEX'];
+
+/**
+ * Names agents commonly use that the search does not map to one listing.
+ * Extend or override them with the symbols.aliases setting.
+ */
+const SYMBOL_ALIASES = {
+  GOOGLE: 'NASDAQ:GOOGL',
+  ALPHABET: 'NASDAQ:GOOGL',
+  FACEBOOK: 'NASDAQ:META',
+  FB: 'NASDAQ:META',
+  'BERKSHIRE HATHAWAY': 'NYSE:BRK.B',
+  'BRK.B': 'NYSE:BRK.B',
+  BITCOIN: 'BINANCE:BTCUSDT',
+  BTC: 'BINANCE:BTCUSDT',
+  ETHEREUM: 'BINANCE:ETHUSDT',
+  ETH: 'BINANCE:ETHUSDT',
+  'S&P 500': 'SP:SPX',
+  SPX: 'SP:SPX',
+  'NASDAQ 100': 'NASDAQ:NDX',
+  NDX: 'NASDAQ:NDX',
+  'DOW JONES': 'DJ:DJI',
+  DJIA: 'DJ:DJI',
+  VIX: 'CBOE:VIX'
+};
+
+const CODE_PATTERN = /^[A-Z0-9_]+:\S+$/;
+
+let resolutions = null;
+
+const getResolutionCache = () => {
+  if (!resolutions) resolutions = new LruCache(MAX_RESOLUTIONS);
+  return resolutions;
+};
+
+/**
+ * @param {string} value - Ticker, name or code as given
+ * @returns {string} - Upper case with single spaces
+ */
+const normalise = (value) => value.trim().toUpperCase().replace(/\s+/g, ' ');
+
+/**
+ * Company name reduced to comparable words ("Apple Inc." -> "APPLE INC").
+ * @param {string} [name]
+ * @returns {string}
+ */
+const normaliseName = (name = '') => normalise(name).replace(/[^A-Z0-9& ]/g, '').replace(/\s+/g, ' ').trim();
+
+const CORPORATE_SUFFIXES = new Set(['INC', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'LTD', 'PLC', 'SA', 'AG', 'NV', 'HOLDINGS', 'GROUP', 'CLASS', 'A', 'B', 'C']);
+
+/**
+ * Company name without trailing corporate suffixes ("Apple Inc." -> "APPLE").
+ * @param {string} [name]
+ * @returns {string}
+ */
+const coreName = (name) => {
+  const words = normaliseName(name).split(' ');
+  while (words.length > 1 && CORPORATE_SUFFIXES.has(words[words.length - 1])) words.pop();
+  return words.join(' ');
+};
+
+/**
+ * @param {Object} listing - Search result
+ * @returns {string} - Its company or instrument name
+ */
+const listingName = (listing) => listing.name ?? listing.description ?? '';
+
+const exchangeOf = (code) => code.split(':')[0];
+const tickerOf = (code) => code.split(':').slice(1).join(':');
+
+/**
+ * Pick the listing among candidates, preferring primary US exchanges.
+ * @param {Array<Object>} candidates - Search results ({ code, name })
+ * @returns {Object|null} - The listing, or null when still ambiguous
+ */
+const pickListing = (candidates) => {
+  if (candidates.length === 1) return candidates[0];
+  const primary = candidates.filter((candidate) => PRIMARY_EXCHANGES.includes(exchangeOf(candidate.code)));
+  return primary.length === 1 ? primary[0] : null;
+};
+
+/**
+ * Look a bare ticker or a company name up with the symbol search.
+ * @param {string} input - Ticker or name as given
+ * @returns {Promise<string>} - The EXCHANGE:TICKER code
+ * @throws {AmbiguousSymbolError|SymbolNotFoundError}
+ */
+const searchSymbol = async (input) => {
+  const key = normalise(input);
+  const { symbols = [] } = await insightSentryRequest('/v2/symbols/search', { params: { query: input.trim() } });
+  const listings = symbols.filter((symbol) => typeof symbol?.code === 'string');
+
+  // Ticker matches take precedence over exact name matches, and those over name prefixes
+  const byTicker = listings.filter((symbol) => tickerOf(symbol.code) === key);
+  const byName = listings.filter((symbol) => coreName(listingName(symbol)) === coreName(input));
+  const byPrefix = listings.filter((symbol) => normaliseName(listingName(symbol)).startsWith(normaliseName(input)));
+
+  for (const candidates of [byTicker, byName, byPrefix]) {
+    if (candidates.length === 0) continue;
+    const listing = pickListing(candidates);
+    if (listing) return listing.code;
+
+    const shown = candidates.slice(0, MAX_CANDIDATES).map((symbol) => ({ code: symbol.code, name: listingName(symbol) || null }));
+    throw new AmbiguousSymbolError(
+      `Ambiguous symbol "${input}": matches ${shown.map(({ code, name }) => (name ? `${code} (${name})` : code)).join(', ')}` +
+        `${candidates.length > shown.length ? ` and ${candidates.length - shown.length} more` : ''}; pass the EXCHANGE:TICKER code`,
+      { symbol: input, candidates: shown }
+    );
+  }
+
+  throw new SymbolNotFoundError(`No symbol matches "${input}"; use search_stocks to find its EXCHANGE:TICKER code`, {
+    symbol: input
+  });
+};
+
+/**
+ * Resolve a ticker, company name, alias or code to an EXCHANGE:TICKER code.
+ * @param {string} input - Symbol as given by the agent
+ * @returns {Promise<{ code: string, via: 'code'|'alias'|'cache'|'search' }>}
+ * @throws {AmbiguousSymbolError|SymbolNotFoundError}
+ */
+const resolveSymbol = async (input) => {
+  const key = normalise(input);
+  if (CODE_PATTERN.test(key)) return { code: key, via: 'code' };
+
+  // Configured aliases win over the built-in ones, whatever their case
+  const aliases = new Map(
+    [...Object.entries(SYMBOL_ALIASES), ...Object.entries(getConfig().symbols.aliases)].map(([name, code]) => [normalise(name), code])
+  );
+  if (aliases.has(key)) return { code: aliases.get(key), via: 'alias' };
+
+  const cache = getResolutionCache();
+  const cached = cache.get(key);
+  if (cached) return { code: cached.value, via: 'cache' };
+
+  const code = await searchSymbol(input);
+  const now = Date.now();
+  cache.set(key, { value: code, storedAt: now, expiresAt: now + RESOLUTION_TTL_MS });
+  return { code, via: 'search' };
+};
+
+/**
+ * Map values through an async function with at most `limit` calls in flight.
+ * @param {Array} values
+ * @param {number} limit
+ * @param {Function} fn - async (value) => result
+ * @returns {Promise<Array>} - Results in the order of the values
+ */
+const mapWithLimit = async (values, limit, fn) => {
+  const results = new Array(values.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < values.length) {
+      const index = next++;
+      results[index] = await fn(values[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, values.length) }, worker));
+  return results;
+};
+
+/**
+ * Resolve the `symbol` and `codes` arguments of a tool call, when the tool's
+ * parameters schema declares them.
+ * @param {Object} [parameters] - Parameters schema of the tool
+ * @param {Object} [args] - Arguments sent by the client
+ * @returns {Promise<{ args: Object, resolved: Array<Object> }>} - The arguments with codes
+ *   substituted, and { input, code, via } for every value that changed
+ * @throws {AmbiguousSymbolError|SymbolNotFoundError}
+ */
+const resolveSymbolArguments = async (parameters, args) => {
+  const properties = parameters?.properties ?? {};
+  if (!getConfig().symbols.resolve || !args || typeof args !== 'object') {
+    return { args, resolved: [] };
+  }
+
+  const resolveValue = async (value) => {
+    if (typeof value !== 'string' || value.trim() === '') return { value, change: null };
+    const { code, via } = await resolveSymbol(value);
+    return { value: code, change: code === value ? null : { input: value, code, via } };
+  };
+
+  const result = { ...args };
+  const outcomes = [];
+  if (properties.symbol && 'symbol' in args) {
+    const outcome = await resolveValue(args.symbol);
+    result.symbol = outcome.value;
+    outcomes.push(outcome);
+  }
+  // A list over maxItems fails validation anyway: leave it to that rather than search every item
+  if (properties.codes && Array.isArray(args.codes) && args.codes.length <= (properties.codes.maxItems ?? Infinity)) {
+    const codeOutcomes = await mapWithLimit(args.codes, MAX_CONCURRENT_SEARCHES, resolveValue);
+    result.codes = codeOutcomes.map((outcome) => outcome.value);
+    outcomes.push(...codeOutcomes);
+  }
+
+  const resolved = outcomes.map((outcome) => outcome.change).filter(Boolean);
+  return { args: result, resolved };
+};
+
+/**
+ * Forget resolved names (for tests).
+ */
+const clearSymbolResolutions = () => {
+  resolutions = null;
+};
+
+export { SYMBOL_ALIASES, resolveSymbol, resolveSymbolArguments, clearSymbolResolutions };
@@ -1,126 +1,114 @@
-import { toolPaths } from "../tools/paths.js";
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("Tools");
+
+const SKIPPED_DIRECTORIES = new Set(["__tests__", "node_modules"]);
 
 /**
- * Discovers and loads available tools from the tools directory
- * @returns {Promise<Array>} Array of tool objects
+ * Whether a module export is a tool object: a `function` to call plus a `definition`
+ * @param {*} value - Exported value
+ * @returns {boolean}
  */
-export async function discoverTools() {
-  const tools = [];
-  
-  for (const file of toolPaths) {
-    try {
-      const module = await import(`../tools/${file}`);
-      
-      // Handle both single tool exports and multiple tool exports
-      if (module.apiTool) {
-        // Traditional single tool export
-        tools.push({
-          ...module.apiTool,
-          path: file,
-        });
-      }
-      
-      // Handle multiple tool exports from financial-data.js
-      if (file.includes('financial-data.js')) {
-        const toolExports = [
-          'peadEssentialsTool',
-          'valuationRatiosTool', 
-          'balanceSheetHealthTool',
-          'companyInfoTool'
-        ];
-        
-        for (const toolName of toolExports) {
-          if (module[toolName]) {
-            tools.push({
-              ...module[toolName],
-              path: file + '/' + toolName,
-            });
-          }
-        }
-      }
-      
-    } catch (error) {
-      console.warn(`Failed to load tool from ${file}:`, error.message);
-    }
-  }
-  
-  return tools;
-}
+const isToolExport = (value) =>
+  Boolean(value) && typeof value === "object" && typeof value.function === "function" && Boolean(value.definition);
 
 /**
- * Discovers and loads derived financial tools
- * @returns {Promise<Array>} Array of derived tool objects  
+ * import() needs file URLs for absolute Windows paths; plain paths work elsewhere
+ * @param {string} file - Absolute file path
+ * @returns {string} Module specifier
  */
-export async function discoverDerivedFinancialTools() {
-  try {
-    const module = await import('../tools/insightsentry/insight-sentry/financial-derived-tools.js');
-    
-    const derivedTools = [
-      'marketCapScreeningTool',
-      'earningsSurpriseTool', 
-      'financialHealthFlagsTool',
-      'sentimentContextTool'
-    ];
-    
-    const tools = [];
-    for (const toolName of derivedTools) {
-      if (module[toolName]) {
-        tools.push({
-          ...module[toolName],
-          path: `insightsentry/insight-sentry/financial-derived-tools.js/${toolName}`,
-        });
+const moduleSpecifier = (file) => (path.sep === "\\" ? pathToFileURL(file).href : file);
+
+/**
+ * Lists the JavaScript files under the tools directory, skipping test folders
+ * @param {string} dir - Directory to scan
+ * @param {string} [root] - Tools root, used to build relative paths
+ * @returns {Promise<Array<string>>} Paths relative to the root, '/'-separated and sorted
+ */
+async function listToolFiles(dir, root = dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.has(entry.name)) {
+        files.push(...(await listToolFiles(fullPath, root)));
       }
+    } else if (entry.isFile() && entry.name.endsWith(".js")) {
+      files.push(path.relative(root, fullPath).split(path.sep).join("/"));
     }
-    
-    return tools;
-  } catch (error) {
-    console.warn('Failed to load derived financial tools:', error.message);
-    return [];
   }
+
+  return files.sort();
 }
 
 /**
- * Discovers and loads derived session tools
- * @returns {Promise<Array>} Array of derived session tool objects  
+ * Scans the tools directory and collects every exported tool object.
+ * Tools exported as `apiTool` keep the file path as their `path`; other exports
+ * get `<file>/<exportName>`.
+ * @param {Object} [options]
+ * @param {string} [options.toolsDir] - Tools directory (default: ./tools)
+ * @returns {Promise<{tools: Array, problems: Array<string>}>} Loaded tools, plus load failures and duplicates
  */
-export async function discoverDerivedSessionTools() {
-  try {
-    const module = await import('../tools/insightsentry/insight-sentry/session-derived-tools.js');
-    
-    const derivedTools = [
-      'marketStatusTool',
-      'tradingCalendarTool', 
-      'executionTimingTool',
-      'riskSessionTool'
-    ];
-    
-    const tools = [];
-    for (const toolName of derivedTools) {
-      if (module[toolName]) {
-        tools.push({
-          ...module[toolName],
-          path: `insightsentry/insight-sentry/session-derived-tools.js/${toolName}`,
-        });
+export async function scanTools({ toolsDir = path.resolve("tools") } = {}) {
+  const tools = [];
+  const problems = [];
+  const pathsByName = new Map();
+
+  for (const file of await listToolFiles(toolsDir)) {
+    let module;
+    try {
+      module = await import(moduleSpecifier(path.join(toolsDir, file)));
+    } catch (error) {
+      problems.push(`${file}: failed to load (${error.message})`);
+      continue;
+    }
+
+    const registered = new Set();
+    for (const [exportName, value] of Object.entries(module)) {
+      // The same tool may be exported under several names
+      if (!isToolExport(value) || registered.has(value)) continue;
+      registered.add(value);
+
+      const toolPath = exportName === "apiTool" ? file : `${file}/${exportName}`;
+      const name = value.definition.function?.name;
+      if (!name) {
+        problems.push(`${toolPath}: definition.function.name is missing`);
+        continue;
       }
+      if (pathsByName.has(name)) {
+        problems.push(`${toolPath}: duplicate tool name "${name}" (already defined by ${pathsByName.get(name)})`);
+        continue;
+      }
+
+      pathsByName.set(name, toolPath);
+      tools.push({ ...value, path: toolPath });
     }
-    
-    return tools;
-  } catch (error) {
-    console.warn('Failed to load derived session tools:', error.message);
-    return [];
   }
+
+  return { tools, problems };
 }
 
 /**
- * Get all tools including base and derived
- * @returns {Promise<Array>} Array of all available tools
+ * Discovers and loads available tools from the tools directory, reporting
+ * any load failures or duplicate names in a single warning
+ * @param {Object} [options]
+ * @param {string} [options.toolsDir] - Tools directory (default: ./tools)
+ * @returns {Promise<Array>} Array of tool objects
  */
-export async function getAllTools() {
-  const [baseTools, derivedFinancialTools, derivedSessionTools] = await Promise.all([
-    discoverTools(),
-    discoverDerivedFinancialTools(),
-    discoverDerivedSessionTools()
-  ]);
-  
-  return [...baseTools, ...derivedFinancialTools, ...derivedSessionTools];
+export async function discoverTools(options = {}) {
+  const { tools, problems } = await scanTools(options);
+
+  if (problems.length > 0) {
+    logger.warning(
+      `Loaded ${tools.length} tools with ${problems.length} problem(s):\n` +
+        problems.map((problem) => `  - ${problem}`).join("\n")
+    );
+  }
+
+  return tools;
 }
@@ -0,0 +1,258 @@
+/**
+ * RapidAPI quota tracking for InsightSentry.
+ * The shared client reports every upstream response here; we keep the latest
+ * rate-limit headers plus running counters per endpoint, per tool and per API
+ * key (see lib/key-pool.js), and persist a snapshot so `node index.js usage`
+ * can read it from another process.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Usage');
+
+const PERSIST_INTERVAL_MS = 1000; // 1 second
+
+const QUOTA_HEADERS = {
+  limit: 'x-ratelimit-requests-limit',
+  remaining: 'x-ratelimit-requests-remaining',
+  reset: 'x-ratelimit-requests-reset'
+};
+
+const emptyCounters = () => ({ requests: 0, errors: 0, cache_hits: 0, coalesced: 0 });
+const emptyQuota = () => ({ limit: null, remaining: null, reset_at: null, updated_at: null });
+const emptyKeyUsage = () => ({ requests: 0, errors: 0, quota: emptyQuota(), quarantined_until: null, quarantine_reason: null });
+
+let state = null;
+let persistTimer = null;
+
+const getState = () => {
+  if (!state) {
+    state = {
+      started_at: new Date().toISOString(),
+      quota: emptyQuota(),
+      totals: emptyCounters(),
+      endpoints: {},
+      tools: {},
+      keys: {}
+    };
+  }
+  return state;
+};
+
+/**
+ * Path of the persisted usage snapshot.
+ * @returns {string}
+ */
+const getUsageFilePath = () => getConfig().usage.file || path.join(os.tmpdir(), 'insightsentry-usage.json');
+
+const schedulePersist = () => {
+  if (persistTimer || getConfig().usage.file === 'off') return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    fs.promises
+      .writeFile(getUsageFilePath(), JSON.stringify(getUsageSnapshot(), null, 2))
+      .catch((error) => logger.error('Failed to persist usage snapshot', error));
+  }, PERSIST_INTERVAL_MS);
+  persistTimer.unref?.();
+};
+
+const bump = (endpoint, toolName, field) => {
+  const current = getState();
+  current.totals[field]++;
+  (current.endpoints[endpoint] ??= emptyCounters())[field]++;
+  if (toolName) {
+    (current.tools[toolName] ??= emptyCounters())[field]++;
+  }
+};
+
+/**
+ * Read the RapidAPI rate-limit headers of a response into a quota record.
+ * @param {Object} headers - Response headers (Headers-like, with get())
+ * @param {Object} previous - Quota record to update
+ * @returns {Object|null} - The updated quota, or null when the response had no rate-limit headers
+ */
+const quotaFromHeaders = (headers, previous) => {
+  const header = (name) => headers?.get?.(name) ?? null;
+  const limit = header(QUOTA_HEADERS.limit);
+  const remaining = header(QUOTA_HEADERS.remaining);
+  if (limit === null && remaining === null) return null;
+
+  const reset = Number(header(QUOTA_HEADERS.reset));
+  return {
+    limit: limit !== null ? Number(limit) : previous.limit,
+    remaining: remaining !== null ? Number(remaining) : previous.remaining,
+    reset_at: Number.isFinite(reset) && reset > 0 ? new Date(Date.now() + reset * 1000).toISOString() : null,
+    updated_at: new Date().toISOString()
+  };
+};
+
+/**
+ * Combine the quotas of every key into the overall quota: limits and
+ * remaining requests add up, and the earliest reset wins.
+ * @param {Array<Object>} quotas - Per-key quota records
+ * @returns {Object}
+ */
+const aggregateQuota = (quotas) => {
+  const known = quotas.filter((quota) => quota.updated_at);
+  const sum = (field) => {
+    const values = known.map((quota) => quota[field]).filter(Number.isFinite);
+    return values.length ? values.reduce((total, value) => total + value, 0) : null;
+  };
+  const resets = known.map((quota) => quota.reset_at).filter(Boolean).sort();
+  const updates = known.map((quota) => quota.updated_at).sort();
+  return {
+    limit: sum('limit'),
+    remaining: sum('remaining'),
+    reset_at: resets[0] ?? null,
+    updated_at: updates[updates.length - 1] ?? null
+  };
+};
+
+/**
+ * Record an upstream HTTP response (including failed attempts and retries).
+ * @param {Object} event
+ * @param {string} event.endpoint - Endpoint name from the cache rules
+ * @param {string} [event.toolName] - Tool that triggered the call
+ * @param {string} [event.keyLabel] - Label of the API key used (see lib/key-pool.js)
+ * @param {number} event.status - HTTP status
+ * @param {Object} [event.headers] - Response headers (Headers-like, with get())
+ */
+const recordUpstreamResponse = ({ endpoint, toolName, keyLabel, status, headers }) => {
+  const current = getState();
+  bump(endpoint, toolName, 'requests');
+  if (status >= 400) {
+    bump(endpoint, toolName, 'errors');
+  }
+
+  if (keyLabel) {
+    const key = (current.keys[keyLabel] ??= emptyKeyUsage());
+    key.requests++;
+    if (status >= 400) key.errors++;
+    const quota = quotaFromHeaders(headers, key.quota);
+    if (quota) {
+      key.quota = quota;
+      current.quota = aggregateQuota(Object.values(current.keys).map((entry) => entry.quota));
+    }
+  } else {
+    current.quota = quotaFromHeaders(headers, current.quota) ?? current.quota;
+  }
+
+  schedulePersist();
+};
+
+/**
+ * Record that an API key was taken out of rotation (or put back, with until = null).
+ * @param {string} keyLabel - Label of the API key
+ * @param {Object} quarantine
+ * @param {number|null} quarantine.until - Epoch milliseconds the quarantine ends
+ * @param {string|null} [quarantine.reason] - Why the key was quarantined
+ */
+const recordKeyQuarantine = (keyLabel, { until, reason = null }) => {
+  const key = (getState().keys[keyLabel] ??= emptyKeyUsage());
+  key.quarantined_until = until ? new Date(until).toISOString() : null;
+  key.quarantine_reason = until ? reason : null;
+  schedulePersist();
+};
+
+/**
+ * @param {string} keyLabel - Label of the API key
+ * @returns {Object|null} - Counters and latest quota for the key, or null when it has not been used
+ */
+const getKeyUsage = (keyLabel) => getState().keys[keyLabel] ?? null;
+
+/**
+ * Record a call answered without an upstream request.
+ * @param {Object} event
+ * @param {string} event.endpoint - Endpoint name from the cache rules
+ * @param {string} [event.toolName] - Tool that triggered the call
+ * @param {'cache_hits'|'coalesced'} event.kind - How the call was served
+ */
+const recordLocalResponse = ({ endpoint, toolName, kind }) => {
+  bump(endpoint, toolName, kind);
+  schedulePersist();
+};
+
+/**
+ * Parse the configured soft limit into a number of remaining requests.
+ * Accepts an absolute count ("500") or a percentage of the plan ("10%").
+ * @param {number|null} limit - Plan limit reported by RapidAPI
+ * @returns {number|null} - Threshold of remaining requests, or null when unset
+ */
+const getSoftLimitThreshold = (limit) => {
+  const { softLimit } = getConfig().usage;
+  if (softLimit === undefined) return null;
+
+  const raw = String(softLimit);
+  if (raw.trim().endsWith('%')) {
+    const percent = Number(raw.trim().slice(0, -1));
+    if (!Number.isFinite(percent) || !Number.isFinite(limit)) return null;
+    return Math.ceil((limit * percent) / 100);
+  }
+
+  const absolute = Number(raw);
+  return Number.isFinite(absolute) ? absolute : null;
+};
+
+/**
+ * Whether the remaining quota has dropped to the configured soft limit.
+ * @returns {boolean}
+ */
+const isBelowSoftLimit = () => {
+  const { limit, remaining } = getState().quota;
+  const threshold = getSoftLimitThreshold(limit);
+  return threshold !== null && Number.isFinite(remaining) && remaining <= threshold;
+};
+
+/**
+ * @returns {Object} - A copy of the current usage counters and quota, overall and per API key
+ */
+const getUsageSnapshot = () => {
+  const current = getState();
+  const threshold = getSoftLimitThreshold(current.quota.limit);
+  return JSON.parse(JSON.stringify({
+    ...current,
+    soft_limit: {
+      threshold,
+      reached: isBelowSoftLimit()
+    },
+    updated_at: new Date().toISOString()
+  }));
+};
+
+/**
+ * Read the usage snapshot persisted by a running server.
+ * @returns {Object|null} - The snapshot, or null when none has been written
+ */
+const readPersistedUsage = () => {
+  try {
+    return JSON.parse(fs.readFileSync(getUsageFilePath(), 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reset all counters (mainly for tests).
+ */
+const resetUsage = () => {
+  state = null;
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+};
+
+export {
+  recordUpstreamResponse,
+  recordLocalResponse,
+  recordKeyQuarantine,
+  getKeyUsage,
+  isBelowSoftLimit,
+  getUsageSnapshot,
+  getUsageFilePath,
+  readPersistedUsage,
+  resetUsage
+};
@@ -0,0 +1,179 @@
+/**
+ * JSON Schema validation of tool arguments.
+ * Arguments are checked against the tool's `parameters` schema before the tool
+ * runs, so agents get every problem at once (types, enums, patterns, array
+ * sizes, missing keys) instead of one upstream error at a time. Schema
+ * defaults are filled in on the way.
+ *
+ * Results of tools that declare an `outputSchema` are checked the same way
+ * after the tool runs, so upstream payload changes surface as violations.
+ * Only matching results are sent as structuredContent; the others are sent as
+ * text and flagged as errors (see outputSchemaFields).
+ */
+import Ajv from 'ajv';
+import { InvalidParamsError } from './errors.js';
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+const validators = new WeakMap();
+const PREVIEW_LENGTH = 80;
+
+/**
+ * Compile (once per schema) the validator for a parameters or output schema.
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} - Ajv validate function
+ */
+const getValidator = (schema) => {
+  let validate = validators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validators.set(schema, validate);
+  }
+  return validate;
+};
+
+/**
+ * Split a JSON Pointer into its unescaped segments.
+ * @param {string} pointer - JSON Pointer ('' for the root)
+ * @returns {Array<string>}
+ */
+const pointerSegments = (pointer) =>
+  pointer.split('/').slice(1).map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+/**
+ * Read the value at a JSON Pointer.
+ * @param {*} root - Document
+ * @param {string} pointer - JSON Pointer
+ * @returns {*}
+ */
+const getAt = (root, pointer) =>
+  pointerSegments(pointer).reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), root);
+
+/**
+ * Turn an Ajv instance path ('/codes/3') into an argument path ('codes[3]').
+ * @param {string} instancePath - JSON Pointer from Ajv
+ * @returns {string}
+ */
+const argumentPath = (instancePath) => {
+  let result = '';
+  for (const segment of pointerSegments(instancePath)) {
+    if (/^\d+$/.test(segment)) {
+      result += `[${segment}]`;
+    } else {
+      result += result ? `.${segment}` : segment;
+    }
+  }
+  return result;
+};
+
+/**
+ * JSON form of an offending value, shortened so large payloads keep messages readable.
+ * @param {*} value
+ * @returns {string}
+ */
+const preview = (value) => {
+  const json = JSON.stringify(value) ?? String(value);
+  return json.length > PREVIEW_LENGTH ? `${json.slice(0, PREVIEW_LENGTH)}…` : json;
+};
+
+/**
+ * Describe one Ajv error as a violation.
+ * @param {Object} error - Ajv error object
+ * @returns {{ path: string, message: string }}
+ */
+const describeError = ({ keyword, instancePath, params, message, data }) => {
+  const path = argumentPath(instancePath);
+  const got = data === undefined ? '' : ` (got ${preview(data)})`;
+
+  switch (keyword) {
+    case 'required': {
+      const missing = path ? `${path}.${params.missingProperty}` : params.missingProperty;
+      return { path: missing, message: 'is required' };
+    }
+    case 'additionalProperties':
+      return { path: path ? `${path}.${params.additionalProperty}` : params.additionalProperty, message: 'is not a known argument' };
+    case 'enum':
+      return { path, message: `must be one of ${params.allowedValues.map((value) => JSON.stringify(value)).join(', ')}${got}` };
+    case 'pattern':
+      return { path, message: `must match the pattern ${params.pattern}${got}` };
+    case 'type': {
+      // Ajv joins multiple allowed types with commas ('number,null')
+      const types = String(params.type).split(',');
+      return { path, message: `must be ${types[0] === 'integer' && types.length === 1 ? 'an integer' : `of type ${types.join(' or ')}`}${got}` };
+    }
+    case 'maxItems':
+    case 'minItems':
+      return { path, message: `${message}${Array.isArray(data) ? ` (got ${data.length})` : ''}` };
+    default:
+      return { path, message: `${message}${got}` };
+  }
+};
+
+/**
+ * Validate tool arguments against the tool's parameters schema.
+ * @param {Object} definition - The tool's definition.function ({ name, parameters })
+ * @param {Object} [args] - Arguments sent by the client (undefined is treated as {})
+ * @returns {Object} - A copy of the arguments with schema defaults applied
+ * @throws {InvalidParamsError} - Listing every violation in `violations`
+ */
+const validateToolArguments = (definition, args) => {
+  const schema = definition?.parameters;
+  const value = args === undefined || args === null ? {} : structuredClone(args);
+  if (!schema) return value;
+
+  const validate = getValidator(schema);
+  if (validate(value)) return value;
+
+  const violations = validate.errors.map((error) =>
+    describeError({ ...error, data: getAt(value, error.instancePath) })
+  );
+  const summary = violations.map(({ path, message }) => (path ? `${path} ${message}` : message)).join('; ');
+  throw new InvalidParamsError(`Invalid arguments for ${definition.name}: ${summary}`, { violations });
+};
+
+/**
+ * Check a tool result against the tool's output schema.
+ * @param {Object} definition - The tool's definition.function ({ name, outputSchema })
+ * @param {*} result - Value returned by the tool
+ * @returns {Array<{ path: string, message: string }>} - Violations (empty when the result matches or no schema is declared)
+ */
+const checkToolResult = (definition, result) => {
+  const schema = definition?.outputSchema;
+  if (!schema) return [];
+
+  const validate = getValidator(schema);
+  if (validate(result)) return [];
+
+  return validate.errors.map((error) => describeError({ ...error, data: getAt(result, error.instancePath) }));
+};
+
+/**
+ * @param {Array<{ path: string, message: string }>} violations - From checkToolResult()
+ * @returns {Array<string>}
+ */
+const describeViolations = (violations) => violations.map(({ path, message }) => (path ? `${path} ${message}` : message));
+
+/**
+ * The parts of a tool result that depend on the tool's output schema. A
+ * matching result is also sent as structuredContent. A result that does not
+ * match is sent as text only and flagged as an error: SDK clients reject a
+ * successful result of a tool with an output schema when its structuredContent
+ * is missing or does not match the schema.
+ * @param {Object} definition - The tool's definition.function
+ * @param {*} value - The result as sent (after the response budget)
+ * @param {Array<Object>} violations - checkToolResult() of the full result
+ * @returns {{ structuredContent?: *, isError?: boolean, notice?: string, schemaViolations?: Array<string> }} -
+ *   Empty when the tool declares no output schema
+ */
+const outputSchemaFields = (definition, value, violations) => {
+  if (!definition.outputSchema) return {};
+  if (violations.length === 0) return { structuredContent: value };
+
+  const schemaViolations = describeViolations(violations);
+  return {
+    isError: true,
+    notice: `The result of ${definition.name} does not match its output schema (${schemaViolations.join('; ')}), so it is only sent as text above.`,
+    schemaViolations
+  };
+};
+
+export { validateToolArguments, checkToolResult, describeViolations, outputSchemaFields };
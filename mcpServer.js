@@ -1,16 +1,49 @@
 #!/usr/bin/env node
 import dotenv from "dotenv";
-import express from "express";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { discoverTools } from "./lib/tools.js";
+import { InsightSentryError, InvalidParamsError, NotFoundError } from "./lib/errors.js";
+import { runWithRequestContext } from "./lib/request-context.js";
+import {
+  validateToolArguments,
+  checkToolResult,
+  describeViolations,
+  outputSchemaFields,
+} from "./lib/validation.js";
+import { validateStartupConfig, isToolEnabled } from "./lib/config.js";
+import { applyResponseBudget, continuationTool, describeContinuation } from "./lib/response-budget.js";
+import { renderResult, withFormatParameter } from "./lib/formats.js";
+import { resolveSymbolArguments } from "./lib/symbols.js";
+import {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  subscribeResource,
+  unsubscribeResource,
+} from "./lib/resources.js";
+import { unsubscribeAllQuotes, closeQuoteStreams } from "./lib/quote-stream.js";
+import { listPrompts, getPrompt } from "./lib/prompts.js";
+import { startHttpServer } from "./lib/http-server.js";
+import { loadAccessClients, isToolAllowed } from "./lib/access.js";
+import { createProgressReporter } from "./lib/progress.js";
+import { createLogger, addLogSink, removeLogSink, isLevelEnabled } from "./lib/logger.js";
+import { recordToolCall } from "./lib/metrics.js";
+import { resolveBaseUrl } from "./lib/auth.js";
 
 import path from "path";
 import { fileURLToPath } from "url";
@@ -21,6 +54,7 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, ".env") });
 
 const SERVER_NAME = "generated-mcp-server";
+const logger = createLogger("Server");
 
 async function transformTools(tools) {
   return tools
@@ -31,14 +65,119 @@ async function transformTools(tools) {
         name: definitionFunction.name,
         description: definitionFunction.description,
         inputSchema: definitionFunction.parameters,
+        ...(definitionFunction.outputSchema && { outputSchema: definitionFunction.outputSchema }),
       };
     })
     .filter(Boolean);
 }
 
-async function run() {
-  const args = process.argv.slice(2);
-  const isSSE = args.includes("--sse");
+/**
+ * Every served tool takes the common `format` argument, which is handled when
+ * the result is rendered rather than by the tool itself.
+ */
+function withFormatArgument(tool) {
+  const definitionFunction = tool.definition.function;
+  return {
+    ...tool,
+    definition: {
+      ...tool.definition,
+      function: { ...definitionFunction, parameters: withFormatParameter(definitionFunction.parameters) },
+    },
+  };
+}
+
+/**
+ * Map a tool failure onto an MCP response. Invalid parameters become protocol
+ * errors; other InsightSentry failures are returned as `isError` results with
+ * a structured payload so the agent can react to the error type.
+ */
+function toolErrorResult(toolName, error) {
+  if (error instanceof InvalidParamsError) {
+    throw new McpError(ErrorCode.InvalidParams, error.message, error.toJSON());
+  }
+
+  if (error instanceof InsightSentryError) {
+    logger.warning(`Tool ${toolName} failed (${error.type})`, error.message);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ error: error.toJSON() }, null, 2),
+        },
+      ],
+    };
+  }
+
+  logger.error(`Tool ${toolName} failed`, error);
+  throw new McpError(
+    ErrorCode.InternalError,
+    `API error: ${error.message}`
+  );
+}
+
+/**
+ * Map a resource or prompt failure onto an MCP error. Unlike tool calls they
+ * have no `isError` result, so every failure is a protocol error carrying the
+ * structured payload. `subject` names the request in logs ("Resource <uri>").
+ */
+function requestError(subject, error) {
+  if (error instanceof InvalidParamsError || error instanceof NotFoundError) {
+    return new McpError(ErrorCode.InvalidParams, error.message, error.toJSON());
+  }
+
+  if (error instanceof InsightSentryError) {
+    logger.warning(`${subject} failed (${error.type})`, error.message);
+    return new McpError(ErrorCode.InternalError, error.message, error.toJSON());
+  }
+
+  logger.error(`${subject} failed`, error);
+  return new McpError(ErrorCode.InternalError, `API error: ${error.message}`);
+}
+
+/**
+ * Request context fields tying a call to its MCP request: the abort signal
+ * (cancellation or a closed connection), the session's log sink and, when the
+ * client sent a progressToken, a reporter sending notifications/progress.
+ */
+function requestControls(request, extra, logSink) {
+  const progressToken = request.params._meta?.progressToken;
+  return {
+    signal: extra.signal,
+    logSink,
+    ...(progressToken !== undefined && {
+      onProgress: createProgressReporter((update) =>
+        extra.sendNotification({ method: "notifications/progress", params: { progressToken, ...update } })
+      ),
+    }),
+  };
+}
+
+/**
+ * Log results that no longer match the tool's output schema. The result is
+ * still returned as text: the data is usually usable, but the schema (or the
+ * code reading the upstream payload) needs updating.
+ */
+function reportSchemaViolations(toolName, violations) {
+  if (violations.length === 0) return;
+  createLogger("Schema").warning(
+    `${toolName} result does not match its output schema: ${describeViolations(violations).join("; ")}`
+  );
+}
+
+/**
+ * Build an MCP server with every handler registered. stdio serves one; the
+ * HTTP transports create one per session, for the client that authenticated
+ * (null when the server has no token file). Only the stdio session receives
+ * background log messages: HTTP sessions may belong to different clients.
+ */
+function createServer({ tools: discoveredTools, filteredTools: servedTools, maxBytes, backgroundLogs = false }, client = null) {
+  // Clients limited to some tools only see those, including through resources and prompts
+  const tools = discoveredTools.filter((tool) => isToolAllowed(client, tool.definition.function.name));
+  const filteredTools = servedTools.filter((tool) => {
+    const name = tool.definition.function.name;
+    return name === continuationTool.definition.function.name || isToolAllowed(client, name);
+  });
 
   const server = new Server(
     {
@@ -48,29 +187,33 @@ async function run() {
     {
       capabilities: {
         tools: {},
+        resources: { subscribe: true },
+        prompts: {},
+        logging: {},
       },
     }
   );
 
-  server.onerror = (error) => console.error("[Error]", error);
+  server.onerror = (error) => logger.error("Protocol error", error);
 
-  // Gracefully shutdown on SIGINT
-  process.on("SIGINT", async () => {
-    await server.close();
-    process.exit(0);
+  // Log messages reach the client once it picks a level with logging/setLevel
+  let logLevel = null;
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    logLevel = request.params.level;
+    return {};
   });
-
-  const tools = await discoverTools();
-
-  // Filter out WebSocket specific tools
-  const excludedToolNames = ['connect_news_feed', 'connect_real_time_data_stream'];
-  const filteredTools = tools.filter(tool => !excludedToolNames.includes(tool.definition.function.name));
+  // Must not log: a failed notification would be logged, and sent, again
+  const logSink = (entry) => {
+    if (!logLevel || !isLevelEnabled(entry.level, logLevel)) return;
+    server.sendLoggingMessage(entry).catch(() => {});
+  };
+  if (backgroundLogs) addLogSink(logSink);
 
   server.setRequestHandler(ListToolsRequestSchema, async () => ({
     tools: await transformTools(filteredTools),
   }));
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const toolName = request.params.name;
     const tool = filteredTools.find((t) => t.definition.function.name === toolName);
 
@@ -78,72 +221,201 @@ async function run() {
       throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${toolName}`);
     }
 
-    const args = request.params.arguments;
-    const requiredParameters =
-      tool.definition?.function?.parameters?.required || [];
+    const startedAt = Date.now();
+    try {
+      // Tools may declare priority: 'low' to be refused first when quota runs short
+      const context = { toolName, priority: tool.priority ?? 'normal', ...requestControls(request, extra, logSink) };
 
-    for (const requiredParameter of requiredParameters) {
-      if (!(requiredParameter in args)) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          `Missing required parameter: ${requiredParameter}`
-        );
-      }
-    }
+      // Turn bare tickers and company names in symbol/codes into EXCHANGE:TICKER codes
+      const { args: resolvedArgs, resolved } = await runWithRequestContext(context, () =>
+        resolveSymbolArguments(tool.definition.function.parameters, request.params.arguments)
+      );
 
-    try {
-      const result = await tool.function(args);
+      // Check the arguments against the tool's JSON Schema and fill in defaults
+      const { format, ...args } = validateToolArguments(tool.definition.function, resolvedArgs);
+
+      const result = await runWithRequestContext(context, () => tool.function(args));
+      const violations = checkToolResult(tool.definition.function, result);
+      reportSchemaViolations(toolName, violations);
+
+      // A matching result is sent twice (text and structuredContent): both copies share the budget
+      const structured = Boolean(tool.definition.function.outputSchema) && violations.length === 0;
+      // continue_response pages are already sized to the budget
+      const render = (value) => renderResult(value, format);
+      const { value, continuation } = toolName === continuationTool.definition.function.name
+        ? { value: result, continuation: null }
+        : applyResponseBudget(result, { maxBytes, render, structured });
+      const { structuredContent, isError, notice, schemaViolations } = outputSchemaFields(tool.definition.function, value, violations);
+      const meta = {
+        // Report which upstream responses were served from the cache
+        ...(context.cache && { cache: context.cache }),
+        ...(resolved.length > 0 && { symbols: resolved }),
+        ...(continuation && { continuation }),
+        ...(schemaViolations && { schema_violations: schemaViolations }),
+      };
+      recordToolCall(toolName, Date.now() - startedAt);
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(result, null, 2),
+            text: render(value),
           },
+          ...(continuation ? [{ type: "text", text: describeContinuation(continuation, maxBytes) }] : []),
+          ...(notice ? [{ type: "text", text: notice }] : []),
         ],
+        ...(structuredContent && { structuredContent }),
+        ...(isError && { isError }),
+        ...(Object.keys(meta).length > 0 && { _meta: meta }),
       };
     } catch (error) {
-      console.error("[Error] Failed to fetch data:", error);
-      throw new McpError(
-        ErrorCode.InternalError,
-        `API error: ${error.message}`
-      );
+      recordToolCall(toolName, Date.now() - startedAt, error);
+      return toolErrorResult(toolName, error);
     }
   });
 
-  if (isSSE) {
-    const app = express();
-    const transports = {};
+  // Reference data readable as resources, served by the discovered tools
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: listResources(tools),
+  }));
 
-    app.get("/sse", async (_req, res) => {
-      const transport = new SSEServerTransport("/messages", res);
-      transports[transport.sessionId] = transport;
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: listResourceTemplates(tools),
+  }));
 
-      res.on("close", () => {
-        delete transports[transport.sessionId];
-      });
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    const { uri } = request.params;
+    try {
+      return await readResource(uri, tools, requestControls(request, extra, logSink));
+    } catch (error) {
+      throw requestError(`Resource ${uri}`, error);
+    }
+  });
 
-      await server.connect(transport);
-    });
+  // Quote resources stream live: subscribers are notified as quotes and bars arrive
+  const notifyUpdated = (uri) => {
+    server.sendResourceUpdated({ uri }).catch((error) => logger.warning("Failed to notify resource update", error));
+  };
+  server.onclose = () => {
+    removeLogSink(logSink);
+    unsubscribeAllQuotes(notifyUpdated);
+  };
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    try {
+      await subscribeResource(uri, tools, notifyUpdated);
+      return {};
+    } catch (error) {
+      throw requestError(`Resource ${uri}`, error);
+    }
+  });
 
-    app.post("/messages", async (req, res) => {
-      const sessionId = req.query.sessionId;
-      const transport = transports[sessionId];
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    await unsubscribeResource(request.params.uri, notifyUpdated);
+    return {};
+  });
+
+  // Workflow prompts prefilled with the results of their tools
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: listPrompts(),
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+    const { name, arguments: promptArguments } = request.params;
+    try {
+      // Steps check the configuration and the client's allowlist themselves, to say why a tool was skipped
+      return await getPrompt(name, promptArguments, discoveredTools, { ...requestControls(request, extra, logSink), client });
+    } catch (error) {
+      throw requestError(`Prompt ${name}`, error);
+    }
+  });
+
+  return server;
+}
 
-      if (transport) {
-        await transport.handlePostMessage(req, res);
-      } else {
-        res.status(400).send("No transport found for sessionId");
+async function run() {
+  const args = process.argv.slice(2);
+  // --http serves Streamable HTTP on /mcp; --sse is kept for existing setups and serves the same endpoints
+  const isHTTP = args.includes("--http") || args.includes("--sse");
+
+  // --profile <name> (or --profile=<name>) takes precedence over INSIGHTSENTRY_TOOL_PROFILE
+  const profileIndex = args.findIndex((arg) => arg === "--profile" || arg.startsWith("--profile="));
+  if (profileIndex !== -1) {
+    const [, inlineProfile] = args[profileIndex].split("=");
+    const profile = inlineProfile ?? args[profileIndex + 1];
+    if (!profile) {
+      createLogger("Config").error("--profile needs a profile name");
+      process.exit(1);
+    }
+    process.env.INSIGHTSENTRY_TOOL_PROFILE = profile;
+  }
+
+  const tools = await discoverTools({ toolsDir: path.resolve(__dirname, "tools") });
+
+  const toolNames = tools.map((tool) => tool.definition.function.name);
+  let config;
+  try {
+    config = validateStartupConfig({ toolNames });
+  } catch (error) {
+    createLogger("Config").error(error.message);
+    process.exit(1);
+  }
+
+  // Filter out WebSocket specific tools and tools outside the profile or disabled in the configuration
+  const excludedToolNames = ['connect_news_feed', 'connect_real_time_data_stream'];
+  const filteredTools = tools
+    .filter((tool) => {
+      const name = tool.definition.function.name;
+      return !excludedToolNames.includes(name) && isToolEnabled(name, config);
+    })
+    .map(withFormatArgument);
+  // Results over the response budget are truncated; continue_response serves the rest
+  const { maxBytes } = config.responses;
+  if (maxBytes > 0) filteredTools.push(withFormatArgument(continuationTool));
+  createLogger("Tools").info(`Serving ${filteredTools.length} tools (profile: ${config.tools.profile})`);
+
+  const serverOptions = { tools, filteredTools, maxBytes };
+  let close;
+  if (isHTTP) {
+    const { port, sessionIdleMs, tokensFile } = config.server;
+    let clients;
+    if (tokensFile) {
+      try {
+        clients = loadAccessClients(tokensFile, { toolNames });
+      } catch (error) {
+        createLogger("Config").error(error.message);
+        process.exit(1);
       }
-    });
+      createLogger("Auth").info(`${clients.length} clients allowed (${tokensFile})`);
+    } else {
+      createLogger("Auth").warning("No token file (INSIGHTSENTRY_TOKENS_FILE): the HTTP server is open to anyone who can reach it");
+    }
 
-    const port = process.env.PORT || 3001;
-    app.listen(port, () => {
-      console.log(`[SSE Server] running on port ${port}`);
+    const httpServer = await startHttpServer({
+      createServer: (client) => createServer(serverOptions, client),
+      sessionIdleMs,
+      clients,
+      // Replayed fixtures need no upstream
+      readiness: {
+        checkConfig: () => validateStartupConfig({ toolNames }),
+        upstreamUrls: ({ api }) => (api.mode === "replay" ? [] : [resolveBaseUrl(api)]),
+      },
+      port,
     });
+    close = httpServer.close;
+    createLogger("HTTP Server").info(`Running on port ${port} (Streamable HTTP on /mcp, SSE on /sse, metrics on /metrics)`);
   } else {
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
+    const server = createServer({ ...serverOptions, backgroundLogs: true });
+    close = () => server.close();
+    await server.connect(new StdioServerTransport());
   }
+
+  // Gracefully shutdown on SIGINT
+  process.on("SIGINT", async () => {
+    closeQuoteStreams();
+    await close();
+    process.exit(0);
+  });
 }
 
-run().catch(console.error);
+run().catch((error) => logger.critical("Server failed", error));
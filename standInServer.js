@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createStandInServer } from "./lib/stand-in/server.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, ".env") });
+
+const PORT = Number(process.env.STANDIN_PORT) || 3100;
+
+const standIn = await createStandInServer({
+  port: PORT,
+  host: process.env.STANDIN_HOST || "127.0.0.1",
+  dataDir: path.resolve(__dirname, "data"),
+  fixturesDir: process.env.STANDIN_FIXTURES_DIR,
+  quota: Number(process.env.STANDIN_QUOTA) || undefined,
+  streamIntervalMs: Number(process.env.STANDIN_STREAM_INTERVAL_MS) || undefined,
+});
+
+console.log(`[Stand-in] InsightSentry stand-in listening on ${standIn.url}`);
+console.log("[Stand-in] Point the tools at it with:");
+console.log(`  INSIGHTSENTRY_BASE_URL=${standIn.url}`);
+console.log(`  INSIGHTSENTRY_WS_LIVE_URL=${standIn.wsUrl}/live`);
+console.log(`  INSIGHTSENTRY_WS_NEWSFEED_URL=${standIn.wsUrl}/newsfeed`);
+
+process.on("SIGINT", async () => {
+  console.log("[Stand-in] Shutting down...");
+  await standIn.close();
+  process.exit(0);
+});
@@ -8,20 +8,40 @@ import { fileURLToPath } from "url";
 // Import the tool functions
 import { apiTool as newsFeedTool } from "./tools/insightsentry/insight-sentry/news-feed-live-streaming.js";
 import { apiTool as realTimeDataTool } from "./tools/insightsentry/insight-sentry/real-time-data-streaming.js";
+import { getConfig } from "./lib/config.js";
+import { createLogger, redact } from "./lib/logger.js";
+import { handleMonitoringRequest } from "./lib/health.js";
+import { registerGauge } from "./lib/metrics.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 dotenv.config({ path: path.resolve(__dirname, ".env") });
 
-const PORT = process.env.STREAMING_PORT || 3002;
+const logger = createLogger("Streaming Server");
 
-const server = http.createServer((req, res) => {
-  // Basic HTTP server, can be expanded if needed for health checks etc.
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  createLogger("Config").error(error.message);
+  process.exit(1);
+}
+
+const PORT = config.server.streamingPort;
+
+// Ready once the configuration is valid and both InsightSentry feeds accept connections
+const readiness = {
+  checkConfig: getConfig,
+  upstreamUrls: ({ websocket }) => [websocket.liveUrl, websocket.newsfeedUrl],
+};
+
+const server = http.createServer(async (req, res) => {
+  // /health is kept for existing probes
   if (req.url === "/health" && req.method === "GET") {
     res.writeHead(200, { "Content-Type": "application/json" });
     res.end(JSON.stringify({ status: "ok" }));
-  } else {
+  } else if (!(await handleMonitoringRequest(req, res, readiness))) {
     res.writeHead(404);
     res.end();
   }
@@ -29,7 +49,11 @@ const server = http.createServer((req, res) => {
 
 const wss = new WebSocketServer({ server });
 
-console.log(`[Streaming Server] WebSocket server started on port ${PORT}`);
+registerGauge("insightsentry_websocket_clients", "WebSocket clients connected to the streaming server", () => [
+  { value: wss.clients.size },
+]);
+
+logger.info(`WebSocket server started on port ${PORT}`);
 
 wss.on("connection", (ws, req) => {
   const requestUrl = new URL(req.url, `ws://${req.headers.host}`);
@@ -52,7 +76,7 @@ wss.on("connection", (ws, req) => {
     }
   }
 
-  console.log(`[Streaming Server] Client connected for tool: ${toolName} with params:`, queryParams);
+  logger.info(`Client connected for tool: ${toolName} with params`, queryParams);
 
   let toolModule;
 
@@ -61,7 +85,7 @@ wss.on("connection", (ws, req) => {
   } else if (toolName === realTimeDataTool.definition.function.name) {
     toolModule = realTimeDataTool;
   } else {
-    console.log(`[Streaming Server] Unknown tool: ${toolName}. Closing connection.`);
+    logger.warning(`Unknown tool: ${toolName}. Closing connection.`);
     ws.send(JSON.stringify({ error: `Unknown tool: ${toolName}` }));
     ws.close(1008, "Unknown tool");
     return;
@@ -71,7 +95,7 @@ wss.on("connection", (ws, req) => {
   toolModule.function(queryParams)
     .then(clientSocket => {
       if (clientSocket && clientSocket instanceof WebSocket) {
-        console.log(`[Streaming Server] Piping messages for tool: ${toolName}`);
+        logger.info(`Piping messages for tool: ${toolName}`);
 
         // Forward messages from the target WebSocket to the client
         clientSocket.onmessage = (event) => {
@@ -80,13 +104,13 @@ wss.on("connection", (ws, req) => {
           }
         };
         clientSocket.onerror = (error) => {
-          console.error(`[Streaming Server] Error from target WebSocket for ${toolName}:`, error);
+          logger.error(`Error from target WebSocket for ${toolName}`, error.message);
           if (ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify({ error: `Target WebSocket error for ${toolName}` }));
           }
         };
         clientSocket.onclose = () => {
-          console.log(`[Streaming Server] Target WebSocket for ${toolName} closed.`);
+          logger.info(`Target WebSocket for ${toolName} closed.`);
           if (ws.readyState === WebSocket.OPEN) {
             ws.close(1000, `Target WebSocket for ${toolName} closed.`);
           }
@@ -101,18 +125,18 @@ wss.on("connection", (ws, req) => {
 
         // Handle client closing the connection
         ws.onclose = () => {
-          console.log(`[Streaming Server] Client disconnected from ${toolName}.`);
+          logger.info(`Client disconnected from ${toolName}.`);
           if (clientSocket.readyState === WebSocket.OPEN || clientSocket.readyState === WebSocket.CONNECTING) {
             clientSocket.close();
           }
         };
       } else {
-        console.log(`[Streaming Server] Tool ${toolName} executed but did not return a manageable WebSocket. This path should ideally not be hit if tools are updated.`);
+        logger.warning(`Tool ${toolName} executed but did not return a manageable WebSocket. This path should ideally not be hit if tools are updated.`);
         ws.send(JSON.stringify({ message: `Connected to ${toolName}. It should handle its own streaming or was expected to return a WebSocket.`}));
       }
     })
     .catch(error => {
-      console.error(`[Streaming Server] Error executing tool ${toolName} with params ${JSON.stringify(queryParams)}:`, error);
+      logger.error(`Error executing tool ${toolName} with params ${JSON.stringify(redact(queryParams))}`, error);
       if (ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({ error: `Error executing tool ${toolName}: ${error.message}` }));
         ws.close(1011, `Error executing tool ${toolName}`);
@@ -120,19 +144,19 @@ wss.on("connection", (ws, req) => {
     });
 
   ws.on("error", (error) => {
-    console.error(`[Streaming Server] WebSocket error for client connected to ${toolName}:`, error);
+    logger.error(`WebSocket error for client connected to ${toolName}`, error);
   });
 });
 
 server.listen(PORT, () => {
-  console.log(`[Streaming Server] HTTP server listening on port ${PORT}, WebSocket server is attached.`);
+  logger.info(`HTTP server listening on port ${PORT}, WebSocket server is attached.`);
 });
 
 process.on("SIGINT", () => {
-  console.log("[Streaming Server] Shutting down...");
+  logger.info("Shutting down...");
   wss.close(() => {
     server.close(() => {
-      console.log("[Streaming Server] Shutdown complete.");
+      logger.info("Shutdown complete.");
       if (process.env.JEST_WORKER_ID === undefined) {
         process.exit(0);
       }
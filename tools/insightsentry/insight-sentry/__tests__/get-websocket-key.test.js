@@ -36,6 +36,18 @@ describe('get-websocket-key', () => {
     await expect(getWebSocketKey({ restApiKey: 'rest-key' })).rejects.toThrow('Failed to obtain WebSocket API key: 401 Unauthorized');
   });
 
+  it('uses the configured API key in direct auth mode', async () => {
+    const originalEnv = process.env;
+    process.env = { ...originalEnv, INSIGHTSENTRY_AUTH_MODE: 'direct', INSIGHTSENTRY_API_KEY: 'direct-key' };
+    try {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ websocket_key: 'ws-key' }) });
+      await expect(getWebSocketKey()).resolves.toBe('ws-key');
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer direct-key');
+    } finally {
+      process.env = originalEnv;
+    }
+  });
+
   it('throws on fetch error', async () => {
     fetch.mockRejectedValueOnce(new Error('fail'));
     await expect(getWebSocketKey({ restApiKey: 'rest-key' })).rejects.toThrow('Error obtaining WebSocket API key: fail');
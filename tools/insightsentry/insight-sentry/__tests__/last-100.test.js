@@ -1,5 +1,6 @@
 import { jest } from '@jest/globals';
 import { apiTool } from '../last-100.js';
+import { InvalidParamsError, UpstreamError } from '../../../../lib/errors.js';
 
 global.fetch = jest.fn();
 const mockResponse = {
@@ -39,16 +40,14 @@ describe('last-100', () => {
     expect(fetch.mock.calls[0][0]).toContain('keywords=earnings');
   });
 
-  it('returns error object on fetch error', async () => {
+  it('throws an upstream error on fetch error', async () => {
     fetch.mockRejectedValueOnce(new Error('fail'));
-    const result = await apiTool.function({});
-    expect(result).toHaveProperty('error');
+    await expect(apiTool.function({})).rejects.toBeInstanceOf(UpstreamError);
   });
 
-  it('returns error object on non-ok response', async () => {
-    fetch.mockResolvedValueOnce({ ok: false, json: async () => ({ message: 'bad' }) });
-    const result = await apiTool.function({});
-    expect(result).toHaveProperty('error');
+  it('throws a typed error on non-ok response', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 400, json: async () => ({ message: 'bad' }) });
+    await expect(apiTool.function({})).rejects.toBeInstanceOf(InvalidParamsError);
   });
 
   it('response matches schema', async () => {
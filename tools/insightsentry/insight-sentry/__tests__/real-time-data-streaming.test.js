@@ -1,16 +1,25 @@
 import { jest } from '@jest/globals';
 import { apiTool } from '../real-time-data-streaming.js';
+import { addLogSink, removeLogSink } from '../../../../lib/logger.js';
+import { UpstreamError } from '../../../../lib/errors.js';
 
 // Mock WebSocket
 class MockWebSocket {
   static OPEN = 1;
   static CONNECTING = 0;
+  static created = 0;
+  static unreachable = false;
   constructor(url) {
+    MockWebSocket.created += 1;
     this.url = url;
     this.readyState = MockWebSocket.CONNECTING;
     this.sentMessages = [];
     this.eventListeners = {};
     setTimeout(() => {
+      if (MockWebSocket.unreachable) {
+        this.close(1006, 'unreachable');
+        return;
+      }
       this.readyState = MockWebSocket.OPEN;
       this.onopen && this.onopen();
     }, 10);
@@ -18,9 +27,9 @@ class MockWebSocket {
   send(msg) {
     this.sentMessages.push(msg);
   }
-  close() {
+  close(code = 1000, reason = 'closed') {
     this.readyState = 3;
-    this.onclose && this.onclose({ code: 1000, reason: 'closed' });
+    this.onclose && this.onclose({ code, reason });
   }
   addEventListener(event, cb) {
     this.eventListeners[event] = cb;
@@ -43,8 +52,20 @@ describe('real-time-data-streaming', () => {
     { code: 'NASDAQ:AAPL', type: 'quote' }
   ];
 
+  // Per-message logs are debug level, so they are read from a log sink rather than stderr
+  let logged;
+  const sink = (entry) => logged.push(entry);
+  const messages = (level) => logged.filter((entry) => entry.level === level).map(({ data }) => data);
+
+  beforeEach(() => {
+    logged = [];
+    addLogSink(sink);
+  });
+
   afterEach(() => {
+    removeLogSink(sink);
     jest.clearAllTimers();
+    MockWebSocket.unreachable = false;
   });
 
   it('rejects if subscriptions or websocketKey missing', async () => {
@@ -82,14 +103,8 @@ describe('real-time-data-streaming', () => {
         }
       ]
     });
-    // Should log bar series
-    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
     ws.triggerMessage(seriesData);
-    expect(logSpy).toHaveBeenCalledWith(
-      expect.stringContaining('Bar series:'),
-      expect.objectContaining(JSON.parse(seriesData))
-    );
-    logSpy.mockRestore();
+    expect(messages('debug')).toContainEqual({ message: 'Bar series', data: JSON.parse(seriesData) });
   });
 
   it('handles valid quote data', async () => {
@@ -108,16 +123,11 @@ describe('real-time-data-streaming', () => {
       ask_size: 520.0,
       bid_size: 430.0
     });
-    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
     ws.triggerMessage(quoteData);
-    expect(logSpy).toHaveBeenCalledWith(
-      expect.stringContaining('Quote:'),
-      expect.objectContaining(JSON.parse(quoteData))
-    );
-    logSpy.mockRestore();
+    expect(messages('debug')).toContainEqual({ message: 'Quote', data: JSON.parse(quoteData) });
   });
 
-  it('discards stale data and logs warning', async () => {
+  it('discards stale data', async () => {
     const promise = apiTool.function({ subscriptions, websocketKey });
     jest.advanceTimersByTime(20);
     const ws = await promise;
@@ -126,40 +136,82 @@ describe('real-time-data-streaming', () => {
       code: 'NASDAQ:AAPL',
       series: { t: Math.floor((now - 20000) / 1000) } // 20s old
     });
-    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
     ws.triggerMessage(staleSeries);
-    expect(warnSpy).toHaveBeenCalledWith(
-      expect.stringContaining('Stale data received'),
-      expect.anything()
-    );
-    warnSpy.mockRestore();
+    expect(messages('debug')).toContainEqual({
+      message: expect.stringContaining('Stale data received'),
+      data: JSON.parse(staleSeries)
+    });
   });
 
   it('logs non-JSON messages', async () => {
     const promise = apiTool.function({ subscriptions, websocketKey });
     jest.advanceTimersByTime(20);
     const ws = await promise;
-    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
     ws.triggerMessage('not-json');
-    expect(logSpy).toHaveBeenCalledWith(
-      expect.stringContaining('Non-JSON message:'),
-      'not-json'
-    );
-    logSpy.mockRestore();
+    expect(messages('debug')).toContainEqual({ message: 'Non-JSON message', data: 'not-json' });
+  });
+
+  it('does not reconnect once aborted during the reconnect delay', async () => {
+    const controller = new AbortController();
+    const promise = apiTool.function({ subscriptions, websocketKey, signal: controller.signal });
+    jest.advanceTimersByTime(20);
+    const ws = await promise;
+    const created = MockWebSocket.created;
+
+    ws.close(); // schedules a reconnect
+    controller.abort();
+    jest.advanceTimersByTime(10000);
+    expect(MockWebSocket.created).toBe(created);
   });
 
   it('reconnects on error and close', async () => {
     const promise = apiTool.function({ subscriptions, websocketKey });
     jest.advanceTimersByTime(20);
     const ws = await promise;
-    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const stderrSpy = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
     ws.triggerError({ message: 'test error' });
     jest.advanceTimersByTime(2000); // Initial reconnect delay
+    expect(messages('error')).toContainEqual({ message: 'WebSocket error', data: 'test error' });
     // Should log reconnect attempt
-    const logCalls = logSpy.mock.calls.flat();
-    expect(logCalls.some(msg => msg.includes('WebSocket connection closed') && msg.includes('Reconnecting'))).toBe(true);
-    errorSpy.mockRestore();
-    logSpy.mockRestore();
+    expect(messages('info').some((msg) => msg.includes('WebSocket connection closed') && msg.includes('Reconnecting'))).toBe(true);
+    stderrSpy.mockRestore();
+  });
+
+  it('reports a stream the server refuses and stops reconnecting', async () => {
+    const onClose = jest.fn();
+    const promise = apiTool.function({ subscriptions, websocketKey, onClose });
+    jest.advanceTimersByTime(20);
+    const ws = await promise;
+    const created = MockWebSocket.created;
+
+    ws.close(4001, 'Unauthorized');
+    jest.advanceTimersByTime(10000);
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(onClose.mock.calls[0][0]).toBeInstanceOf(UpstreamError);
+    expect(onClose.mock.calls[0][0].message).toContain('refused by the server (code: 4001, reason: Unauthorized)');
+    expect(MockWebSocket.created).toBe(created);
+  });
+
+  it('gives up after repeated failed connections', async () => {
+    const onClose = jest.fn();
+    MockWebSocket.unreachable = true;
+    const promise = apiTool.function({ subscriptions, websocketKey, onClose });
+    const rejection = expect(promise).rejects.toThrow('failed 5 times in a row');
+
+    await jest.advanceTimersByTimeAsync(60000);
+    await rejection;
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not report a terminal failure after an abort', async () => {
+    const onClose = jest.fn();
+    const controller = new AbortController();
+    const promise = apiTool.function({ subscriptions, websocketKey, onClose, signal: controller.signal });
+    jest.advanceTimersByTime(20);
+    const ws = await promise;
+
+    controller.abort();
+    ws.close(4001, 'Unauthorized');
+    expect(onClose).not.toHaveBeenCalled();
   });
-}); 
\ No newline at end of file
+});
@@ -1,4 +1,6 @@
 import { apiTool } from '../session-infomation';
+import { InsightSentryError } from '../../../../lib/errors.js';
+import { clearResponseCache } from '../../../../lib/cache.js';
 
 // Mock fetch globally
 const mockFetch = jest.fn();
@@ -32,6 +34,7 @@ describe('get_session_information', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    clearResponseCache();
     process.env.INSIGHTSENTRY_BASE_URL = 'https://mock-base-url.com';
     process.env.INSIGHTSENTRY_API_KEY = 'mock-api-key';
   });
@@ -48,27 +51,26 @@ describe('get_session_information', () => {
       expect.objectContaining({
         method: 'GET',
         headers: expect.objectContaining({
-          'Content-Type': 'application/json',
-          'X-RapidAPI-Key': 'mock-api-key'
+          'Accept': 'application/json',
+          'x-rapidapi-key': 'mock-api-key'
         })
       })
     );
   });
 
-  it('should handle API errors gracefully', async () => {
+  it('should surface API errors with the upstream message', async () => {
     mockFetch.mockResolvedValueOnce({
       ok: false,
+      status: 404,
       json: async () => ({ message: 'Not found' })
     });
-    const result = await apiTool.function(mockRequest);
-    expect(result).toHaveProperty('error');
-    expect(result.error).toMatch(/error/i);
+    const call = apiTool.function(mockRequest);
+    await expect(call).rejects.toBeInstanceOf(InsightSentryError);
+    await expect(call).rejects.toMatchObject({ type: 'symbol_not_found', status: 404, upstreamMessage: 'Not found' });
   });
 
-  it('should handle fetch exceptions gracefully', async () => {
+  it('should surface fetch exceptions as upstream errors', async () => {
     mockFetch.mockRejectedValueOnce(new Error('Network error'));
-    const result = await apiTool.function(mockRequest);
-    expect(result).toHaveProperty('error');
-    expect(result.error).toMatch(/error/i);
+    await expect(apiTool.function(mockRequest)).rejects.toMatchObject({ type: 'upstream_error' });
   });
 });
@@ -0,0 +1,35 @@
+import { getUsageSnapshot } from '../../../lib/usage.js';
+import { apiUsageSchema } from '../../../lib/output-schemas.js';
+
+/**
+ * Function to report RapidAPI quota and request counters for this server.
+ * Answered locally - it never calls InsightSentry.
+ *
+ * @returns {Promise<Object>} - Remaining quota, soft limit state and per-endpoint/per-tool/per-key counters.
+ */
+const executeFunction = async () => {
+  return getUsageSnapshot();
+};
+
+/**
+ * Tool configuration for reporting InsightSentry API usage.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_api_usage',
+      description: 'Report remaining RapidAPI quota (from the latest rate-limit headers), whether the soft limit has been reached, and request counters per endpoint, per tool and per API key (with any key quarantined after auth or rate-limit failures) since the server started. Keys are identified by a label, never by their value. Does not consume quota.',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      outputSchema: apiUsageSchema
+    }
+  }
+};
+
+export { apiTool };
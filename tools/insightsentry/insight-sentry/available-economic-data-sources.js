@@ -1,39 +1,14 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { economicDataSourcesSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to retrieve available economic data sources from InsightSentry.
  *
  * @returns {Promise<Object>} - The result of the API call containing economic data sources.
  */
 const executeFunction = async () => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL for the API request
-    const url = `${baseUrl}/v2/datasets/sources/economy`;
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving economic data sources:', error);
-    return { error: 'An error occurred while retrieving economic data sources.' };
-  }
+  // Fetch available economic data sources through the shared client
+  return insightSentryRequest('/v2/datasets/sources/economy');
 };
 
 /**
@@ -42,6 +17,7 @@ const executeFunction = async () => {
  */
 const apiTool = {
   function: executeFunction,
+  priority: 'low',
   definition: {
     type: 'function',
     function: {
@@ -51,7 +27,8 @@ const apiTool = {
         type: 'object',
         properties: {},
         required: []
-      }
+      },
+      outputSchema: economicDataSourcesSchema
     }
   }
 };
@@ -1,39 +1,14 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { exchangesSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to retrieve available exchanges for Stock Bulk Data from InsightSentry.
  *
  * @returns {Promise<Object>} - The result of the available exchanges request.
  */
 const executeFunction = async () => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL for the request
-    const url = `${baseUrl}/v2/exchanges`;
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving available exchanges:', error);
-    return { error: 'An error occurred while retrieving available exchanges.' };
-  }
+  // Fetch available exchanges through the shared client
+  return insightSentryRequest('/v2/exchanges');
 };
 
 /**
@@ -42,6 +17,7 @@ const executeFunction = async () => {
  */
 const apiTool = {
   function: executeFunction,
+  priority: 'low',
   definition: {
     type: 'function',
     function: {
@@ -51,7 +27,8 @@ const apiTool = {
         type: 'object',
         properties: {},
         required: []
-      }
+      },
+      outputSchema: exchangesSchema
     }
   }
 };
@@ -1,3 +1,7 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { InvalidParamsError } from '../../../lib/errors.js';
+import { bulkQuotesSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to fetch bulk L1 quotes for specified symbols from InsightSentry.
  *
@@ -6,42 +10,14 @@
  * @returns {Promise<Object>} - The result of the quote request.
  */
 const executeFunction = async ({ codes }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  
   if (!Array.isArray(codes) || codes.length > 10) {
-    throw new Error('You must provide an array of up to 10 symbol codes.');
+    throw new InvalidParamsError('You must provide an array of up to 10 symbol codes.');
   }
 
-  try {
-    // Construct the URL with query parameters
-    const url = new URL(`${baseUrl}/v2/symbols/quotes`);
-    url.searchParams.append('codes', codes.join(','));
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error fetching bulk L1 quotes:', error);
-    return { error: 'An error occurred while fetching bulk L1 quotes.' };
-  }
+  // Fetch quotes for all codes in a single request
+  return insightSentryRequest('/v2/symbols/quotes', {
+    params: { codes: codes.join(',') }
+  });
 };
 
 /**
@@ -69,7 +45,8 @@ const apiTool = {
           }
         },
         required: ['codes']
-      }
+      },
+      outputSchema: bulkQuotesSchema
     }
   }
 };
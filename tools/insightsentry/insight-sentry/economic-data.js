@@ -1,3 +1,6 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { economicDataSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to fetch historical series data for an economic indicator.
  *
@@ -6,36 +9,8 @@
  * @returns {Promise<Object>} - The historical series data for the specified economic indicator.
  */
 const executeFunction = async ({ id }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL with the path variable
-    const url = `${baseUrl}/v2/datasets/economy/${id}/series`;
-
-    // Set up headers for the request
-    const headers = {
-      'x-rapidapi-key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error fetching economic data:', error);
-    return { error: 'An error occurred while fetching economic data.' };
-  }
+  // Fetch the indicator series through the shared client
+  return insightSentryRequest(`/v2/datasets/economy/${id}/series`);
 };
 
 /**
@@ -58,7 +33,8 @@ const apiTool = {
           }
         },
         required: ['id']
-      }
+      },
+      outputSchema: economicDataSchema
     }
   }
 };
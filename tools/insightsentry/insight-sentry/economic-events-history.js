@@ -1,3 +1,6 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { economicEventsHistorySchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to retrieve the economic events history based on the provided event ID.
  *
@@ -6,36 +9,8 @@
  * @returns {Promise<Object>} - The result of the economic events history retrieval.
  */
 const executeFunction = async ({ id }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL with the event ID
-    const url = `${baseUrl}/v2/events/economy/${id}/history`;
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving economic events history:', error);
-    return { error: 'An error occurred while retrieving economic events history.' };
-  }
+  // Fetch the event history through the shared client
+  return insightSentryRequest(`/v2/events/economy/${id}/history`);
 };
 
 /**
@@ -44,6 +19,7 @@ const executeFunction = async ({ id }) => {
  */
 const apiTool = {
   function: executeFunction,
+  priority: 'low',
   definition: {
     type: 'function',
     function: {
@@ -58,7 +34,8 @@ const apiTool = {
           }
         },
         required: ['id']
-      }
+      },
+      outputSchema: economicEventsHistorySchema
     }
   }
 };
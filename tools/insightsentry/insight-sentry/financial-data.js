@@ -1,3 +1,12 @@
+import { insightSentryRequest, EXTENDED_TIMEOUT_MS } from '../../../lib/client.js';
+import {
+  financialDataSchema,
+  peadEssentialsSchema,
+  valuationRatiosSchema,
+  balanceSheetHealthSchema,
+  companyInfoSchema
+} from '../../../lib/output-schemas.js';
+
 /**
  * Base function to fetch financial data for a specific stock symbol from InsightSentry.
  *
@@ -9,43 +18,17 @@
  * @returns {Promise<Object>} - The financial data for the specified stock symbol.
  */
 const executeFunction = async ({ symbol, sections = null, optimize = false, quarters_limit = 4 }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
+  // Fetch the full financials payload; it is large, so allow a longer timeout
+  const data = await insightSentryRequest(`/v2/symbols/${encodeURIComponent(symbol)}/financials`, {
+    timeoutMs: EXTENDED_TIMEOUT_MS
+  });
   
-  try {
-    // Construct the URL with the stock symbol
-    const url = `${baseUrl}/v2/symbols/${symbol}/financials`;
-
-    // Set up headers for the request
-    const headers = {
-      'x-rapidapi-key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse the response data
-    const data = await response.json();
-    
-    // Apply filtering/optimization if requested
-    if (optimize || sections) {
-      return optimizeFinancialData(data, { sections, quarters_limit });
-    }
-    
-    return data;
-  } catch (error) {
-    console.error('Error fetching financial data:', error);
-    return { error: 'An error occurred while fetching financial data.' };
+  // Apply filtering/optimization if requested
+  if (optimize || sections) {
+    return optimizeFinancialData(data, { sections, quarters_limit });
   }
+  
+  return data;
 };
 
 /**
@@ -213,13 +196,15 @@ const apiTool = {
           symbol: {
             type: 'string',
             description: 'Stock ticker symbol with exchange prefix (e.g., "NASDAQ:AAPL", "NYSE:MSFT"). Must include exchange and be a valid US stock symbol.',
-            pattern: '^[A-Z]+:[A-Z]{1,5}$'
+            pattern: '^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$'
           },
           sections: {
             type: 'array',
-            items: { type: 'string' },
-            description: 'Specific data sections to extract. Available: ["income_statement", "balance_sheet", "cash_flow", "valuation_ratios", "profitability", "company_info"]. Leave empty for all sections.',
-            enum: ['income_statement', 'balance_sheet', 'cash_flow', 'valuation_ratios', 'profitability', 'company_info']
+            items: {
+              type: 'string',
+              enum: ['income_statement', 'balance_sheet', 'cash_flow', 'valuation_ratios', 'profitability', 'company_info', 'dividends', 'earnings', 'price_targets', 'revenue_segments']
+            },
+            description: 'Specific data sections to extract. Available: ["income_statement", "balance_sheet", "cash_flow", "valuation_ratios", "profitability", "company_info", "dividends", "earnings", "price_targets", "revenue_segments"]. Leave empty for all sections.'
           },
           optimize: {
             type: 'boolean',
@@ -235,7 +220,8 @@ const apiTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: financialDataSchema
     }
   }
 };
@@ -264,7 +250,7 @@ const peadEssentialsTool = {
           symbol: {
             type: 'string',
             description: 'Stock ticker symbol with exchange prefix for PEAD analysis (e.g., "NASDAQ:AAPL"). Must be a company that reports quarterly earnings.',
-            pattern: '^[A-Z]+:[A-Z]{1,5}$'
+            pattern: '^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$'
           },
           include_estimates: {
             type: 'boolean',
@@ -273,7 +259,8 @@ const peadEssentialsTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: peadEssentialsSchema
     }
   }
 };
@@ -302,7 +289,7 @@ const valuationRatiosTool = {
           symbol: {
             type: 'string',
             description: 'Stock ticker symbol with exchange prefix for valuation analysis (e.g., "NASDAQ:MSFT"). Works best with profitable, established companies.',
-            pattern: '^[A-Z]+:[A-Z]{1,5}$'
+            pattern: '^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$'
           },
           include_peer_context: {
             type: 'boolean',
@@ -316,7 +303,8 @@ const valuationRatiosTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: valuationRatiosSchema
     }
   }
 };
@@ -345,7 +333,7 @@ const balanceSheetHealthTool = {
           symbol: {
             type: 'string',
             description: 'Stock ticker symbol with exchange prefix for financial health assessment (e.g., "NYSE:F", "NYSE:GE"). Particularly useful for analyzing mature companies or those in cyclical industries.',
-            pattern: '^[A-Z]+:[A-Z]{1,5}$'
+            pattern: '^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$'
           },
           focus_on_liquidity: {
             type: 'boolean',
@@ -359,7 +347,8 @@ const balanceSheetHealthTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: balanceSheetHealthSchema
     }
   }
 };
@@ -408,7 +397,7 @@ const companyInfoTool = {
           symbol: {
             type: 'string',
             description: 'Stock ticker symbol with exchange prefix for company information (e.g., "NASDAQ:GOOGL", "NYSE:BRK.B"). Works for any publicly traded US company.',
-            pattern: '^[A-Z]+:[A-Z]{1,5}(\\.?[A-Z])?$'
+            pattern: '^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$'
           },
           include_business_description: {
             type: 'boolean',
@@ -422,7 +411,8 @@ const companyInfoTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: companyInfoSchema
     }
   }
 };
@@ -3,34 +3,21 @@
  * These tools extract and transform data from the base financial-data tool
  */
 
-// Import the base execution function
+import { insightSentryRequest, EXTENDED_TIMEOUT_MS } from '../../../lib/client.js';
+import { earningsSurpriseSchema, financialHealthFlagsSchema, marketCapScreeningSchema, sentimentContextSchema } from '../../../lib/output-schemas.js';
+
+// Base execution function shared by the derived financial tools
 const executeFunction = async (args) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
+  const data = await insightSentryRequest(`/v2/symbols/${encodeURIComponent(args.symbol)}/financials`, {
+    timeoutMs: EXTENDED_TIMEOUT_MS
+  });
   
-  try {
-    const url = `${baseUrl}/v2/symbols/${args.symbol}/financials`;
-    const headers = { 'x-rapidapi-key': apiKey };
-    
-    const response = await fetch(url, { method: 'GET', headers });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-    
-    const data = await response.json();
-    
-    // Apply basic optimization if requested
-    if (args.optimize || args.quarters_limit) {
-      return optimizeFinancialData(data, args);
-    }
-    
-    return data;
-  } catch (error) {
-    console.error('Error fetching financial data:', error);
-    return { error: 'An error occurred while fetching financial data.' };
+  // Apply basic optimization if requested
+  if (args.optimize || args.quarters_limit) {
+    return optimizeFinancialData(data, args);
   }
+  
+  return data;
 };
 
 const optimizeFinancialData = (rawData, options = {}) => {
@@ -123,7 +110,7 @@ const marketCapScreeningTool = {
           symbol: {
             type: 'string',
             description: 'Stock ticker symbol with exchange prefix for market cap screening (e.g., "NASDAQ:AAPL"). Best for liquid, established companies with clear share count data.',
-            pattern: '^[A-Z]+:[A-Z]{1,5}$'
+            pattern: '^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$'
           },
           include_valuation_context: {
             type: 'boolean',
@@ -137,7 +124,8 @@ const marketCapScreeningTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: marketCapScreeningSchema
     }
   }
 };
@@ -193,7 +181,7 @@ const earningsSurpriseTool = {
           symbol: {
             type: 'string',
             description: 'Stock ticker symbol with exchange prefix for earnings surprise analysis (e.g., "NASDAQ:NVDA"). Most effective for companies with consistent quarterly reporting and analyst coverage.',
-            pattern: '^[A-Z]+:[A-Z]{1,5}$'
+            pattern: '^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$'
           },
           historical_quarters: {
             type: 'number',
@@ -209,7 +197,8 @@ const earningsSurpriseTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: earningsSurpriseSchema
     }
   }
 };
@@ -278,7 +267,7 @@ const financialHealthFlagsTool = {
           symbol: {
             type: 'string',
             description: 'Stock ticker symbol with exchange prefix for financial health assessment (e.g., "NYSE:F", "NYSE:GE"). Most useful for mature companies, cyclical businesses, or stocks with recent performance concerns.',
-            pattern: '^[A-Z]+:[A-Z]{1,5}$'
+            pattern: '^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$'
           },
           focus_on_debt: {
             type: 'boolean',
@@ -299,7 +288,8 @@ const financialHealthFlagsTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: financialHealthFlagsSchema
     }
   }
 };
@@ -360,7 +350,7 @@ const sentimentContextTool = {
           symbol: {
             type: 'string',
             description: 'Stock ticker symbol with exchange prefix for sentiment context (e.g., "NASDAQ:TSLA", "NASDAQ:AAPL"). Most effective for widely-covered stocks with active news flow and analyst coverage.',
-            pattern: '^[A-Z]+:[A-Z]{1,5}$'
+            pattern: '^[A-Z]+:[A-Z]{1,5}(\\.[A-Z])?$'
           },
           include_size_metrics: {
             type: 'boolean',
@@ -374,7 +364,8 @@ const sentimentContextTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: sentimentContextSchema
     }
   }
 };
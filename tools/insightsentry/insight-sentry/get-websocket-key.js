@@ -1,14 +1,22 @@
+import { getConfig } from '../../../lib/config.js';
+import { buildAuthHeaders } from '../../../lib/auth.js';
+
 /**
  * Obtain your unique WebSocket API key from the /v2/websocket-key endpoint.
- * This key is distinct from any REST API keys you may have.
+ * This key is distinct from any REST API keys you may have. The endpoint belongs
+ * to the direct InsightSentry API, so it always authenticates with a Bearer token.
  *
  * @param {Object} params - Parameters for the request
- * @param {string} params.restApiKey - Your REST API key for authentication
- * @param {string} [params.baseUrl] - Optional base URL for the API (default: https://api.insightsentry.com)
+ * @param {string} [params.restApiKey] - Your REST API key (default: api.apiKey when api.authMode is 'direct')
+ * @param {string} [params.baseUrl] - Optional base URL for the API (default: websocket.keyBaseUrl, https://api.insightsentry.com)
  * @returns {Promise<string>} - Resolves with the WebSocket API key
  */
 const getWebSocketKey = async (params = {}) => {
-  const { restApiKey, baseUrl = 'https://api.insightsentry.com' } = params;
+  const { api, websocket } = getConfig();
+  const {
+    restApiKey = api.authMode === 'direct' ? api.apiKey : undefined,
+    baseUrl = websocket.keyBaseUrl
+  } = params;
   if (!restApiKey) {
     throw new Error('restApiKey parameter is required');
   }
@@ -17,7 +25,7 @@ const getWebSocketKey = async (params = {}) => {
     const response = await fetch(url, {
       method: 'GET',
       headers: {
-        'Authorization': `Bearer ${restApiKey}`,
+        ...buildAuthHeaders('direct', restApiKey),
         'Accept': 'application/json'
       }
     });
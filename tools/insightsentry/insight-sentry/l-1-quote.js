@@ -1,3 +1,6 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { quoteSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to get the latest quote for a given symbol code from InsightSentry.
  *
@@ -6,37 +9,8 @@
  * @returns {Promise<Object>} - The latest quote data for the specified symbol.
  */
 const executeFunction = async ({ symbol }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL with the symbol path variable
-    const url = `${baseUrl}/v2/symbols/${encodeURIComponent(symbol)}/quote`;
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey,
-      'Content-Type': 'application/json'
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error fetching the latest quote:', error);
-    return { error: 'An error occurred while fetching the latest quote.' };
-  }
+  // Fetch the latest quote through the shared client
+  return insightSentryRequest(`/v2/symbols/${encodeURIComponent(symbol)}/quote`);
 };
 
 /**
@@ -59,7 +33,8 @@ const apiTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: quoteSchema
     }
   }
 };
@@ -1,3 +1,6 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { newsSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to retrieve the live news feed from InsightSentry for the last 24 hours.
  *
@@ -8,41 +11,10 @@
  * @returns {Promise<Object>} - The result of the news feed retrieval.
  */
 const executeFunction = async ({ keywords = '', limit = 20, page = 1 }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL with query parameters
-    const url = new URL(`${baseUrl}/v2/newsfeed`);
-    url.searchParams.append('limit', limit.toString());
-    url.searchParams.append('page', page.toString());
-    if (keywords) {
-      url.searchParams.append('keywords', keywords);
-    }
-
-    // Set up headers for the request
-    const headers = {
-      'x-rapidapi-key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving news feed:', error);
-    return { error: 'An error occurred while retrieving the news feed.' };
-  }
+  // Fetch the requested news page, filtering by keywords when provided
+  return insightSentryRequest('/v2/newsfeed', {
+    params: { limit, page, keywords: keywords || undefined }
+  });
 };
 
 /**
@@ -73,7 +45,8 @@ const apiTool = {
           }
         },
         required: []
-      }
+      },
+      outputSchema: newsSchema
     }
   }
 };
@@ -1,3 +1,6 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { dividendEventsSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to retrieve monthly dividend events from InsightSentry.
  *
@@ -6,37 +9,10 @@
  * @returns {Promise<Array>} - The list of monthly dividend events.
  */
 const executeFunction = async ({ month = '' }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL with query parameters
-    const url = new URL(`${baseUrl}/v2/events/dividends/monthly`);
-    url.searchParams.append('month', month);
-
-    // Set up headers for the request
-    const headers = {
-      'x-rapidapi-key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving monthly dividend events:', error);
-    return { error: 'An error occurred while retrieving monthly dividend events.' };
-  }
+  // Fetch dividend events for the requested month
+  return insightSentryRequest('/v2/events/dividends/monthly', {
+    params: { month }
+  });
 };
 
 /**
@@ -45,6 +21,7 @@ const executeFunction = async ({ month = '' }) => {
  */
 const apiTool = {
   function: executeFunction,
+  priority: 'low',
   definition: {
     type: 'function',
     function: {
@@ -59,7 +36,8 @@ const apiTool = {
           }
         },
         required: []
-      }
+      },
+      outputSchema: dividendEventsSchema
     }
   }
 };
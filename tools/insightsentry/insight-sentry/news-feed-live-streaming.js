@@ -1,3 +1,7 @@
+import { getConfig } from '../../../lib/config.js';
+import { createLogger } from '../../../lib/logger.js';
+import { trackUpstreamSocket } from '../../../lib/metrics.js';
+
 /**
  * Function to connect to the Live Streaming News Feed via WebSocket.
  *
@@ -9,11 +13,10 @@
  */
 const INITIAL_RECONNECT_DELAY = 2000; // 2 seconds
 const MAX_RECONNECT_DELAY = 10000; // 10 seconds
-const STALE_NEWS_THRESHOLD_MS = 10000; // 10 seconds
-const DATA_GAP_ALERT_THRESHOLD_MS = 30000; // 30 seconds
+const logger = createLogger('NewsFeedTool');
 
 const executeFunction = async (params = {}) => {
-  const wsUrl = 'wss://newsfeed.insightsentry.com/newsfeed';
+  const { newsfeedUrl: wsUrl, staleNewsMs, newsGapAlertMs } = getConfig().websocket;
   const { symbols, keywords, websocketKey } = params;
 
   if (!websocketKey) {
@@ -31,8 +34,8 @@ const executeFunction = async (params = {}) => {
     if (dataGapInterval) clearInterval(dataGapInterval);
     dataGapInterval = setInterval(() => {
       const now = Date.now();
-      if (now - lastNewsTimestamp > DATA_GAP_ALERT_THRESHOLD_MS) {
-        console.warn(`[NewsFeedTool] WARNING: No news received for over ${DATA_GAP_ALERT_THRESHOLD_MS / 1000}s! Possible data gap.`);
+      if (now - lastNewsTimestamp > newsGapAlertMs) {
+        logger.warning(`No news received for over ${newsGapAlertMs / 1000}s! Possible data gap.`);
       }
     }, 5000);
   }
@@ -47,28 +50,29 @@ const executeFunction = async (params = {}) => {
   return new Promise((resolve, reject) => {
     function connect() {
       ws = new WebSocket(wsUrl);
+      trackUpstreamSocket(ws, 'newsfeed');
 
       ws.onopen = () => {
-        console.log('[NewsFeedTool] WebSocket connection established. Authenticating...');
+        logger.info('WebSocket connection established. Authenticating...');
         reconnectDelay = INITIAL_RECONNECT_DELAY; // Reset delay on successful connect
         // Send authentication message upon connection
         ws.send(JSON.stringify({ api_key: websocketKey }));
         // Apply filters if provided
         if (symbols && symbols.length > 0) {
-          console.log(`[NewsFeedTool] Setting symbol filter: ${symbols.join(', ')}`);
+          logger.info(`Setting symbol filter: ${symbols.join(', ')}`);
           ws.send(JSON.stringify({ 
             type: 'filter_symbols', 
             symbols: symbols 
           }));
         }
         if (keywords && keywords.length > 0) {
-          console.log(`[NewsFeedTool] Setting keyword filter: ${keywords.join(', ')}`);
+          logger.info(`Setting keyword filter: ${keywords.join(', ')}`);
           ws.send(JSON.stringify({ 
             type: 'filter_keywords', 
             keywords: keywords 
           }));
         }
-        console.log('[NewsFeedTool] Authentication and filters complete.');
+        logger.info('Authentication and filters complete.');
         lastNewsTimestamp = Date.now();
         startDataGapMonitor();
         // Start ping keep-alive
@@ -85,7 +89,7 @@ const executeFunction = async (params = {}) => {
         lastNewsTimestamp = Date.now();
         // Heartbeat/keep-alive handling
         if (event.data === 'pong') {
-          console.log('[NewsFeedTool] Received pong from server');
+          logger.debug('Received pong from server');
           return;
         }
         try {
@@ -100,18 +104,18 @@ const executeFunction = async (params = {}) => {
             // Assume 'timestamp' is UNIX timestamp in seconds or ms
             newsTimestamp = data.timestamp > 1e12 ? data.timestamp : data.timestamp * 1000;
           }
-          if (newsTimestamp && (Date.now() - newsTimestamp > STALE_NEWS_THRESHOLD_MS)) {
-            console.warn(`[NewsFeedTool] Stale news received (age: ${((Date.now() - newsTimestamp)/1000).toFixed(1)}s), discarding:`, data);
+          if (newsTimestamp && (Date.now() - newsTimestamp > staleNewsMs)) {
+            logger.debug(`Stale news received (age: ${((Date.now() - newsTimestamp)/1000).toFixed(1)}s), discarding`, data);
             return;
           }
-          console.log('[NewsFeedTool] Message from news feed:', data);
+          logger.debug('Message from news feed', data);
         } catch (e) {
-          console.log('[NewsFeedTool] Non-JSON message from news feed:', event.data);
+          logger.debug('Non-JSON message from news feed', event.data);
         }
       };
 
       ws.onerror = (error) => {
-        console.error('[NewsFeedTool] WebSocket error:', error.message);
+        logger.error('WebSocket error', error.message);
         ws.close();
       };
 
@@ -120,7 +124,7 @@ const executeFunction = async (params = {}) => {
         if (pingInterval) clearInterval(pingInterval);
         pingInterval = null;
         if (!shouldReconnect) return;
-        console.log(`[NewsFeedTool] WebSocket closed (code: ${event.code}, reason: ${event.reason}). Reconnecting in ${reconnectDelay / 1000}s...`);
+        logger.info(`WebSocket closed (code: ${event.code}, reason: ${event.reason}). Reconnecting in ${reconnectDelay / 1000}s...`);
         setTimeout(() => {
           reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
           connect();
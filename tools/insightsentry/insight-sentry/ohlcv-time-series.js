@@ -1,3 +1,6 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { seriesSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to retrieve the latest OHLCV time-series data for a given symbol from InsightSentry.
  *
@@ -11,41 +14,10 @@
  * @returns {Promise<Object>} - The latest series data for the specified symbol.
  */
 const executeFunction = async ({ symbol, bar_type = 'day', bar_interval = 1, extended = false, dadj = false, badj = false }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL with query parameters
-    const url = new URL(`${baseUrl}/v2/symbols/${symbol}/series`);
-    url.searchParams.append('bar_type', bar_type);
-    url.searchParams.append('bar_interval', bar_interval.toString());
-    url.searchParams.append('extended', extended.toString());
-    url.searchParams.append('dadj', dadj.toString());
-    url.searchParams.append('badj', badj.toString());
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving OHLCV time-series data:', error);
-    return { error: 'An error occurred while retrieving OHLCV time-series data.' };
-  }
+  // Fetch the series with the requested bar settings
+  return insightSentryRequest(`/v2/symbols/${encodeURIComponent(symbol)}/series`, {
+    params: { bar_type, bar_interval, extended, dadj, badj }
+  });
 };
 
 /**
@@ -89,7 +61,8 @@ const apiTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: seriesSchema
     }
   }
 };
@@ -1,19 +1,32 @@
+import NodeWebSocket from 'ws';
+import { getConfig } from '../../../lib/config.js';
+import { createLogger } from '../../../lib/logger.js';
+import { trackUpstreamSocket } from '../../../lib/metrics.js';
+import { UpstreamError } from '../../../lib/errors.js';
+
 /**
  * Function to connect to the Real-Time Data Feed for Series or Quote type data via WebSocket.
  *
  * @param {Object} params - Parameters for the connection
  * @param {Array<Object>} params.subscriptions - Array of subscription objects, each with {code, type, bar_type, bar_interval}
  * @param {string} params.websocketKey - WebSocket API key (required, distinct from REST API key)
- * @returns {Promise<WebSocket>} - A promise that resolves with the WebSocket connection
+ * @param {Function} [params.onData] - Receives every fresh quote and bar message instead of it being logged
+ * @param {Function} [params.onClose] - Called with an UpstreamError when the stream ends for good: the server
+ *   refused it, or it could not reconnect. Not called after an abort.
+ * @param {AbortSignal} [params.signal] - Aborting closes the connection and stops reconnecting
+ * @returns {Promise<WebSocket>} - A promise that resolves with the WebSocket connection, or rejects when the
+ *   stream ends for good before it opens
  */
 const INITIAL_RECONNECT_DELAY = 2000; // 2 seconds
 const MAX_RECONNECT_DELAY = 10000; // 10 seconds
-const STALE_DATA_THRESHOLD_MS = 10000; // 10 seconds
-const DATA_GAP_ALERT_THRESHOLD_MS = 15000; // 15 seconds
+const MAX_FAILED_CONNECTIONS = 5; // consecutive closes without a successful open
+const logger = createLogger('RealTimeDataTool');
 
 const executeFunction = async (params = {}) => {
-  const wsUrl = 'wss://realtime.insightsentry.com/live';
-  const { subscriptions, websocketKey } = params;
+  const { liveUrl: wsUrl, staleDataMs, dataGapAlertMs } = getConfig().websocket;
+  const { subscriptions, websocketKey, onData, onClose, signal } = params;
+  // Node.js only has a global WebSocket from version 22
+  const WebSocket = globalThis.WebSocket ?? NodeWebSocket;
 
   if (!subscriptions) {
     return Promise.reject(new Error('subscriptions array is required for real-time data stream.'));
@@ -28,13 +41,15 @@ const executeFunction = async (params = {}) => {
   let lastDataTimestamp = Date.now();
   let dataGapInterval = null;
   let pingInterval = null;
+  let reconnectTimer = null;
+  let failedConnections = 0;
 
   function startDataGapMonitor() {
     if (dataGapInterval) clearInterval(dataGapInterval);
     dataGapInterval = setInterval(() => {
       const now = Date.now();
-      if (now - lastDataTimestamp > DATA_GAP_ALERT_THRESHOLD_MS) {
-        console.warn(`[RealTimeDataTool] WARNING: No data received for over ${DATA_GAP_ALERT_THRESHOLD_MS / 1000}s! Possible data gap.`);
+      if (now - lastDataTimestamp > dataGapAlertMs) {
+        logger.warning(`No data received for over ${dataGapAlertMs / 1000}s! Possible data gap.`);
       }
     }, 2000);
   }
@@ -47,12 +62,27 @@ const executeFunction = async (params = {}) => {
   }
 
   return new Promise((resolve, reject) => {
+    signal?.addEventListener('abort', () => {
+      shouldReconnect = false;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      stopDataGapMonitor();
+      if (pingInterval) clearInterval(pingInterval);
+      pingInterval = null;
+      ws?.close();
+      reject(new Error('Real-time data stream aborted.'));
+    }, { once: true });
+
     function connect() {
+      // An abort during the reconnect delay must not open another connection
+      if (!shouldReconnect) return;
       ws = new WebSocket(wsUrl);
+      trackUpstreamSocket(ws, 'live');
 
       ws.onopen = () => {
-        console.log(`[RealTimeDataTool] WebSocket connection established. Subscribing...`);
+        logger.info('WebSocket connection established. Subscribing...');
         reconnectDelay = INITIAL_RECONNECT_DELAY; // Reset delay on successful connect
+        failedConnections = 0;
         // Send authentication message upon connection
         ws.send(
           JSON.stringify({
@@ -66,7 +96,7 @@ const executeFunction = async (params = {}) => {
           subscriptions: subscriptions
         };
         ws.send(JSON.stringify(subscriptionMessage));
-        console.log(`[RealTimeDataTool] Subscriptions message sent:`, subscriptionMessage);
+        logger.debug('Subscriptions message sent', subscriptionMessage);
         lastDataTimestamp = Date.now();
         startDataGapMonitor();
         // Start ping keep-alive
@@ -83,7 +113,7 @@ const executeFunction = async (params = {}) => {
         lastDataTimestamp = Date.now();
         // Heartbeat/keep-alive handling
         if (event.data === 'pong') {
-          console.log('[RealTimeDataTool] Received pong from server');
+          logger.debug('Received pong from server');
           return;
         }
         try {
@@ -101,24 +131,26 @@ const executeFunction = async (params = {}) => {
             // Quote: assume 'timestamp' is UNIX timestamp in seconds or ms
             dataTimestamp = data.timestamp > 1e12 ? data.timestamp : data.timestamp * 1000;
           }
-          if (dataTimestamp && (Date.now() - dataTimestamp > STALE_DATA_THRESHOLD_MS)) {
-            console.warn(`[RealTimeDataTool] Stale data received (age: ${((Date.now() - dataTimestamp)/1000).toFixed(1)}s), discarding:`, data);
+          if (dataTimestamp && (Date.now() - dataTimestamp > staleDataMs)) {
+            logger.debug(`Stale data received (age: ${((Date.now() - dataTimestamp)/1000).toFixed(1)}s), discarding`, data);
             return;
           }
-          if (data.series) {
-            console.log(`[RealTimeDataTool] Bar series:`, data);
+          if (onData && (data.series || data.last_price !== undefined)) {
+            onData(data);
+          } else if (data.series) {
+            logger.debug('Bar series', data);
           } else if (data.last_price !== undefined) {
-            console.log(`[RealTimeDataTool] Quote:`, data);
+            logger.debug('Quote', data);
           } else {
-            console.log(`[RealTimeDataTool] Message:`, data);
+            logger.debug('Message', data);
           }
         } catch (e) {
-          console.log(`[RealTimeDataTool] Non-JSON message:`, event.data);
+          logger.debug('Non-JSON message', event.data);
         }
       };
 
       ws.onerror = (error) => {
-        console.error(`[RealTimeDataTool] WebSocket error:`, error.message);
+        logger.error('WebSocket error', error.message);
         ws.close();
       };
 
@@ -127,8 +159,24 @@ const executeFunction = async (params = {}) => {
         if (pingInterval) clearInterval(pingInterval);
         pingInterval = null;
         if (!shouldReconnect) return;
-        console.log(`[RealTimeDataTool] WebSocket connection closed (code: ${event.code}, reason: ${event.reason}). Reconnecting in ${reconnectDelay / 1000}s...`);
-        setTimeout(() => {
+        failedConnections += 1;
+        // Policy and application close codes mean the server refused the stream (e.g. a rejected key)
+        const refused = event.code === 1008 || (event.code >= 4000 && event.code < 5000);
+        if (refused || failedConnections >= MAX_FAILED_CONNECTIONS) {
+          shouldReconnect = false;
+          const ending = refused ? 'was refused by the server' : `failed ${failedConnections} times in a row`;
+          const error = new UpstreamError(
+            `Real-time data stream ${ending} (code: ${event.code}, reason: ${event.reason})`,
+            { upstreamMessage: event.reason || null }
+          );
+          logger.error(error.message);
+          onClose?.(error);
+          reject(error);
+          return;
+        }
+        logger.info(`WebSocket connection closed (code: ${event.code}, reason: ${event.reason}). Reconnecting in ${reconnectDelay / 1000}s...`);
+        reconnectTimer = setTimeout(() => {
+          reconnectTimer = null;
           reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
           connect();
         }, reconnectDelay);
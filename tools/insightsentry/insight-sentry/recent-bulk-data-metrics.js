@@ -1,3 +1,6 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { bulkMetricsSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to fetch recent bulk data metrics for a specified stock exchange.
  *
@@ -6,36 +9,8 @@
  * @returns {Promise<Object>} - The result of the metrics request.
  */
 const executeFunction = async ({ exchange }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL with the exchange path variable
-    const url = new URL(`${baseUrl}/v2/exchanges/${exchange}/metrics`);
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error fetching recent bulk data metrics:', error);
-    return { error: 'An error occurred while fetching metrics data.' };
-  }
+  // Fetch exchange metrics through the shared client
+  return insightSentryRequest(`/v2/exchanges/${exchange}/metrics`);
 };
 
 /**
@@ -44,6 +19,7 @@ const executeFunction = async ({ exchange }) => {
  */
 const apiTool = {
   function: executeFunction,
+  priority: 'low',
   definition: {
     type: 'function',
     function: {
@@ -58,7 +34,8 @@ const apiTool = {
           }
         },
         required: ['exchange']
-      }
+      },
+      outputSchema: bulkMetricsSchema
     }
   }
 };
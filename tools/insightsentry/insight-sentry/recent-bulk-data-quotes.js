@@ -1,3 +1,6 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { bulkExchangeQuotesSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to fetch recent bulk data quotes from a specified stock exchange.
  *
@@ -6,36 +9,8 @@
  * @returns {Promise<Object>} - The performance-related information of all stocks from the specified exchange.
  */
 const executeFunction = async ({ exchange }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL with the exchange path variable
-    const url = `${baseUrl}/v2/exchanges/${exchange}/quotes`;
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error fetching recent bulk data quotes:', error);
-    return { error: 'An error occurred while fetching recent bulk data quotes.' };
-  }
+  // Fetch exchange quotes through the shared client
+  return insightSentryRequest(`/v2/exchanges/${exchange}/quotes`);
 };
 
 /**
@@ -44,6 +19,7 @@ const executeFunction = async ({ exchange }) => {
  */
 const apiTool = {
   function: executeFunction,
+  priority: 'low',
   definition: {
     type: 'function',
     function: {
@@ -58,7 +34,8 @@ const apiTool = {
           }
         },
         required: ['exchange']
-      }
+      },
+      outputSchema: bulkExchangeQuotesSchema
     }
   }
 };
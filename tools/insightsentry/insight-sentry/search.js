@@ -1,3 +1,6 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { searchSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to search for stock information using InsightSentry API.
  *
@@ -7,38 +10,10 @@
  * @returns {Promise<Object>} - The result of the stock search.
  */
 const executeFunction = async ({ query, type = 'stocks' }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL with query parameters
-    const url = new URL(`${baseUrl}/v2/symbols/search`);
-    url.searchParams.append('query', query);
-    url.searchParams.append('type', type);
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error searching for stocks:', error);
-    return { error: 'An error occurred while searching for stocks.' };
-  }
+  // Search symbols through the shared client
+  return insightSentryRequest('/v2/symbols/search', {
+    params: { query, type }
+  });
 };
 
 /**
@@ -66,7 +41,8 @@ const apiTool = {
           }
         },
         required: ['query']
-      }
+      },
+      outputSchema: searchSchema
     }
   }
 };
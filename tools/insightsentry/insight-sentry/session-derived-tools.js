@@ -3,33 +3,13 @@
  * These tools extract and transform data from the base session-information tool
  */
 
-// Import the base execution function
-const executeFunction = async ({ symbol }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  
-  try {
-    const url = `${baseUrl}/v2/symbols/${symbol}/session`;
-    const headers = {
-      'Content-Type': 'application/json',
-      'X-RapidAPI-Key': apiKey
-    };
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
+import { insightSentryRequest } from '../../../lib/client.js';
+import { UpstreamError } from '../../../lib/errors.js';
+import { executionTimingSchema, marketStatusSchema, sessionRiskSchema, tradingCalendarSchema } from '../../../lib/output-schemas.js';
 
-    return await response.json();
-  } catch (error) {
-    console.error('Error retrieving session information:', error);
-    return { error: 'An error occurred while retrieving session information.' };
-  }
+// Base execution function shared by the derived session tools
+const executeFunction = async ({ symbol }) => {
+  return insightSentryRequest(`/v2/symbols/${encodeURIComponent(symbol)}/session`);
 };
 
 /**
@@ -40,8 +20,8 @@ const marketStatusTool = {
   function: async ({ symbol, timestamp = null }) => {
     const rawData = await executeFunction({ symbol });
     
-    if (!rawData || rawData.error) {
-      return { error: 'Failed to retrieve session data' };
+    if (!rawData) {
+      throw new UpstreamError(`Empty session payload returned for ${symbol}`);
     }
 
     const currentTime = timestamp ? new Date(timestamp) : new Date();
@@ -76,7 +56,8 @@ const marketStatusTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: marketStatusSchema
     }
   }
 };
@@ -89,8 +70,8 @@ const tradingCalendarTool = {
   function: async ({ symbol, start_date = null, end_date = null, days_ahead = 7 }) => {
     const rawData = await executeFunction({ symbol });
     
-    if (!rawData || rawData.error) {
-      return { error: 'Failed to retrieve session data' };
+    if (!rawData) {
+      throw new UpstreamError(`Empty session payload returned for ${symbol}`);
     }
 
     const startDate = start_date ? new Date(start_date) : new Date();
@@ -137,7 +118,8 @@ const tradingCalendarTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: tradingCalendarSchema
     }
   }
 };
@@ -150,8 +132,8 @@ const executionTimingTool = {
   function: async ({ symbol, strategy_type = 'general' }) => {
     const rawData = await executeFunction({ symbol });
     
-    if (!rawData || rawData.error) {
-      return { error: 'Failed to retrieve session data' };
+    if (!rawData) {
+      throw new UpstreamError(`Empty session payload returned for ${symbol}`);
     }
 
     const currentTime = new Date();
@@ -186,7 +168,8 @@ const executionTimingTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: executionTimingSchema
     }
   }
 };
@@ -199,8 +182,8 @@ const riskSessionTool = {
   function: async ({ symbol, position_size = null, strategy = 'general' }) => {
     const rawData = await executeFunction({ symbol });
     
-    if (!rawData || rawData.error) {
-      return { error: 'Failed to retrieve session data' };
+    if (!rawData) {
+      throw new UpstreamError(`Empty session payload returned for ${symbol}`);
     }
 
     const currentTime = new Date();
@@ -240,7 +223,8 @@ const riskSessionTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: sessionRiskSchema
     }
   }
 };
@@ -1,3 +1,6 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { sessionSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Base session information data optimization
  * Reduces data size and adds computed fields for better performance
@@ -62,47 +65,18 @@ const optimizeSessionData = (rawData, options = {}) => {
  * @returns {Promise<Object>} - The session information for the specified stock symbol.
  */
 const executeFunction = async ({ symbol, optimize = false, include_historical_holidays = false, timezone_convert = null }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
+  // Fetch the session payload through the shared client
+  const data = await insightSentryRequest(`/v2/symbols/${encodeURIComponent(symbol)}/session`);
   
-  try {
-    // Construct the URL with the symbol path variable
-    const url = `${baseUrl}/v2/symbols/${symbol}/session`;
-
-    // Set up headers for the request
-    const headers = {
-      'Content-Type': 'application/json',
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
+  // Apply optimization if requested
+  if (optimize) {
+    return optimizeSessionData(data, { 
+      include_historical_holidays, 
+      timezone_convert 
     });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse the response data
-    const data = await response.json();
-    
-    // Apply optimization if requested
-    if (optimize) {
-      return optimizeSessionData(data, { 
-        include_historical_holidays, 
-        timezone_convert 
-      });
-    }
-    
-    return data;
-  } catch (error) {
-    console.error('Error retrieving session information:', error);
-    return { error: 'An error occurred while retrieving session information.' };
   }
+  
+  return data;
 };
 
 /**
@@ -137,7 +111,8 @@ const apiTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: sessionSchema
     }
   }
 };
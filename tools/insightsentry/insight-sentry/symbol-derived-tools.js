@@ -3,38 +3,13 @@
  * These tools provide structured, context-rich data for trading strategy analysis
  */
 
-// Import the base execution function
-const executeFunction = async (args) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  
-  try {
-    // Construct the URL with the symbol path variable
-    const url = `${baseUrl}/v2/symbols/${encodeURIComponent(args.symbol)}/info`;
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
+import { insightSentryRequest } from '../../../lib/client.js';
+import { UpstreamError } from '../../../lib/errors.js';
+import { breakoutAnalysisSchema, earningsAnalysisSchema, newsImpactAnalysisSchema, portfolioRiskAnalysisSchema } from '../../../lib/output-schemas.js';
 
-    // Parse and return the response data
-    return await response.json();
-  } catch (error) {
-    console.error('Error retrieving symbol information:', error);
-    return { error: 'An error occurred while retrieving symbol information.' };
-  }
+// Base execution function shared by the derived symbol tools
+const executeFunction = async (args) => {
+  return insightSentryRequest(`/v2/symbols/${encodeURIComponent(args.symbol)}/info`);
 };
 
 /**
@@ -46,7 +21,7 @@ const breakoutAnalysisTool = {
     const rawData = await executeFunction({ symbol });
     
     if (!rawData?.code) {
-      return { error: 'Failed to fetch symbol data' };
+      throw new UpstreamError(`Unexpected symbol payload returned for ${symbol}`);
     }
     
     return {
@@ -102,7 +77,8 @@ const breakoutAnalysisTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: breakoutAnalysisSchema
     }
   }
 };
@@ -116,7 +92,7 @@ const earningsAnalysisTool = {
     const rawData = await executeFunction({ symbol });
     
     if (!rawData?.code) {
-      return { error: 'Failed to fetch symbol data' };
+      throw new UpstreamError(`Unexpected symbol payload returned for ${symbol}`);
     }
     
     const nextEarnings = rawData.earnings_release_next_date;
@@ -171,7 +147,8 @@ const earningsAnalysisTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: earningsAnalysisSchema
     }
   }
 };
@@ -185,7 +162,7 @@ const newsImpactAnalysisTool = {
     const rawData = await executeFunction({ symbol });
     
     if (!rawData?.code) {
-      return { error: 'Failed to fetch symbol data' };
+      throw new UpstreamError(`Unexpected symbol payload returned for ${symbol}`);
     }
     
     return {
@@ -240,7 +217,8 @@ const newsImpactAnalysisTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: newsImpactAnalysisSchema
     }
   }
 };
@@ -254,7 +232,7 @@ const portfolioRiskAnalysisTool = {
     const rawData = await executeFunction({ symbol });
     
     if (!rawData?.code) {
-      return { error: 'Failed to fetch symbol data' };
+      throw new UpstreamError(`Unexpected symbol payload returned for ${symbol}`);
     }
     
     return {
@@ -315,7 +293,8 @@ const portfolioRiskAnalysisTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: portfolioRiskAnalysisSchema
     }
   }
 };
@@ -1,3 +1,7 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { UpstreamError } from '../../../lib/errors.js';
+import { earningsTimingSchema, fundamentalContextSchema, riskAssessmentSchema, sessionInfoSchema, symbolInfoSchema, tradingEssentialsSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Base function to retrieve information about a specific symbol from InsightSentry.
  *
@@ -9,43 +13,15 @@
  * @returns {Promise<Object>} - The result of the symbol information retrieval.
  */
 const executeFunction = async ({ symbol, sections = null, optimize = false, minimal = false }) => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
+  // Fetch the symbol information through the shared client
+  const data = await insightSentryRequest(`/v2/symbols/${encodeURIComponent(symbol)}/info`);
   
-  try {
-    // Construct the URL with the symbol path variable
-    const url = `${baseUrl}/v2/symbols/${encodeURIComponent(symbol)}/info`;
-
-    // Set up headers for the request
-    const headers = {
-      'X-RapidAPI-Key': apiKey
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    
-    // Apply optimization if requested
-    if (optimize || minimal || sections) {
-      return optimizeSymbolData(data, { sections, minimal });
-    }
-    
-    return data;
-  } catch (error) {
-    console.error('Error retrieving symbol information:', error);
-    return { error: 'An error occurred while retrieving symbol information.' };
+  // Apply optimization if requested
+  if (optimize || minimal || sections) {
+    return optimizeSymbolData(data, { sections, minimal });
   }
+  
+  return data;
 };
 
 /**
@@ -86,7 +62,8 @@ const apiTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: symbolInfoSchema
     }
   }
 };
@@ -371,7 +348,8 @@ const tradingEssentialsTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: tradingEssentialsSchema
     }
   }
 };
@@ -400,7 +378,8 @@ const earningsTimingTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: earningsTimingSchema
     }
   }
 };
@@ -429,7 +408,8 @@ const fundamentalContextTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: fundamentalContextSchema
     }
   }
 };
@@ -458,7 +438,8 @@ const riskAssessmentTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: riskAssessmentSchema
     }
   }
 };
@@ -472,7 +453,7 @@ const sessionInfoTool = {
     const rawData = await executeFunction({ ...args, sections: ['session_info'] });
     
     if (!rawData?.code) {
-      return { error: 'Failed to fetch symbol data' };
+      throw new UpstreamError(`Unexpected symbol payload returned for ${args.symbol}`);
     }
     
     return {
@@ -502,7 +483,8 @@ const sessionInfoTool = {
           }
         },
         required: ['symbol']
-      }
+      },
+      outputSchema: sessionInfoSchema
     }
   }
 };
\ No newline at end of file
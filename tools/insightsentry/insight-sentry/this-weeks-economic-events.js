@@ -1,40 +1,14 @@
+import { insightSentryRequest } from '../../../lib/client.js';
+import { economicEventsSchema } from '../../../lib/output-schemas.js';
+
 /**
  * Function to retrieve this week's economic events from InsightSentry.
  *
  * @returns {Promise<Object>} - The result of the economic events retrieval.
  */
 const executeFunction = async () => {
-  const baseUrl = process.env.INSIGHTSENTRY_BASE_URL;
-  const apiKey = process.env.INSIGHTSENTRY_API_KEY;
-  try {
-    // Construct the URL for the request
-    const url = `${baseUrl}/v2/events/economy/weekly`;
-
-    // Set up headers for the request
-    const headers = {
-      'x-rapidapi-key': apiKey,
-      'Content-Type': 'application/json'
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving economic events:', error);
-    return { error: 'An error occurred while retrieving economic events.' };
-  }
+  // Fetch this week's events through the shared client
+  return insightSentryRequest('/v2/events/economy/weekly');
 };
 
 /**
@@ -52,7 +26,8 @@ const apiTool = {
         type: 'object',
         properties: {},
         required: []
-      }
+      },
+      outputSchema: economicEventsSchema
     }
   }
 };